@@ -0,0 +1,57 @@
+/**
+ * Accessibility
+ * What a screen reader hears when the simulator moves to a step, what a
+ * frame cell says besides its page, and arrow-key movement around the
+ * frames table. DOM-free.
+ */
+
+// Announced in the live region for step `index` (0-based) of `total`
+export function stepAnnouncement(stepData, index, total) {
+    const where = `Step ${index + 1} of ${total}: page ${stepData.page}`;
+    if (stepData.isHit) {
+        return `${where}, hit in frame ${stepData.frames.indexOf(stepData.page) + 1}.`;
+    }
+
+    const frame = `frame ${stepData.newPageIndex + 1}`;
+    if (stepData.replacedPage === null) return `${where}, fault, loaded into empty ${frame}.`;
+
+    const writeBack = stepData.writeBack ? ` Page ${stepData.replacedPage} was dirty and is written back to disk.` : '';
+    return `${where}, fault, replaces page ${stepData.replacedPage} in ${frame}.${writeBack}`;
+}
+
+// The marker a frame cell shows next to its page at step `stepData`, so
+// hits and faults don't rely on colour: { symbol, text } or null.
+// `symbol` is drawn in the cell, `text` is read out instead of it.
+export function cellMarker(stepData, frameIndex) {
+    const page = stepData.frames[frameIndex];
+    if (page === null || page === undefined) return null;
+
+    if (stepData.isHit && page === stepData.page) return { symbol: 'H', text: 'hit' };
+    if (stepData.isFault && frameIndex === stepData.newPageIndex) {
+        return {
+            symbol: 'F',
+            text: stepData.replacedPage === null ? 'fault, loaded' : `fault, replaced page ${stepData.replacedPage}`
+        };
+    }
+    return null;
+}
+
+// Where a key moves the focus in a grid of `rows` x `cols` cells, the way
+// the ARIA grid pattern does it: arrows by one cell, Home/End to the ends
+// of the row (with Ctrl, of the whole grid). null for other keys.
+export function moveGridCell(key, { row, col }, { rows, cols }, { ctrlKey = false } = {}) {
+    const at = (r, c) => ({
+        row: Math.min(rows - 1, Math.max(0, r)),
+        col: Math.min(cols - 1, Math.max(0, c))
+    });
+
+    switch (key) {
+        case 'ArrowLeft': return at(row, col - 1);
+        case 'ArrowRight': return at(row, col + 1);
+        case 'ArrowUp': return at(row - 1, col);
+        case 'ArrowDown': return at(row + 1, col);
+        case 'Home': return ctrlKey ? at(0, 0) : at(row, 0);
+        case 'End': return ctrlKey ? at(rows - 1, cols - 1) : at(row, cols - 1);
+        default: return null;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Chat History
+ * Keeps the tutor conversation per scenario, in threads, so it survives a
+ * reload, can be sent back to the AI as earlier turns and exported as
+ * Markdown. script.js stores the store's toJSON() in localStorage. DOM-free.
+ */
+
+// localStorage is small; old scenarios and long threads are dropped first
+export const MAX_SCENARIOS = 20;
+export const MAX_THREADS = 10;
+export const MAX_MESSAGES = 200;
+
+// Chats that belong to no scenario (nothing loaded)
+export const GENERAL_CHAT = 'general';
+
+// Scenario keys can be whole traces, so they are stored by a hash (FNV-1a)
+export function scenarioChatId(key) {
+    if (!key) return GENERAL_CHAT;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `s-${(hash >>> 0).toString(36)}-${key.length}`;
+}
+
+// Roughly four characters per token, the usual rule of thumb
+export function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+}
+
+// The latest complete question/answer pairs of a thread that fit in
+// `tokenBudget`, oldest first, as [{ role: 'user' | 'assistant', content }].
+// A question without an answer (still waiting, or the page was closed) is
+// left out, so the turns always alternate.
+export function fitHistory(messages, tokenBudget) {
+    const pairs = [];
+    for (let i = 0; i + 1 < messages.length; i++) {
+        if (messages[i].role === 'user' && messages[i + 1].role === 'bot') {
+            pairs.push([messages[i], messages[i + 1]]);
+            i++;
+        }
+    }
+
+    const turns = [];
+    let used = 0;
+    for (let p = pairs.length - 1; p >= 0; p--) {
+        const [question, answer] = pairs[p];
+        const cost = estimateTokens(question.text) + estimateTokens(answer.text);
+        if (used + cost > tokenBudget) break;
+        used += cost;
+        turns.unshift({ role: 'user', content: question.text }, { role: 'assistant', content: answer.text });
+    }
+    return turns;
+}
+
+// The store: { [chatId]: { updatedAt, current, threads: [{ startedAt, messages }] } },
+// a message being { role: 'user' | 'bot', text, at, source? }. `saved` is what
+// toJSON() returned before (anything unreadable starts empty).
+export function createChatStore(saved = {}, now = () => new Date().toISOString()) {
+    const chats = {};
+    if (saved && typeof saved === 'object') {
+        Object.entries(saved).forEach(([id, chat]) => {
+            if (chat && Array.isArray(chat.threads) && chat.threads.length > 0) chats[id] = chat;
+        });
+    }
+
+    function chat(id) {
+        if (!chats[id]) chats[id] = { updatedAt: now(), current: 0, threads: [{ startedAt: now(), messages: [] }] };
+        return chats[id];
+    }
+
+    // The thread on screen for a scenario
+    function thread(id) {
+        const entry = chat(id);
+        return entry.threads[Math.min(entry.current, entry.threads.length - 1)];
+    }
+
+    function touch(id) {
+        chats[id].updatedAt = now();
+        const ids = Object.keys(chats).sort((a, b) => (chats[b].updatedAt < chats[a].updatedAt ? -1 : 1));
+        ids.slice(MAX_SCENARIOS).forEach(old => delete chats[old]);
+    }
+
+    return {
+        thread,
+
+        threads: (id) => chat(id).threads,
+        currentIndex: (id) => chat(id).current,
+
+        add(id, message) {
+            const messages = thread(id).messages;
+            messages.push({ ...message, at: now() });
+            if (messages.length > MAX_MESSAGES) messages.splice(0, messages.length - MAX_MESSAGES);
+            touch(id);
+        },
+
+        // Starts an empty thread, unless the current one is still empty
+        newThread(id) {
+            const entry = chat(id);
+            if (thread(id).messages.length === 0) return;
+            entry.threads.push({ startedAt: now(), messages: [] });
+            if (entry.threads.length > MAX_THREADS) entry.threads.splice(0, entry.threads.length - MAX_THREADS);
+            entry.current = entry.threads.length - 1;
+            touch(id);
+        },
+
+        switchThread(id, index) {
+            const entry = chat(id);
+            if (index >= 0 && index < entry.threads.length) entry.current = index;
+        },
+
+        // Drops the current thread; the scenario keeps its other threads
+        clearThread(id) {
+            const entry = chat(id);
+            entry.threads.splice(entry.current, 1);
+            if (entry.threads.length === 0) entry.threads.push({ startedAt: now(), messages: [] });
+            entry.current = entry.threads.length - 1;
+            touch(id);
+        },
+
+        toJSON: () => chats
+    };
+}
+
+// A thread as Markdown. `scenario` describes what was loaded, e.g.
+// "LIFO, 3 frames, reference string 7 0 1 2".
+export function chatToMarkdown(thread, { scenario = '' } = {}) {
+    const lines = ['# LIFO AI Bot conversation', ''];
+    if (scenario) lines.push(`Scenario: ${scenario}  `);
+    lines.push(`Started: ${thread.startedAt.slice(0, 16).replace('T', ' ')}`, '');
+
+    thread.messages.forEach(message => {
+        lines.push(`**${message.role === 'user' ? 'You' : 'Tutor'}:** ${message.text}`, '');
+        if (message.source) {
+            const href = message.source.link.href || `index.html#${message.source.link.section}`;
+            lines.push(`*Source: [${message.source.title}](${href})*`, '');
+        }
+    });
+    return lines.join('\n');
+}
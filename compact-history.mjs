@@ -0,0 +1,136 @@
+/**
+ * Compact State History
+ * An array of step records grows with frames × steps, too much for traces of
+ * hundreds of thousands of references. A compact history keeps each step's
+ * outcome in typed arrays plus a copy of the simulator every
+ * CHECKPOINT_INTERVAL steps, and rebuilds full step records on demand by
+ * replaying from the nearest checkpoint. DOM-free, so the simulation worker
+ * and the tests can use it.
+ */
+import { createSimulation } from './simulation-core.mjs';
+
+export const CHECKPOINT_INTERVAL = 256;
+export const CHUNK_STEPS = 4096;
+
+// Outcome bits per step
+const HIT = 1;
+const WRITE = 2;
+const WRITE_BACK = 4;
+
+// Runs one policy over the string and hands the outcome over every
+// `chunkSteps` steps: onChunk({ start, count, outcomes, replacedIndex,
+// newPageIndex, replacedPage, checkpoints }), where checkpoints are the saved
+// simulator before every step index divisible by CHECKPOINT_INTERVAL.
+// replacedPage is NaN when nothing was evicted.
+export function simulateInChunks(referenceString, frameCount, policyName, writes, onChunk, chunkSteps = CHUNK_STEPS) {
+    const simulation = createSimulation(referenceString, frameCount, policyName, writes);
+
+    for (let start = 0; start < referenceString.length; start += chunkSteps) {
+        const count = Math.min(chunkSteps, referenceString.length - start);
+        const chunk = {
+            start,
+            count,
+            outcomes: new Uint8Array(count),
+            replacedIndex: new Int16Array(count),
+            newPageIndex: new Int16Array(count),
+            replacedPage: new Float64Array(count),
+            checkpoints: []
+        };
+
+        for (let k = 0; k < count; k++) {
+            if ((start + k) % CHECKPOINT_INTERVAL === 0) chunk.checkpoints.push(simulation.save());
+
+            const step = simulation.next();
+            chunk.outcomes[k] = (step.isHit ? HIT : 0) | (step.isWrite ? WRITE : 0) | (step.writeBack ? WRITE_BACK : 0);
+            chunk.replacedIndex[k] = step.replacedIndex;
+            chunk.newPageIndex[k] = step.newPageIndex;
+            chunk.replacedPage[k] = step.replacedPage === null ? NaN : step.replacedPage;
+        }
+
+        onChunk(chunk);
+    }
+}
+
+// A history that reads like an array of step records (length, at(i) and
+// for...of) for one policy over a single reference string. Chunks from
+// simulateInChunks() are added in order; length counts the steps so far.
+// Hit/fault, the victim and the write flags are stored; frames, ages, dirty
+// bits and the stack are replayed when a step's record asks for them.
+export function createCompactHistory(referenceString, frameCount, policyName, writes = []) {
+    const total = referenceString.length;
+    const outcomes = new Uint8Array(total);
+    const replacedIndex = new Int16Array(total);
+    const newPageIndex = new Int16Array(total);
+    const replacedPage = new Float64Array(total);
+    const checkpoints = [];
+    // Running totals: hitsBefore[n] = hits in the first n steps
+    const hitsBefore = new Uint32Array(total + 1);
+    const writeBacksBefore = new Uint32Array(total + 1);
+
+    // One simulator is reused for every replay; stepping forward from the last
+    // replayed step is cheaper than going back to a checkpoint
+    const simulation = createSimulation(referenceString, frameCount, policyName, writes);
+    let replayed = null;
+
+    const fullStep = (i) => {
+        const done = simulation.time;
+        if (!replayed || i < done - 1 || i - done >= CHECKPOINT_INTERVAL) {
+            simulation.restore(checkpoints[Math.floor(i / CHECKPOINT_INTERVAL)]);
+        }
+        while (simulation.time <= i) replayed = simulation.next();
+        return replayed;
+    };
+
+    const history = {
+        length: 0,
+
+        addChunk(chunk) {
+            outcomes.set(chunk.outcomes, chunk.start);
+            replacedIndex.set(chunk.replacedIndex, chunk.start);
+            newPageIndex.set(chunk.newPageIndex, chunk.start);
+            replacedPage.set(chunk.replacedPage, chunk.start);
+            checkpoints.push(...chunk.checkpoints);
+            for (let i = chunk.start; i < chunk.start + chunk.count; i++) {
+                hitsBefore[i + 1] = hitsBefore[i] + (outcomes[i] & HIT ? 1 : 0);
+                writeBacksBefore[i + 1] = writeBacksBefore[i] + (outcomes[i] & WRITE_BACK ? 1 : 0);
+            }
+            history.length = chunk.start + chunk.count;
+        },
+
+        // Hits, faults and write-backs in the first `upToStep + 1` steps, without a loop
+        countUpTo(upToStep) {
+            const steps = Math.max(0, Math.min(upToStep + 1, history.length));
+            return { hits: hitsBefore[steps], faults: steps - hitsBefore[steps], writeBacks: writeBacksBefore[steps] };
+        },
+
+        // Same as Array#at: negative indices count from the end
+        at(index) {
+            const i = index < 0 ? index + history.length : index;
+            if (i < 0 || i >= history.length) return undefined;
+
+            const isHit = (outcomes[i] & HIT) !== 0;
+            return {
+                step: i + 1,
+                page: referenceString[i],
+                get frames() { return fullStep(i).frames; },
+                get frameAges() { return fullStep(i).frameAges; },
+                get dirty() { return fullStep(i).dirty; },
+                isWrite: (outcomes[i] & WRITE) !== 0,
+                writeBack: (outcomes[i] & WRITE_BACK) !== 0,
+                get stack() { return fullStep(i).stack; },
+                get stackNotes() { return fullStep(i).stackNotes; },
+                isHit,
+                isFault: !isHit,
+                replacedPage: Number.isNaN(replacedPage[i]) ? null : replacedPage[i],
+                replacedIndex: replacedIndex[i],
+                newPageIndex: newPageIndex[i]
+            };
+        },
+
+        *[Symbol.iterator]() {
+            for (let i = 0; i < history.length; i++) yield history.at(i);
+        }
+    };
+
+    return history;
+}
@@ -0,0 +1,354 @@
+/**
+ * Simulation History Files
+ * Saves a run (scenario + every step of the state history + current step) as
+ * JSON or CSV, reads it back, and checks it against a fresh simulation so
+ * hand-edited traces show up.
+ */
+import {
+    replacementPolicies, buildStateHistory, buildMultiProcessHistory, parseAddressTrace, isProcessId
+} from './simulation-core.mjs';
+
+export const HISTORY_FORMAT = 'page-replacement-history';
+export const HISTORY_VERSION = 1;
+
+// Same limit as the simulator's frames input
+const MAX_FRAMES = 10;
+
+// Step fields compared when verifying; `process` and `stacks` only exist in multi-process runs
+const STEP_FIELDS = [
+    'step', 'page', 'isWrite', 'isHit', 'isFault', 'frames', 'frameAges', 'dirty',
+    'stack', 'stackNotes', 'replacedPage', 'replacedIndex', 'newPageIndex', 'writeBack'
+];
+const PROCESS_FIELDS = ['process', 'stacks'];
+
+// CSV columns; lists are joined with "|" and an empty frame is "-"
+const CSV_COLUMNS = [...STEP_FIELDS, ...PROCESS_FIELDS];
+const LIST_FIELDS = ['frames', 'frameAges', 'dirty', 'stack', 'stackNotes'];
+const BOOLEAN_FIELDS = ['isWrite', 'isHit', 'isFault', 'writeBack'];
+
+// ==================== EXPORT ====================
+// session: { scenario, currentStep, history }, where scenario is
+// { frames, policy, referenceString, writes, processes, schedule, scope, pageSize, translations }
+export function exportHistoryJson(session) {
+    return JSON.stringify({
+        format: HISTORY_FORMAT,
+        version: HISTORY_VERSION,
+        scenario: session.scenario,
+        currentStep: session.currentStep,
+        steps: session.history
+    }, null, 2);
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function encodeCsvValue(field, value) {
+    if (value === undefined || value === null) return field === 'replacedPage' ? '-' : '';
+    if (field === 'stacks') return JSON.stringify(value);
+    if (LIST_FIELDS.includes(field)) return value.map(item => item === null ? '-' : item).join('|');
+    return value;
+}
+
+// The scenario and current step ride along as "# key: json" comment lines above the header
+export function exportHistoryCsv(session) {
+    const isMultiProcess = session.history.some(step => step.process !== undefined);
+    const columns = isMultiProcess ? CSV_COLUMNS : STEP_FIELDS;
+
+    return [
+        `# format: ${JSON.stringify(HISTORY_FORMAT)}`,
+        `# version: ${HISTORY_VERSION}`,
+        `# scenario: ${JSON.stringify(session.scenario)}`,
+        `# currentStep: ${session.currentStep}`,
+        columns.join(','),
+        ...session.history.map(step => columns.map(field => csvCell(encodeCsvValue(field, step[field]))).join(','))
+    ].join('\n');
+}
+
+// ==================== IMPORT ====================
+// Splits CSV text into rows of cells, honouring quoted cells
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Page numbers come back as numbers, process page keys ("A:3") as strings
+function decodePage(text) {
+    if (text === '-' || text === '') return null;
+    return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+function decodeCsvValue(field, text) {
+    if (field === 'stacks') return text === '' ? undefined : JSON.parse(text);
+    if (field === 'process') return text === '' ? undefined : text;
+    if (BOOLEAN_FIELDS.includes(field)) return text === 'true';
+    if (field === 'page' || field === 'replacedPage') return decodePage(text);
+    if (field === 'frames' || field === 'stack') return text === '' ? [] : text.split('|').map(decodePage);
+    if (field === 'frameAges') return text === '' ? [] : text.split('|').map(Number);
+    if (field === 'dirty') return text === '' ? [] : text.split('|').map(item => item === 'true');
+    if (field === 'stackNotes') return text === '' ? [] : text.split('|');
+    return Number(text);
+}
+
+function parseHistoryCsv(text) {
+    const meta = {};
+    const body = [];
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^#\s*(\w+):\s*(.*)$/.exec(line);
+        if (match) meta[match[1]] = match[2];
+        else if (line.trim() !== '') body.push(line);
+    });
+
+    if (!meta.scenario) return { error: 'The CSV file has no "# scenario:" line.' };
+
+    try {
+        const [header, ...rows] = parseCsvRows(body.join('\n'));
+        if (!header.every(field => CSV_COLUMNS.includes(field))) {
+            return { error: 'The CSV header has columns this simulator does not write.' };
+        }
+
+        const history = rows.map(cells => {
+            const step = {};
+            header.forEach((field, i) => {
+                const value = decodeCsvValue(field, cells[i] ?? '');
+                if (value !== undefined) step[field] = value;
+            });
+            return step;
+        });
+
+        return {
+            format: JSON.parse(meta.format || 'null'),
+            scenario: JSON.parse(meta.scenario),
+            currentStep: Number(meta.currentStep ?? -1),
+            history
+        };
+    } catch (error) {
+        return { error: `Could not read the CSV file: ${error.message}` };
+    }
+}
+
+// Reads a JSON or CSV export. Returns { scenario, currentStep, history } or { error }
+export function parseHistoryFile(text) {
+    let parsed;
+    if (text.trim().startsWith('{')) {
+        try {
+            const data = JSON.parse(text);
+            parsed = { format: data.format, scenario: data.scenario, currentStep: data.currentStep, history: data.steps };
+        } catch (error) {
+            return { error: `Could not read the JSON file: ${error.message}` };
+        }
+    } else {
+        parsed = parseHistoryCsv(text);
+        if (parsed.error) return parsed;
+    }
+
+    if (parsed.format !== HISTORY_FORMAT) {
+        return { error: 'This is not a simulation history export.' };
+    }
+
+    const { scenario, history } = parsed;
+    if (!scenario || typeof scenario !== 'object' || !Array.isArray(scenario.referenceString)
+        || !Array.isArray(history) || !history.every(step => step && typeof step === 'object')) {
+        return { error: 'The file is missing the scenario or the steps.' };
+    }
+
+    const scenarioError = checkScenario(scenario) || checkSteps(history, scenario);
+    if (scenarioError) return { error: scenarioError };
+
+    const currentStep = Number.isInteger(parsed.currentStep)
+        ? Math.max(-1, Math.min(parsed.currentStep, history.length - 1))
+        : -1;
+
+    return { scenario, currentStep, history };
+}
+
+// What replayScenario needs, and the values the simulator shows as they
+// are, so an edited file is reported instead of crashing the replay or
+// ending up in the page. Returns an error message or null.
+function checkScenario(scenario) {
+    if (!Number.isInteger(scenario.frames) || scenario.frames < 1 || scenario.frames > MAX_FRAMES) {
+        return `The number of frames must be a whole number from 1 to ${MAX_FRAMES}.`;
+    }
+    if (typeof scenario.policy !== 'string' || !Object.hasOwn(replacementPolicies, scenario.policy)) {
+        return `Unknown replacement policy "${scenario.policy}".`;
+    }
+    // Single-process runs are exported with `processes: null`
+    const isMultiProcess = scenario.processes !== undefined && scenario.processes !== null;
+    const processError = isMultiProcess ? checkProcesses(scenario) : null;
+    if (processError) return processError;
+
+    if (!scenario.referenceString.every(pageCheck(scenario))) {
+        return isMultiProcess
+            ? 'The reference string must list pages as process:page, e.g. "A:3".'
+            : 'The reference string must list pages as whole numbers.';
+    }
+    if (scenario.writes !== undefined && !isFlagList(scenario.writes)) {
+        return 'The write flags must be true or false.';
+    }
+    if (scenario.translations !== undefined && scenario.translations !== null) {
+        return isMultiProcess ? 'Multi-process runs have no address translations.' : checkTranslations(scenario);
+    }
+    return null;
+}
+
+function isFlagList(value) {
+    return Array.isArray(value) && value.every(flag => typeof flag === 'boolean');
+}
+
+function checkProcesses({ processes, schedule, scope }) {
+    const isProcess = (process) => process && isProcessId(process.id)
+        && Array.isArray(process.pages) && process.pages.length > 0
+        && process.pages.every(page => Number.isSafeInteger(page) && page >= 0)
+        && (process.writes === undefined || isFlagList(process.writes));
+    if (!Array.isArray(processes) || processes.length === 0 || !processes.every(isProcess)) {
+        return 'Every process needs a name (a letter, then letters, digits, "_" or "-") and a list of pages (whole numbers).';
+    }
+    if (new Set(processes.map(process => process.id)).size !== processes.length) {
+        return 'A process is listed twice.';
+    }
+    if (scope !== 'local' && scope !== 'global') return 'The replacement scope must be "local" or "global".';
+    if (!Array.isArray(schedule)) return 'The multi-process scenario has no schedule.';
+
+    // Each schedule entry runs the next page of a listed process
+    const used = {};
+    for (const id of schedule) {
+        const process = processes.find(p => p.id === id);
+        if (!process) return `The schedule names an unknown process "${id}".`;
+        used[id] = (used[id] || 0) + 1;
+        if (used[id] > process.pages.length) return `The schedule runs process ${id} more often than it has pages.`;
+    }
+    return null;
+}
+
+// Address runs keep the typed addresses for the table header and log; they
+// must be exactly what parseAddressTrace makes of them at this page size
+const TRANSLATION_FIELDS = ['text', 'address', 'isHex', 'page', 'offset'];
+
+function checkTranslations({ translations, pageSize, referenceString }) {
+    const mismatch = 'The address translations do not match their addresses, page size and pages.';
+    if (!Array.isArray(translations) || !translations.every(entry => entry && typeof entry.text === 'string')) {
+        return mismatch;
+    }
+
+    const rebuilt = parseAddressTrace(translations.map(entry => entry.text).join(' '), pageSize);
+    if (rebuilt.error) return mismatch;
+    const matches = rebuilt.translations.length === translations.length
+        && rebuilt.translations.every((entry, i) => TRANSLATION_FIELDS.every(field => entry[field] === translations[i][field]))
+        && rebuilt.pages.length === referenceString.length
+        && rebuilt.pages.every((page, i) => page === referenceString[i]);
+    return matches ? null : mismatch;
+}
+
+// Pages as the simulator writes them: whole numbers, or "A:3" keys of a
+// listed process in multi-process runs
+function pageCheck(scenario) {
+    if (!scenario.processes) return (page) => Number.isSafeInteger(page) && page >= 0;
+
+    const ids = scenario.processes.map(process => process.id);
+    return (page) => {
+        const match = typeof page === 'string' ? /^(.+):(\d+)$/.exec(page) : null;
+        return match !== null && ids.includes(match[1]);
+    };
+}
+
+// Every step needs all the fields the table, stack panel and log read,
+// with the types and lengths the simulator writes. Returns an error message or null.
+function checkSteps(history, scenario) {
+    const isPage = pageCheck(scenario);
+    const ids = scenario.processes ? scenario.processes.map(process => process.id) : [];
+    // Local multi-process runs give every process its own block of frames
+    const frameCount = scenario.processes && scenario.scope !== 'global' ? scenario.frames * ids.length : scenario.frames;
+
+    const isBoolean = (value) => typeof value === 'boolean';
+    const isNote = (value) => typeof value === 'string';
+    const isIndex = (value) => Number.isInteger(value) && value >= -1 && value < frameCount;
+    const isList = (value, length, check) => Array.isArray(value)
+        && (length === null || value.length === length) && value.every(check);
+
+    const checks = {
+        step: (value) => Number.isSafeInteger(value) && value >= 1,
+        page: isPage,
+        isWrite: isBoolean,
+        isHit: isBoolean,
+        isFault: isBoolean,
+        frames: (value) => isList(value, frameCount, page => page === null || isPage(page)),
+        frameAges: (value) => isList(value, frameCount, age => Number.isSafeInteger(age) && age >= 0),
+        dirty: (value) => isList(value, frameCount, isBoolean),
+        stack: (value) => isList(value, null, isPage),
+        stackNotes: (value) => isList(value, null, isNote),
+        replacedPage: (value) => value === null || isPage(value),
+        replacedIndex: isIndex,
+        newPageIndex: isIndex,
+        writeBack: isBoolean,
+        process: (value) => ids.includes(value),
+        stacks: (value) => isList(value, null, entry => entry !== null && typeof entry === 'object'
+            && (entry.process === null || ids.includes(entry.process))
+            && isList(entry.stack, null, isPage) && isList(entry.notes, null, isNote))
+    };
+    const fields = scenario.processes ? [...STEP_FIELDS, ...PROCESS_FIELDS] : STEP_FIELDS;
+
+    for (let i = 0; i < history.length; i++) {
+        const field = fields.find(name => !checks[name](history[i][name]));
+        if (field) return `Step ${i + 1} has a missing or invalid "${field}".`;
+    }
+    return null;
+}
+
+// ==================== VERIFICATION ====================
+// Reruns the scenario the way the simulator would
+export function replayScenario(scenario) {
+    if (scenario.processes) {
+        return buildMultiProcessHistory(scenario.processes, scenario.schedule, scenario.frames, scenario.policy, scenario.scope).history;
+    }
+    return buildStateHistory(scenario.referenceString, scenario.frames, scenario.policy, scenario.writes || []).history;
+}
+
+// Compares a loaded history with a fresh run.
+// Returns { expectedSteps, differences: [{ step, fields }] } (step is 1-based)
+export function verifyHistory(history, scenario) {
+    const expected = replayScenario(scenario);
+    const fields = scenario.processes ? [...STEP_FIELDS, ...PROCESS_FIELDS] : STEP_FIELDS;
+    const differences = [];
+
+    for (let i = 0; i < Math.max(history.length, expected.length); i++) {
+        if (!history[i] || !expected[i]) {
+            differences.push({ step: i + 1, fields: [history[i] ? 'extra step' : 'missing step'] });
+            continue;
+        }
+
+        const changed = fields.filter(field => JSON.stringify(history[i][field]) !== JSON.stringify(expected[i][field]));
+        if (changed.length > 0) differences.push({ step: i + 1, fields: changed });
+    }
+
+    return { expectedSteps: expected.length, differences };
+}
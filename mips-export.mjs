@@ -0,0 +1,182 @@
+/**
+ * MIPS Export
+ * Writes a version of cpu-lator.txt for one scenario: the reference string is
+ * preloaded in `pages` (no prompts or syscall 5 reads), `frames` has one word
+ * per frame, and a comment block at the top holds the output the program
+ * should print, so it can be checked in MARS or SPIM. DOM-free.
+ */
+import { formatLifoTrace } from './mips-interpreter.mjs';
+
+const PAGES_PER_LINE = 20;
+
+// scenario: { referenceString, frames, history } where history is the
+// simulator's LIFO run of that string (the program only does LIFO)
+export function buildMipsProgram({ referenceString, frames, history }) {
+    const expected = formatLifoTrace(history).split('\n').map(line => (line ? `#   ${line}` : '#'));
+
+    const pageLines = [];
+    for (let i = 0; i < referenceString.length; i += PAGES_PER_LINE) {
+        const label = i === 0 ? 'pages:      ' : '            ';
+        pageLines.push(`    ${label}.word ${referenceString.slice(i, i + PAGES_PER_LINE).join(', ')}`);
+    }
+    const emptyFrames = Array(frames).fill(-1).join(', ');
+
+    return `# LIFO page replacement, generated from the simulator
+# Reference string (${referenceString.length} pages): ${referenceString.join(' ')}
+# Frames: ${frames}
+#
+# Expected output:
+${expected.join('\n')}
+
+.data
+    # --- MEMORY ALLOCATION ---
+    page_count: .word ${referenceString.length}
+${pageLines.join('\n')}
+    frames:     .word ${emptyFrames}   # ${frames} Frames
+
+    # --- OUTPUT STRINGS ---
+    str_req:    .asciiz "\\nRequest: "
+    str_miss:   .asciiz " [MISS] Stack: ["
+    str_hit:    .asciiz " [HIT]  Stack: ["
+    str_space:  .asciiz " "
+    str_close:  .asciiz "]"
+    str_fault:  .asciiz "\\n\\nTotal Page Faults: "
+
+.text
+.globl main
+
+main:
+    # ============================
+    #    1. PRELOADED INPUT
+    # ============================
+    lw $s1, page_count  # $s1 = Total Pages (Limit)
+
+# ============================
+#    2. START SIMULATION
+# ============================
+start_simulation:
+    # Reset Pointers/Counters for the Logic
+    la $s0, pages       # Pointer to start of pages
+    la $s2, frames      # Pointer to frames
+
+    li $s3, 0           # Count (Size of stack)
+    li $s4, 0           # Page Faults
+    li $t0, 0           # i = 0
+
+# ============================
+#        MAIN LOGIC LOOP
+# ============================
+loop:
+    beq $t0, $s1, exit_program  # If i == Total, Exit
+
+    lw $t1, 0($s0)      # Load current Page Request
+
+    # Print Request
+    li $v0, 4
+    la $a0, str_req
+    syscall
+    li $v0, 1
+    move $a0, $t1
+    syscall
+
+    # --- CHECK FOR HIT ---
+    li $t2, 0           # Hit Flag (0=False)
+    li $t3, 0           # j = 0
+
+check_hit_loop:
+    beq $t3, $s3, hit_check_done # If checked all, stop
+
+    # Calculate address
+    sll $t8, $t3, 2     # offset = j*4
+    add $t8, $s2, $t8   # addr = frames + offset
+    lw  $t4, 0($t8)     # load value
+
+    beq $t4, $t1, is_hit
+
+    addi $t3, $t3, 1    # j++
+    j check_hit_loop
+
+is_hit:
+    li $t2, 1           # Set Hit Flag
+
+hit_check_done:
+    beq $t2, 1, handle_hit
+
+    # --- HANDLE MISS ---
+    addi $s4, $s4, 1    # Faults++
+
+    # Print MISS String
+    li $v0, 4
+    la $a0, str_miss
+    syscall
+
+    li $t9, ${frames}
+    bge $s3, $t9, replace_lifo
+
+    # Not Full -> Append
+    move $t5, $s3       # Index = Count
+    addi $s3, $s3, 1    # Count++
+    j perform_write
+
+replace_lifo:
+    # Full -> Replace Index ${frames - 1} (Last In)
+    li $t5, ${frames - 1}
+
+perform_write:
+    sll $t6, $t5, 2
+    add $t8, $s2, $t6
+    sw  $t1, 0($t8)
+    j print_stack
+
+handle_hit:
+    # Print HIT String
+    li $v0, 4
+    la $a0, str_hit
+    syscall
+
+# --- PRINT STACK CONTENT ---
+print_stack:
+    li $t7, 0           # k = 0
+    la $t8, frames      # Reset pointer to frames
+
+print_loop:
+    beq $t7, $s3, print_end
+
+    li $v0, 4
+    la $a0, str_space
+    syscall
+
+    lw $a0, 0($t8)
+    li $v0, 1
+    syscall
+
+    addi $t8, $t8, 4
+    addi $t7, $t7, 1
+    j print_loop
+
+print_end:
+    li $v0, 4
+    la $a0, str_close
+    syscall
+
+    # --- NEXT ITERATION ---
+    addi $s0, $s0, 4    # Next page input
+    addi $t0, $t0, 1    # i++
+    j loop
+
+# ============================
+#        EXIT
+# ============================
+exit_program:
+    li $v0, 4
+    la $a0, str_fault
+    syscall
+
+    li $v0, 1
+    move $a0, $s4
+    syscall
+
+    li $v0, 10
+    syscall
+`;
+}
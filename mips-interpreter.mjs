@@ -0,0 +1,559 @@
+/**
+ * MIPS Interpreter
+ * A small assembler and interpreter for the MIPS subset cpu-lator.txt is
+ * written in (plus the usual arithmetic, logic, branch and memory
+ * instructions), laid out like MARS: text at 0x00400000, data at 0x10010000,
+ * little-endian words. Syscalls 1, 4, 5, 10, 11 and 17 are supported.
+ * DOM-free; script.js draws the register and memory viewer.
+ */
+
+// ==================== MACHINE LAYOUT ====================
+export const TEXT_BASE = 0x00400000;
+export const DATA_BASE = 0x10010000;
+const GLOBAL_POINTER = 0x10008000;
+const STACK_TOP = 0x7fffeffc;
+const STACK_SIZE = 64 * 1024;
+const HEAP_SIZE = 64 * 1024; // room after the .data section for programs that run past it
+export const MAX_STEPS = 1000000;
+
+export const REGISTER_NAMES = [
+    'zero', 'at', 'v0', 'v1', 'a0', 'a1', 'a2', 'a3',
+    't0', 't1', 't2', 't3', 't4', 't5', 't6', 't7',
+    's0', 's1', 's2', 's3', 's4', 's5', 's6', 's7',
+    't8', 't9', 'k0', 'k1', 'gp', 'sp', 'fp', 'ra'
+];
+
+// ==================== INSTRUCTION SET ====================
+// Operand patterns: r = register, i = immediate, l = label, m = memory
+// operand ("4($t0)", "($t0)" or a data label), o = register or immediate.
+// Pseudo-instructions (li, la, move, blt, bge, ... and branches against an
+// immediate) take one instruction slot here, so text addresses after them
+// differ from MARS, which expands them.
+const toInt = (value) => value | 0;
+const toUnsigned = (value) => value >>> 0;
+
+const INSTRUCTIONS = {
+    // Arithmetic and logic
+    add: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, checkedSum(m.get(s), m.get(t))) },
+    addu: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) + m.get(t)) },
+    sub: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, checkedSum(m.get(s), -m.get(t))) },
+    subu: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) - m.get(t)) },
+    mul: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, Math.imul(m.get(s), m.get(t))) },
+    and: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) & m.get(t)) },
+    or: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) | m.get(t)) },
+    xor: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) ^ m.get(t)) },
+    nor: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, ~(m.get(s) | m.get(t))) },
+    slt: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) < m.get(t) ? 1 : 0) },
+    sltu: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, toUnsigned(m.get(s)) < toUnsigned(m.get(t)) ? 1 : 0) },
+    sllv: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) << (m.get(t) & 31)) },
+    srlv: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) >>> (m.get(t) & 31)) },
+    srav: { operands: 'rrr', run: (m, [d, s, t]) => m.set(d, m.get(s) >> (m.get(t) & 31)) },
+    addi: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, checkedSum(m.get(s), imm)) },
+    addiu: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, m.get(s) + imm) },
+    andi: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, m.get(s) & (imm & 0xffff)) },
+    ori: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, m.get(s) | (imm & 0xffff)) },
+    xori: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, m.get(s) ^ (imm & 0xffff)) },
+    slti: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, m.get(s) < imm ? 1 : 0) },
+    sltiu: { operands: 'rri', run: (m, [d, s, imm]) => m.set(d, toUnsigned(m.get(s)) < toUnsigned(imm) ? 1 : 0) },
+    sll: { operands: 'rri', run: (m, [d, s, shift]) => m.set(d, m.get(s) << (shift & 31)) },
+    srl: { operands: 'rri', run: (m, [d, s, shift]) => m.set(d, m.get(s) >>> (shift & 31)) },
+    sra: { operands: 'rri', run: (m, [d, s, shift]) => m.set(d, m.get(s) >> (shift & 31)) },
+    mult: { operands: 'rr', run: (m, [s, t]) => m.setHiLo(BigInt(m.get(s)) * BigInt(m.get(t))) },
+    div: {
+        operands: 'rr',
+        run: (m, [s, t]) => {
+            if (m.get(t) === 0) return m.fail('division by zero');
+            m.hi = toInt(m.get(s) % m.get(t));
+            m.lo = toInt(m.get(s) / m.get(t));
+        }
+    },
+    mfhi: { operands: 'r', run: (m, [d]) => m.set(d, m.hi) },
+    mflo: { operands: 'r', run: (m, [d]) => m.set(d, m.lo) },
+    lui: { operands: 'ri', run: (m, [d, imm]) => m.set(d, imm << 16) },
+    li: { operands: 'ri', run: (m, [d, imm]) => m.set(d, imm) },
+    la: { operands: 'rl', run: (m, [d, address]) => m.set(d, address) },
+    move: { operands: 'rr', run: (m, [d, s]) => m.set(d, m.get(s)) },
+    nop: { operands: '', run: () => {} },
+
+    // Memory
+    lw: { operands: 'rm', run: (m, [d, address]) => m.set(d, m.load(address, 4)) },
+    lh: { operands: 'rm', run: (m, [d, address]) => m.set(d, m.load(address, 2)) },
+    lhu: { operands: 'rm', run: (m, [d, address]) => m.set(d, m.load(address, 2) & 0xffff) },
+    lb: { operands: 'rm', run: (m, [d, address]) => m.set(d, m.load(address, 1)) },
+    lbu: { operands: 'rm', run: (m, [d, address]) => m.set(d, m.load(address, 1) & 0xff) },
+    sw: { operands: 'rm', run: (m, [s, address]) => m.store(address, 4, m.get(s)) },
+    sh: { operands: 'rm', run: (m, [s, address]) => m.store(address, 2, m.get(s)) },
+    sb: { operands: 'rm', run: (m, [s, address]) => m.store(address, 1, m.get(s)) },
+
+    // Branches and jumps
+    beq: { operands: 'rol', run: (m, [s, t, target]) => m.branchIf(m.get(s) === t, target) },
+    bne: { operands: 'rol', run: (m, [s, t, target]) => m.branchIf(m.get(s) !== t, target) },
+    blt: { operands: 'rol', run: (m, [s, t, target]) => m.branchIf(m.get(s) < t, target) },
+    ble: { operands: 'rol', run: (m, [s, t, target]) => m.branchIf(m.get(s) <= t, target) },
+    bgt: { operands: 'rol', run: (m, [s, t, target]) => m.branchIf(m.get(s) > t, target) },
+    bge: { operands: 'rol', run: (m, [s, t, target]) => m.branchIf(m.get(s) >= t, target) },
+    beqz: { operands: 'rl', run: (m, [s, target]) => m.branchIf(m.get(s) === 0, target) },
+    bnez: { operands: 'rl', run: (m, [s, target]) => m.branchIf(m.get(s) !== 0, target) },
+    bltz: { operands: 'rl', run: (m, [s, target]) => m.branchIf(m.get(s) < 0, target) },
+    blez: { operands: 'rl', run: (m, [s, target]) => m.branchIf(m.get(s) <= 0, target) },
+    bgtz: { operands: 'rl', run: (m, [s, target]) => m.branchIf(m.get(s) > 0, target) },
+    bgez: { operands: 'rl', run: (m, [s, target]) => m.branchIf(m.get(s) >= 0, target) },
+    b: { operands: 'l', run: (m, [target]) => m.branchIf(true, target) },
+    j: { operands: 'l', run: (m, [target]) => m.branchIf(true, target) },
+    jal: {
+        operands: 'l',
+        run: (m, [target]) => {
+            m.set(31, m.pc + 4);
+            m.branchIf(true, target);
+        }
+    },
+    jr: { operands: 'r', run: (m, [s]) => m.branchIf(true, m.get(s)) },
+    jalr: {
+        operands: 'r',
+        run: (m, [s]) => {
+            const target = m.get(s);
+            m.set(31, m.pc + 4);
+            m.branchIf(true, target);
+        }
+    },
+
+    syscall: { operands: '', run: (m) => m.syscall() }
+};
+
+// add/addi/sub trap on signed overflow, like the real instructions
+function checkedSum(a, b) {
+    const sum = a + b;
+    if (sum > 0x7fffffff || sum < -0x80000000) machineFail('arithmetic overflow');
+    return sum;
+}
+
+// Errors the running program caused (bad address, overflow, ...), as opposed
+// to bugs in the interpreter itself
+function machineFail(message) {
+    throw Object.assign(new Error(message), { isMachineError: true });
+}
+
+// ==================== ASSEMBLER ====================
+// Assembles a program. Returns { instructions, labels, data, source } or
+// { error } (with the line number). instructions[k] sits at TEXT_BASE + 4k:
+// { name, operands, line, text }. data holds the initial .data bytes.
+export function assemble(source) {
+    const lines = source.split(/\r?\n/);
+    const labels = {};
+    const pendingLabels = [];
+    const statements = [];
+    const data = [];
+    let segment = 'text';
+
+    const fail = (lineNumber, message) => ({ error: `Line ${lineNumber}: ${message}` });
+    // Labels written before a directive or instruction point at where it starts
+    const placeLabels = (address) => {
+        pendingLabels.forEach(label => { labels[label] = address; });
+        pendingLabels.length = 0;
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+        const lineNumber = index + 1;
+        let text = stripComment(lines[index]).trim();
+
+        let labelMatch;
+        while ((labelMatch = /^([A-Za-z_.$][\w.$]*)\s*:/.exec(text))) {
+            const label = labelMatch[1];
+            if (Object.hasOwn(labels, label) || pendingLabels.includes(label)) return fail(lineNumber, `label "${label}" is defined twice`);
+            pendingLabels.push(label);
+            text = text.slice(labelMatch[0].length).trim();
+        }
+        if (!text) continue;
+
+        const [word, rest = ''] = splitFirst(text);
+
+        if (word.startsWith('.')) {
+            const directive = word.toLowerCase();
+            if (directive === '.data' || directive === '.text') {
+                segment = directive.slice(1);
+                continue;
+            }
+            if (['.globl', '.global', '.extern', '.ent', '.end'].includes(directive)) continue;
+            if (segment !== 'data') return fail(lineNumber, `${directive} only belongs in the .data section`);
+
+            const emitted = assembleDirective(directive, rest, data, placeLabels);
+            if (emitted.error) return fail(lineNumber, emitted.error);
+            continue;
+        }
+
+        if (segment !== 'text') return fail(lineNumber, `instruction "${word}" in the .data section`);
+        const name = word.toLowerCase();
+        // hasOwn: "constructor" or "toString" are not instructions
+        if (!Object.hasOwn(INSTRUCTIONS, name)) return fail(lineNumber, `unknown instruction "${word}"`);
+
+        placeLabels(TEXT_BASE + statements.length * 4);
+        statements.push({ name, rest, line: lineNumber, text });
+    }
+    placeLabels(segment === 'data' ? DATA_BASE + data.length : TEXT_BASE + statements.length * 4);
+
+    // Second pass: operands, now that every label has an address
+    const instructions = [];
+    for (const statement of statements) {
+        const operands = parseOperands(statement, labels);
+        if (operands.error) return fail(statement.line, operands.error);
+        instructions.push({ name: statement.name, operands, line: statement.line, text: statement.text });
+    }
+
+    if (instructions.length === 0) return { error: 'The program has no instructions.' };
+    return { instructions, labels, data: Uint8Array.from(data), source };
+}
+
+function assembleDirective(directive, rest, data, placeLabels) {
+    const align = (size) => { while (data.length % size !== 0) data.push(0); };
+
+    if (directive === '.align') {
+        const power = parseImmediate(rest.trim());
+        if (power === null || power < 0 || power > 3) return { error: '.align takes 0 to 3' };
+        align(2 ** power);
+        return {};
+    }
+
+    if (directive === '.space') {
+        const size = parseImmediate(rest.trim());
+        if (size === null || size < 0) return { error: '.space needs a byte count' };
+        placeLabels(DATA_BASE + data.length);
+        for (let i = 0; i < size; i++) data.push(0);
+        return {};
+    }
+
+    if (directive === '.ascii' || directive === '.asciiz') {
+        const match = /^"((?:[^"\\]|\\.)*)"$/.exec(rest.trim());
+        if (!match) return { error: `${directive} needs a string in double quotes` };
+        placeLabels(DATA_BASE + data.length);
+        for (const char of unescapeString(match[1])) data.push(char.charCodeAt(0) & 0xff);
+        if (directive === '.asciiz') data.push(0);
+        return {};
+    }
+
+    const sizes = { '.word': 4, '.half': 2, '.byte': 1 };
+    if (sizes[directive]) {
+        const size = sizes[directive];
+        const values = rest.split(',').map(value => parseImmediate(value.trim()));
+        if (values.length === 0 || values.includes(null)) return { error: `${directive} needs a list of numbers` };
+        align(size);
+        placeLabels(DATA_BASE + data.length);
+        values.forEach(value => {
+            for (let byte = 0; byte < size; byte++) data.push((value >> (8 * byte)) & 0xff);
+        });
+        return {};
+    }
+
+    return { error: `unsupported directive ${directive}` };
+}
+
+function parseOperands(statement, labels) {
+    const pattern = INSTRUCTIONS[statement.name].operands;
+    const parts = statement.rest.trim() === '' ? [] : statement.rest.split(',').map(part => part.trim());
+    if (parts.length !== pattern.length) {
+        return { error: `${statement.name} takes ${pattern.length} operand(s), got ${parts.length}` };
+    }
+
+    const operands = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const part = parts[i];
+        let value = null;
+
+        if (pattern[i] === 'r') value = parseRegister(part);
+        else if (pattern[i] === 'i') value = parseImmediate(part);
+        else if (pattern[i] === 'l') value = Object.hasOwn(labels, part) ? labels[part] : null;
+        else if (pattern[i] === 'o') {
+            // Register, or an immediate for the pseudo-branch form ("beq $t2, 1, label")
+            const register = parseRegister(part);
+            value = register !== null ? { register } : parseImmediate(part);
+        } else if (pattern[i] === 'm') value = parseMemoryOperand(part, labels);
+
+        if (value === null) {
+            const expected = { r: 'a register', i: 'a number', l: 'a known label', o: 'a register or number', m: 'an address like 4($t0)' }[pattern[i]];
+            return { error: `${statement.name} operand ${i + 1} should be ${expected}, not "${part}"` };
+        }
+        operands.push(value);
+    }
+    return operands;
+}
+
+// "$t0", "$8" or "$zero" -> register number, else null
+function parseRegister(text) {
+    const match = /^\$(\w+)$/.exec(text);
+    if (!match) return null;
+    if (/^\d+$/.test(match[1])) {
+        const number = Number(match[1]);
+        return number < 32 ? number : null;
+    }
+    const number = REGISTER_NAMES.indexOf(match[1]);
+    return number === -1 ? null : number;
+}
+
+// Decimal, hex (0x..) or a character ('a'), as a 32-bit value; null otherwise
+function parseImmediate(text) {
+    const char = /^'(\\?.)'$/.exec(text);
+    if (char) return unescapeString(char[1]).charCodeAt(0);
+    if (!/^[+-]?(0x[0-9a-f]+|\d+)$/i.test(text)) return null;
+
+    const negative = text.startsWith('-');
+    const magnitude = Number(text.replace(/^[+-]/, ''));
+    if (magnitude > 0xffffffff) return null;
+    return toInt(negative ? -magnitude : magnitude);
+}
+
+// "8($sp)", "($t0)", "label" or "label($t0)" -> { base, offset }
+function parseMemoryOperand(text, labels) {
+    const match = /^([^()]*)\(\s*(\$\w+)\s*\)$/.exec(text);
+    const offsetText = (match ? match[1] : text).trim();
+    const base = match ? parseRegister(match[2]) : 0;
+    if (base === null) return null;
+
+    let offset = 0;
+    if (offsetText !== '') {
+        offset = Object.hasOwn(labels, offsetText) ? labels[offsetText] : parseImmediate(offsetText);
+        if (offset === null) return null;
+    } else if (!match) {
+        return null;
+    }
+    return { base, offset };
+}
+
+function stripComment(line) {
+    let inString = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\') i++;
+        else if (line[i] === '"') inString = !inString;
+        else if (line[i] === '#' && !inString) return line.slice(0, i);
+    }
+    return line;
+}
+
+function splitFirst(text) {
+    const match = /^(\S+)\s*(.*)$/.exec(text);
+    return [match[1], match[2]];
+}
+
+function unescapeString(text) {
+    const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0', '\\': '\\', '"': '"', "'": "'" };
+    return text.replace(/\\(.)/g, (_, char) => escapes[char] ?? char);
+}
+
+// ==================== MACHINE ====================
+// A machine loaded with an assembled program. `input` feeds syscall 5 (read
+// integer) in order. step() runs one instruction and run() goes until the
+// program exits, fails or hits maxSteps; afterwards `error` holds the reason
+// it stopped early (with the source line), or null.
+export function createMachine(program, input = []) {
+    const registers = new Int32Array(32);
+    registers[28] = GLOBAL_POINTER;
+    registers[29] = STACK_TOP;
+
+    const dataBytes = new Uint8Array(program.data.length + HEAP_SIZE);
+    dataBytes.set(program.data);
+    const dataView = new DataView(dataBytes.buffer);
+    const stackView = new DataView(new ArrayBuffer(STACK_SIZE));
+    const stackBase = STACK_TOP + 4 - STACK_SIZE;
+    const pendingInput = [...input];
+
+    let nextPc = null;
+
+    // Where `address` lives: [view, offset into it] or null
+    const locate = (address, size) => {
+        if (address >= DATA_BASE && address + size <= DATA_BASE + dataBytes.length) return [dataView, address - DATA_BASE];
+        if (address >= stackBase && address + size <= STACK_TOP + 4) return [stackView, address - stackBase];
+        return null;
+    };
+
+    const machine = {
+        registers,
+        pc: TEXT_BASE,
+        hi: 0,
+        lo: 0,
+        output: '',
+        steps: 0,
+        halted: false,
+        exitCode: 0,
+        error: null,
+        program,
+
+        get: (register) => registers[register],
+        set: (register, value) => { if (register !== 0) registers[register] = value; },
+        setHiLo: (product) => {
+            machine.hi = Number(BigInt.asIntN(32, product >> 32n));
+            machine.lo = Number(BigInt.asIntN(32, product));
+        },
+        fail: machineFail,
+        branchIf: (condition, target) => { if (condition) nextPc = target; },
+
+        load: ({ base, offset }, size) => {
+            const address = toUnsigned(registers[base] + offset);
+            const place = checkAccess(address, size);
+            if (size === 4) return place[0].getInt32(place[1], true);
+            if (size === 2) return place[0].getInt16(place[1], true);
+            return place[0].getInt8(place[1]);
+        },
+        store: ({ base, offset }, size, value) => {
+            const address = toUnsigned(registers[base] + offset);
+            const place = checkAccess(address, size);
+            if (size === 4) place[0].setInt32(place[1], value, true);
+            else if (size === 2) place[0].setInt16(place[1], value, true);
+            else place[0].setInt8(place[1], value);
+        },
+
+        // Word at a data or stack address (for the memory viewer), or null
+        readWord: (address) => {
+            const place = locate(address, 4);
+            return place ? place[0].getInt32(place[1], true) : null;
+        },
+
+        syscall: () => {
+            const code = registers[2];
+            if (code === 1) machine.output += String(registers[4]);
+            else if (code === 4) machine.output += readString(toUnsigned(registers[4]));
+            else if (code === 11) machine.output += String.fromCharCode(registers[4] & 0xff);
+            else if (code === 5) {
+                if (pendingInput.length === 0) machine.fail('the program asked for more input than was given');
+                registers[2] = toInt(pendingInput.shift());
+            } else if (code === 10 || code === 17) {
+                machine.halted = true;
+                machine.exitCode = code === 17 ? registers[4] : 0;
+            } else {
+                machine.fail(`syscall ${code} is not supported`);
+            }
+        },
+
+        // Source line of the next instruction, or null once the program is done
+        currentInstruction: () => program.instructions[(machine.pc - TEXT_BASE) / 4] || null,
+
+        step: () => {
+            if (machine.halted) return false;
+
+            const instruction = machine.currentInstruction();
+            if (!instruction) {
+                // Ran past the last instruction, which MARS also treats as the end
+                machine.halted = true;
+                return false;
+            }
+
+            nextPc = null;
+            try {
+                const operands = instruction.operands.map(operand =>
+                    operand && operand.register !== undefined ? registers[operand.register] : operand);
+                INSTRUCTIONS[instruction.name].run(machine, operands);
+            } catch (err) {
+                if (!err.isMachineError) throw err;
+                machine.error = `Line ${instruction.line} (${instruction.text}): ${err.message}`;
+                machine.halted = true;
+                return false;
+            }
+
+            machine.steps++;
+            machine.pc = nextPc === null ? machine.pc + 4 : toUnsigned(nextPc);
+            if (machine.pc % 4 !== 0 || !machine.currentInstruction()) {
+                if (nextPc !== null && !machine.halted) {
+                    machine.error = `Line ${instruction.line} (${instruction.text}): jump to 0x${hex(machine.pc)} outside the program`;
+                    machine.halted = true;
+                }
+            }
+            return !machine.halted;
+        },
+
+        run: (maxSteps = MAX_STEPS) => {
+            while (machine.step()) {
+                if (machine.steps >= maxSteps) {
+                    machine.error = `Stopped after ${maxSteps} instructions; the program may be stuck in a loop.`;
+                    machine.halted = true;
+                }
+            }
+            return machine;
+        }
+    };
+
+    const checkAccess = (address, size) => {
+        if (address % size !== 0) machine.fail(`address 0x${hex(address)} is not aligned to ${size} bytes`);
+        const place = locate(address, size);
+        if (!place) machine.fail(`address 0x${hex(address)} is outside data and stack memory`);
+        return place;
+    };
+
+    const readString = (address) => {
+        let text = '';
+        for (;;) {
+            const place = locate(address + text.length, 1);
+            if (!place) machine.fail(`string at 0x${hex(address)} runs outside memory`);
+            const byte = place[0].getUint8(place[1]);
+            if (byte === 0) return text;
+            text += String.fromCharCode(byte);
+        }
+    };
+
+    return machine;
+}
+
+// 8-digit hex, e.g. "10010000"
+export function hex(value) {
+    return toUnsigned(value).toString(16).padStart(8, '0');
+}
+
+// ==================== CPU-LATOR TRACE ====================
+// cpu-lator.txt reads the page count and then every page with syscall 5
+export function cpuLatorInput(referenceString) {
+    return [referenceString.length, ...referenceString];
+}
+
+// Reads the "Request: 7 [MISS] Stack: [ 7 0]" lines the program prints.
+// Returns { steps: [{ page, isHit, frames }], faults } (faults is null when the
+// total line is missing, e.g. the program stopped early).
+export function parseLifoTrace(output) {
+    const steps = [];
+    const stepPattern = /Request:\s*(-?\d+)\s*\[(HIT|MISS)\]\s*Stack:\s*\[([^\]]*)\]/g;
+    let match;
+    while ((match = stepPattern.exec(output))) {
+        steps.push({
+            page: Number(match[1]),
+            isHit: match[2] === 'HIT',
+            frames: match[3].trim() === '' ? [] : match[3].trim().split(/\s+/).map(Number)
+        });
+    }
+
+    const faults = /Total Page Faults:\s*(-?\d+)/.exec(output);
+    return { steps, faults: faults ? Number(faults[1]) : null };
+}
+
+// The text cpu-lator.txt prints for a LIFO run (after its prompts), from the
+// simulator's history: one "Request" line per step and the fault total
+export function formatLifoTrace(history) {
+    let output = '';
+    let faults = 0;
+    for (let i = 0; i < history.length; i++) {
+        const step = history.at(i);
+        if (step.isFault) faults++;
+        const frames = step.frames.filter(page => page !== null).map(page => ` ${page}`).join('');
+        output += `\nRequest: ${step.page}${step.isHit ? ' [HIT]  Stack: [' : ' [MISS] Stack: ['}${frames}]`;
+    }
+    return `${output}\n\nTotal Page Faults: ${faults}`;
+}
+
+// Compares the program's trace with the simulator's history step by step.
+// Returns [{ step, fields }] where fields names what differs: 'page',
+// 'hit/miss', 'frames', or 'missing step' / 'extra step' when one side is shorter.
+export function compareLifoTrace(traceSteps, history) {
+    const differences = [];
+
+    for (let i = 0; i < Math.max(traceSteps.length, history.length); i++) {
+        const traced = traceSteps[i];
+        const expected = i < history.length ? history.at(i) : null;
+        if (!traced || !expected) {
+            differences.push({ step: i + 1, fields: [traced ? 'extra step' : 'missing step'] });
+            continue;
+        }
+
+        const fields = [];
+        if (traced.page !== expected.page) fields.push('page');
+        if (traced.isHit !== expected.isHit) fields.push('hit/miss');
+        const frames = expected.frames.filter(page => page !== null);
+        if (traced.frames.join(' ') !== frames.join(' ')) fields.push('frames');
+        if (fields.length > 0) differences.push({ step: i + 1, fields });
+    }
+
+    return differences;
+}
@@ -0,0 +1,105 @@
+/**
+ * Narration
+ * What the voice assistant says for a step, its voice settings, and a
+ * narrator around the Web Speech API that tells when an utterance has
+ * finished, so autoplay can wait for it. DOM-free: the speech engine is
+ * passed in (window.speechSynthesis in the page, a fake in the tests).
+ */
+
+export const DEFAULT_NARRATION_SETTINGS = {
+    voice: '', // voice name; '' = the system default
+    rate: 1.1,
+    pitch: 1,
+    narratedPlayback: false // autoplay waits for each step's narration
+};
+
+// Browsers accept rate 0.1-10 and pitch 0-2; beyond 2x speech is unintelligible
+export const RATE_RANGE = { min: 0.5, max: 2 };
+export const PITCH_RANGE = { min: 0, max: 2 };
+
+function clamp(value, { min, max }, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// Fills in missing fields and keeps rate and pitch in range
+export function normalizeNarrationSettings(raw = {}) {
+    const settings = { ...DEFAULT_NARRATION_SETTINGS, ...raw };
+    return {
+        voice: typeof settings.voice === 'string' ? settings.voice : '',
+        rate: clamp(settings.rate, RATE_RANGE, DEFAULT_NARRATION_SETTINGS.rate),
+        pitch: clamp(settings.pitch, PITCH_RANGE, DEFAULT_NARRATION_SETTINGS.pitch),
+        narratedPlayback: Boolean(settings.narratedPlayback)
+    };
+}
+
+// What is said for a step; `policy` is an entry of replacementPolicies
+export function stepNarration(stepData, policy) {
+    const page = stepData.page;
+    if (stepData.isHit) return `Page ${page} is already in memory. It is a Hit.`;
+    if (stepData.replacedPage === null) return `Page ${page} requested. Fault. Loaded into an empty frame.`;
+
+    // Replacement occurred: say why the policy chose this victim
+    const writeBack = stepData.writeBack ? ' It was modified, so it is written back to disk first.' : '';
+    return `Page ${page} requested. Memory full. Replacing page ${stepData.replacedPage}, ${policy.victimReason}.${writeBack}`;
+}
+
+// Some engines never fire "end" (Chrome drops it for long utterances, or
+// with no voices installed), so an utterance counts as finished after about
+// this long at the chosen rate
+export function expectedSpeechMs(text, rate = 1) {
+    const words = String(text).split(/\s+/).filter(Boolean).length;
+    return 2000 + (words * 500) / rate;
+}
+
+// createNarrator(synth, makeUtterance, { onCaption }): synth is a
+// speechSynthesis, makeUtterance(text) a SpeechSynthesisUtterance.
+// speak() interrupts whatever is being said and resolves when the new text
+// has been spoken, interrupted or timed out. onCaption(text, speaking) shows
+// what is being said.
+export function createNarrator(synth, makeUtterance, { onCaption = () => {}, setTimer = setTimeout, clearTimer = clearTimeout } = {}) {
+    let current = null; // { finish } of the utterance being spoken
+
+    function finishCurrent() {
+        if (current) current.finish();
+    }
+
+    return {
+        speak(text, settings = DEFAULT_NARRATION_SETTINGS, voices = []) {
+            finishCurrent();
+            synth.cancel();
+
+            const utterance = makeUtterance(text);
+            utterance.rate = settings.rate;
+            utterance.pitch = settings.pitch;
+            utterance.volume = 1;
+            const voice = voices.find(candidate => candidate.name === settings.voice);
+            if (voice) utterance.voice = voice;
+
+            return new Promise(resolve => {
+                const entry = {};
+                const timer = setTimer(() => entry.finish(), expectedSpeechMs(text, settings.rate));
+                entry.finish = () => {
+                    if (current !== entry) return;
+                    current = null;
+                    clearTimer(timer);
+                    onCaption(text, false);
+                    resolve();
+                };
+                current = entry;
+
+                utterance.onend = entry.finish;
+                utterance.onerror = entry.finish;
+                onCaption(text, true);
+                synth.speak(utterance);
+            });
+        },
+
+        cancel() {
+            finishCurrent();
+            synth.cancel();
+        },
+
+        isSpeaking: () => current !== null
+    };
+}
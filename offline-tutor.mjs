@@ -0,0 +1,376 @@
+/**
+ * Offline Tutor
+ * Answers chatbot questions without an AI provider. Questions about the
+ * loaded run ("why was 2 evicted at step 6?") are answered from its state
+ * history; anything else is looked up in a small knowledge base made of the
+ * explanation tab's cards and the README's sections. DOM-free.
+ */
+import { formatStackEntries } from './simulation-core.mjs';
+
+// Sections longer than this are split into passages at blank lines
+export const PASSAGE_CHARS = 600;
+
+// Words that say nothing about what is asked
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did',
+    'what', 'why', 'how', 'when', 'which', 'who', 'where', 'can', 'could', 'would', 'should',
+    'i', 'me', 'my', 'you', 'your', 'we', 'it', 'its', 'this', 'that', 'these', 'those',
+    'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'about', 'and', 'or', 'so',
+    'tell', 'explain', 'please', 'show', 'give', 'mean', 'means', 'there', 'some', 'any',
+    'work', 'works'
+]);
+
+// The same thing said differently; keys and values are plain words
+const SYNONYMS = {
+    pros: ['advantages'],
+    benefit: ['advantages'],
+    good: ['advantages'],
+    cons: ['disadvantages'],
+    drawback: ['disadvantages'],
+    bad: ['disadvantages'],
+    miss: ['fault'],
+    evict: ['replace'],
+    evicted: ['replace'],
+    victim: ['replace'],
+    removed: ['replace'],
+    newest: ['recent'],
+    flowchart: ['flow'],
+    diagram: ['flowchart'],
+    example: ['worked'],
+    metrics: ['performance', 'ratio'],
+    ratio: ['metrics'],
+    rate: ['metrics'],
+    formula: ['metrics'],
+    spim: ['mips'],
+    assembly: ['mips'],
+    registers: ['register']
+};
+
+// ==================== TEXT ====================
+
+// Crude stemming so "replaced", "replaces" and "replace" meet
+function stem(word) {
+    let w = word.replace(/'s$/, '');
+    if (w.length > 4 && w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+    else if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+    if (w.length > 5 && w.endsWith('ing')) w = w.slice(0, -3);
+    else if (w.length > 4 && w.endsWith('ed')) w = w.slice(0, -2);
+    if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+    return w;
+}
+
+// "Why does LIFO replace pages?" -> ['lifo', 'replac', 'pag']
+export function tokenize(text) {
+    const words = String(text).toLowerCase().match(/[a-z0-9$]+(?:'[a-z]+)?/g) || [];
+    return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+// Question words plus their synonyms
+function queryTerms(question) {
+    const words = String(question).toLowerCase().match(/[a-z0-9$]+(?:'[a-z]+)?/g) || [];
+    const extra = words.flatMap(word => SYNONYMS[word] || []);
+    return [...new Set(tokenize([...words, ...extra].join(' ')))];
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// GitHub's anchor for a heading: "Advantages & Disadvantages" -> "advantages--disadvantages"
+export function slugify(title) {
+    return title.toLowerCase().trim().replace(/[^a-z0-9 _-]/g, '').replace(/ /g, '-');
+}
+
+// ==================== MARKDOWN ====================
+
+// Splits a Markdown file at its headings. Lines starting with # inside
+// ``` fences are comments, not headings. Returns
+// [{ title, parents, chapter, slug, body }], parents being the enclosing
+// headings and chapter the ## heading the section is in.
+export function splitMarkdownSections(markdown) {
+    const sections = [];
+    const path = [];
+    const slugCounts = {};
+    let current = null;
+    let inFence = false;
+
+    markdown.split('\n').forEach(line => {
+        if (/^\s*```/.test(line)) inFence = !inFence;
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+
+        if (!heading) {
+            if (current) current.lines.push(line);
+            return;
+        }
+
+        const level = heading[1].length;
+        const title = heading[2].replace(/[*`]/g, '').trim();
+        while (path.length > 0 && path[path.length - 1].level >= level) path.pop();
+
+        // Repeated headings get -1, -2, ... like on GitHub
+        let slug = slugify(title);
+        if (slug in slugCounts) slug = `${slug}-${++slugCounts[slug]}`;
+        else slugCounts[slug] = 0;
+
+        const chapter = level === 2 ? title : (path.find(entry => entry.level === 2) || { title: '' }).title;
+        current = { title, parents: path.map(entry => entry.title), chapter, slug, lines: [] };
+        sections.push(current);
+        path.push({ level, title });
+    });
+
+    return sections.map(({ lines, ...section }) => ({ ...section, body: lines.join('\n').trim() }));
+}
+
+// Blank-line separated blocks, keeping ``` fences whole
+function splitBlocks(body) {
+    const blocks = [];
+    let block = [];
+    let inFence = false;
+
+    body.split('\n').forEach(line => {
+        if (/^\s*```/.test(line)) inFence = !inFence;
+        if (!inFence && line.trim() === '') {
+            if (block.length > 0) blocks.push(block.join('\n'));
+            block = [];
+        } else {
+            block.push(line);
+        }
+    });
+    if (block.length > 0) blocks.push(block.join('\n'));
+    return blocks;
+}
+
+// The passages of a Markdown file, each linking to its section as
+// `${file}#${slug}`. Long sections become several passages. chapters keeps
+// only the sections under ## headings starting with one of its entries.
+export function markdownPassages(markdown, file, { chapters = null } = {}) {
+    const passages = [];
+
+    splitMarkdownSections(markdown).forEach(section => {
+        if (!section.body || /table of contents/i.test(section.title)) return;
+        if (chapters && !chapters.some(start => section.chapter.startsWith(start))) return;
+
+        let text = '';
+        splitBlocks(section.body).forEach(block => {
+            if (text && text.length + block.length > PASSAGE_CHARS) {
+                passages.push({ title: section.title, context: section.parents.join(' '), text, link: { href: `${file}#${section.slug}` } });
+                text = '';
+            }
+            text = text ? `${text}\n\n${block}` : block;
+        });
+        if (text) passages.push({ title: section.title, context: section.parents.join(' '), text, link: { href: `${file}#${section.slug}` } });
+    });
+
+    return passages;
+}
+
+// ==================== KNOWLEDGE BASE ====================
+
+// BM25 over the passages, plus a bonus for words of the passage's title,
+// which says best what it is about, and half that for the enclosing headings.
+// A passage is { title, context?, text, link }; context holds those headings.
+export function createKnowledgeBase(passages) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const titleBonus = 1.5;
+
+    const documents = passages.map(passage => {
+        const terms = [...tokenize(passage.context || ''), ...tokenize(passage.text)];
+        const titleTerms = new Set(tokenize(passage.title));
+        const contextTerms = new Set(tokenize(passage.context || ''));
+        const counts = new Map();
+        [...titleTerms, ...terms].forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return { passage, counts, titleTerms, contextTerms, length: terms.length };
+    });
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / Math.max(1, documents.length);
+    const documentFrequency = new Map();
+    documents.forEach(doc => doc.counts.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+    const vocabulary = [...documentFrequency.keys()];
+
+    // A misspelt word stands in for the closest known one
+    function closestTerm(term) {
+        if (documentFrequency.has(term)) return { term, weight: 1 };
+        if (term.length < 5 || /^\d+$/.test(term)) return null;
+
+        const allowed = term.length >= 9 ? 2 : 1;
+        let best = null;
+        vocabulary.forEach(known => {
+            if (Math.abs(known.length - term.length) > allowed) return;
+            const distance = editDistance(term, known);
+            if (distance <= allowed && (!best || distance < best.distance)) best = { term: known, distance };
+        });
+        return best ? { term: best.term, weight: 0.8 } : null;
+    }
+
+    function idf(term) {
+        const n = documentFrequency.get(term);
+        return Math.log(1 + (documents.length - n + 0.5) / (n + 0.5));
+    }
+
+    // The best passages for a question, best first: [{ passage, score }]
+    function search(question, limit = 3) {
+        const terms = queryTerms(question).map(closestTerm).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        return documents
+            .map(doc => {
+                let score = 0;
+                terms.forEach(({ term, weight }) => {
+                    const tf = doc.counts.get(term) || 0;
+                    if (tf === 0) return;
+                    score += weight * idf(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / averageLength));
+                    if (doc.titleTerms.has(term)) score += weight * idf(term) * titleBonus;
+                    else if (doc.contextTerms.has(term)) score += weight * idf(term) * titleBonus / 2;
+                });
+                return { passage: doc.passage, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((x, y) => y.score - x.score)
+            .slice(0, limit);
+    }
+
+    return { passages, search };
+}
+
+// ==================== THE LOADED RUN ====================
+
+const PAGE = '([A-Za-z][\\w-]*:\\d+|\\d+)';
+const STEP_PATTERN = /\bstep\s*#?(\d+)/i;
+const CURRENT_STEP_PATTERN = /\b(this|current)\s+step\b/i;
+const PAGE_PATTERN = new RegExp(`\\bpage\\s+${PAGE}`, 'i');
+// "why was 2 evicted", "was page 0 a hit"
+const OUTCOME_PATTERN = new RegExp(`\\b(?:was|is|did|got|get)\\s+(?:page\\s+)?${PAGE}\\s+(?:get\\s+|got\\s+)?(evict|replac|remov|kick|swap|pick|chosen|a\\s+hit|a\\s+miss|a\\s+fault|hit|load)`, 'i');
+const EVICTION_WORDS = /\b(evict|replac|remov|kick|swap|victim|chosen)/i;
+
+function describeFrames(frames) {
+    return frames.map(page => (page === null ? '-' : page)).join(', ');
+}
+
+function listSteps(steps) {
+    if (steps.length === 1) return `step ${steps[0]}`;
+    return `steps ${steps.slice(0, -1).join(', ')} and ${steps[steps.length - 1]}`;
+}
+
+// Why a step came out the way it did, from the history alone
+function explainRunStep(sim, index, askedPage) {
+    const { policy, history } = sim;
+    const stepData = history.at(index);
+    const before = index > 0 ? history.at(index - 1) : null;
+    const step = index + 1;
+    const frame = stepData.newPageIndex + 1;
+    const lines = [];
+
+    if (askedPage !== null && !stepData.isHit && String(askedPage) !== String(stepData.page)
+        && String(askedPage) !== String(stepData.replacedPage)) {
+        lines.push(stepData.replacedPage === null
+            ? `Page ${askedPage} was not involved in step ${step}: page ${stepData.page} went into an empty frame.`
+            : `Page ${askedPage} was not evicted at step ${step}; page ${stepData.replacedPage} was.`);
+    }
+
+    if (stepData.isHit) {
+        lines.push(`At step ${step} page ${stepData.page} was already in frame ${stepData.frames.indexOf(stepData.page) + 1}, so it was a **hit** and nothing had to be evicted.`,
+            `Frames: ${describeFrames(stepData.frames)}.`);
+        return lines.join('\n');
+    }
+
+    if (stepData.replacedPage === null) {
+        lines.push(`At step ${step} page ${stepData.page} was not in memory, so it was a **fault**. Frame ${frame} was still empty, so the page was loaded there without evicting anything.`,
+            `Frames after: ${describeFrames(stepData.frames)}.`);
+        return lines.join('\n');
+    }
+
+    const order = before && before.stack.length > 0 ? formatStackEntries(before, ', ') : 'empty';
+    lines.push(`At step ${step} page ${stepData.page} was not in memory, so it was a **fault**, and all ${stepData.frames.length} frames were full (${describeFrames(before.frames)}).`,
+        `${policy.name} picks its victim by: ${policy.victimReason}. The ${policy.listLabel.toLowerCase()} before this step was ${order} (${policy.orderLabel}), so page ${stepData.replacedPage} in frame ${frame} was the victim and page ${stepData.page} took its place.`);
+    if (stepData.writeBack) lines.push(`Page ${stepData.replacedPage} was dirty, so it was written back to disk first.`);
+    lines.push(`Frames after: ${describeFrames(stepData.frames)}.`);
+    return lines.join('\n');
+}
+
+// What an outcome word in a question asks about
+function outcomeKind(word) {
+    if (/hit/i.test(word)) return 'hit';
+    if (/miss|fault/i.test(word)) return 'fault';
+    if (/load/i.test(word)) return 'load';
+    return 'evict';
+}
+
+// A load is the fault that brings the page in, so both look for faults on the page
+const PAGE_OUTCOMES = {
+    evict: { happened: 'was evicted', never: 'has not been evicted' },
+    hit: { happened: 'was a hit', never: 'has not been a hit' },
+    fault: { happened: 'caused a fault', never: 'has not caused a fault' },
+    load: { happened: 'was loaded', never: 'has not been loaded' }
+};
+
+// Answers a question about the loaded run, or returns null when the question
+// isn't about it. `sim` is tutor-context.mjs's { policy, history, currentStep, ... }.
+// Steps after the current one are not given away.
+export function answerSimulationQuestion(sim, question) {
+    const stepMatch = question.match(STEP_PATTERN);
+    const outcome = question.match(OUTCOME_PATTERN);
+    const pageMatch = question.match(PAGE_PATTERN);
+    const askedPage = outcome ? outcome[1] : (pageMatch ? pageMatch[1] : null);
+    const aboutCurrent = CURRENT_STEP_PATTERN.test(question);
+
+    if (!stepMatch && !aboutCurrent && !(askedPage !== null && (outcome || EVICTION_WORDS.test(question)))) {
+        return null;
+    }
+
+    const history = sim.history || [];
+    if (history.length === 0) {
+        return 'No run is loaded yet. Enter a reference string in the Simulator tab and press Start, then ask me about its steps.';
+    }
+    if (sim.currentStep < 0) {
+        return 'The run has not started yet. Press Start or Step in the Simulator tab, then ask me about a step.';
+    }
+
+    if (stepMatch || aboutCurrent) {
+        const index = stepMatch ? Number(stepMatch[1]) - 1 : sim.currentStep;
+        if (index < 0 || index >= history.length) {
+            return `This run has ${history.length} steps, numbered 1 to ${history.length}.`;
+        }
+        if (index > sim.currentStep) {
+            return `Step ${index + 1} hasn't been played yet (the simulator is at step ${sim.currentStep + 1}). Step forward to it first, or predict what will happen!`;
+        }
+        return explainRunStep(sim, index, askedPage);
+    }
+
+    // A page but no step: find the steps so far where it had that outcome
+    const kind = outcomeKind(outcome ? outcome[2] : '');
+    const { happened, never } = PAGE_OUTCOMES[kind];
+    const matches = [];
+    for (let i = 0; i <= sim.currentStep; i++) {
+        const stepData = history.at(i);
+        const isPage = String(stepData.page) === String(askedPage);
+        if (kind === 'evict' ? String(stepData.replacedPage) === String(askedPage)
+            : isPage && (kind === 'hit' ? stepData.isHit : stepData.isFault)) {
+            matches.push(i);
+        }
+    }
+    if (matches.length === 0) {
+        return `Page ${askedPage} ${never} so far (up to step ${sim.currentStep + 1}).`;
+    }
+
+    const last = matches[matches.length - 1];
+    const intro = matches.length > 1
+        ? `Page ${askedPage} ${happened} at ${listSteps(matches.map(i => i + 1))}. The latest one:`
+        : `Page ${askedPage} ${happened} at step ${last + 1}.`;
+    return `${intro}\n${explainRunStep(sim, last, askedPage)}`;
+}
+
@@ -0,0 +1,65 @@
+/**
+ * Practice Mode
+ * Grades a student's prediction for a step (hit or fault, and which frame is
+ * evicted) against the precomputed state history, and sums up the mistakes.
+ * DOM-free so the grading can be tested without a browser.
+ */
+
+// Mistake types, in the order the summary lists them
+export const MISTAKE_LABELS = {
+    'missed-hit': 'Called a hit a fault',
+    'missed-fault': 'Called a fault a hit',
+    'wrong-victim': 'Right fault, wrong victim'
+};
+
+// prediction: { outcome: 'hit' | 'fault', victimFrame } where victimFrame is
+// the 0-based frame expected to be emptied, or -1 for "a free frame is used".
+// Returns { step, prediction, correct, mistake, explanation } (mistake is null when correct).
+export function gradePrediction(stepData, prediction, policy) {
+    let mistake = null;
+    if (prediction.outcome === 'hit' && !stepData.isHit) mistake = 'missed-fault';
+    else if (prediction.outcome !== 'hit' && stepData.isHit) mistake = 'missed-hit';
+    else if (!stepData.isHit && prediction.victimFrame !== stepData.replacedIndex) mistake = 'wrong-victim';
+
+    return {
+        step: stepData.step,
+        prediction,
+        correct: mistake === null,
+        mistake,
+        explanation: explainStep(stepData, policy)
+    };
+}
+
+// One sentence on what really happened at this step
+export function explainStep(stepData, policy) {
+    if (stepData.isHit) {
+        return `Page ${stepData.page} was already in a frame, so it is a hit.`;
+    }
+    if (stepData.replacedPage === null) {
+        return `Page ${stepData.page} was not in memory and Frame ${stepData.newPageIndex + 1} was free, so nothing is evicted.`;
+    }
+    return `Page ${stepData.page} was not in memory and all frames were full. ${policy.name} evicts page ${stepData.replacedPage} from Frame ${stepData.replacedIndex + 1} (${policy.victimReason}).`;
+}
+
+// Words for a prediction, e.g. "Fault, evict Frame 2"
+export function describePrediction(prediction) {
+    if (prediction.outcome === 'hit') return 'Hit';
+    return prediction.victimFrame === -1 ? 'Fault, use a free frame' : `Fault, evict Frame ${prediction.victimFrame + 1}`;
+}
+
+// answers: the graded results (gaps for unanswered steps are skipped).
+// Returns { answered, correct, score, mistakes: { type: count }, wrongSteps }
+export function summarizePractice(answers) {
+    const graded = answers.filter(Boolean);
+    const mistakes = Object.fromEntries(Object.keys(MISTAKE_LABELS).map(type => [type, 0]));
+    graded.forEach(answer => { if (answer.mistake) mistakes[answer.mistake]++; });
+
+    const correct = graded.filter(answer => answer.correct).length;
+    return {
+        answered: graded.length,
+        correct,
+        score: graded.length > 0 ? (correct / graded.length) * 100 : 0,
+        mistakes,
+        wrongSteps: graded.filter(answer => !answer.correct).map(answer => answer.step)
+    };
+}
@@ -1,25 +1,90 @@
 /**
  * LIFO Page Replacement Simulator
  * A complete interactive visualization of the LIFO page replacement algorithm
+ * (and the policies it is compared with). The algorithms live in
+ * simulation-core.mjs; this module only handles the page.
  */
+import {
+    replacementPolicies,
+    getPolicy,
+    parseReferenceString,
+    parseAddressTrace,
+    formatTranslation,
+    randomReferenceString,
+    buildStateHistory,
+    findDivergentSteps,
+    computeStats,
+    sweepFrameCounts,
+    findBeladyAnomalies,
+    formatStackEntries,
+    buildReportData,
+    pageKey,
+    splitPageKey,
+    parseProcessList,
+    roundRobinSchedule,
+    parseSchedule,
+    interleaveProcesses,
+    buildMultiProcessHistory,
+    computeProcessStats
+} from './simulation-core.mjs';
+import { parseMemoryTrace, traceToReferenceString } from './trace-import.mjs';
+import { exportHistoryJson, exportHistoryCsv, parseHistoryFile, verifyHistory } from './history-file.mjs';
+import { MISTAKE_LABELS, gradePrediction, describePrediction, summarizePractice } from './practice-mode.mjs';
+import { buildWorksheetVariants, worksheetGrid } from './worksheet.mjs';
+import { createCompactHistory } from './compact-history.mjs';
+import {
+    REGISTER_NAMES,
+    DATA_BASE,
+    assemble,
+    createMachine,
+    hex,
+    cpuLatorInput,
+    parseLifoTrace,
+    compareLifoTrace
+} from './mips-interpreter.mjs';
+import { buildMipsProgram } from './mips-export.mjs';
+import { describeSimulation, explainStepQuestion, replaceMentions } from './tutor-context.mjs';
+import { normalizeTutorSettings, isTutorProviderReady, askTutorProvider } from './tutor-providers.mjs';
+import { createKnowledgeBase, markdownPassages, answerSimulationQuestion, slugify } from './offline-tutor.mjs';
+import { GENERAL_CHAT, scenarioChatId, createChatStore, chatToMarkdown } from './chat-history.mjs';
+import { normalizeNarrationSettings, stepNarration, createNarrator } from './narration.mjs';
+import { stepAnnouncement, cellMarker, moveGridCell } from './accessibility.mjs';
 
 // ==================== STATE MANAGEMENT ====================
 let myChart = null; // Global variable for the chart instance
 let narrationEnabled = false;
-let userApiKey = localStorage.getItem('gemini_api_key') || '';
+// AI provider for the chatbot: { provider, geminiKey, baseUrl, model, apiKey }
+const TUTOR_SETTINGS_KEY = 'tutor_settings';
+let tutorSettings = loadTutorSettings();
 // Global operations log used for PDF reports: [ [Action, Value, Time, Note], ... ]
 let operationsLog = [];
 const state = {
     frames: 3,
+    policy: 'lifo', // key into replacementPolicies
+    inputMode: 'pages', // 'pages', 'addresses' (virtual addresses split by pageSize) or 'processes'
+    processes: null, // [{ id, pages, writes }] when several processes are loaded
+    schedule: [], // process id for every step
+    scope: 'local', // 'local' (frames per process) or 'global' (shared frames)
+    pageSize: 4096,
+    translations: null, // per-step { text, address, page, offset } when loaded from addresses
+    headerMode: 'page', // frames table header: 'page' or 'address'
+    trace: null, // parsed memory trace file { name, references, format, skipped }
+    comparePolicies: [], // extra policies shown side by side
+    comparisons: [], // [{ policy, history, totalHits, totalFaults }, ...]
+    divergentSteps: new Set(), // step indices where the compared policies evict different pages
     referenceString: [],
+    writes: [], // writes[i] is true when step i writes its page ("3w")
     stateHistory: [],
     currentStep: -1,
     isLoaded: false,
     isPlaying: false,
     playInterval: null,
+    playDirection: 1, // 1 = forward, -1 = backward
+    practice: { active: false, answers: [] }, // answers[i]: graded prediction for step i
     speed: 400,
     totalHits: 0,
     totalFaults: 0,
+    totalWriteBacks: 0,
     isNarrating: false 
 };
 
@@ -38,194 +103,316 @@ let currentTheme = 'default';
 const elements = {
     framesInput: document.getElementById('framesInput'),
     refStringInput: document.getElementById('refStringInput'),
+    policySelect: document.getElementById('policySelect'),
+    inputModeSelect: document.getElementById('inputModeSelect'),
+    pageSizeInput: document.getElementById('pageSizeInput'),
+    headerModeSelect: document.getElementById('headerModeSelect'),
+    addressOnlyGroups: document.querySelectorAll('.address-only'),
+    processOnlyGroups: document.querySelectorAll('.process-only'),
+    singleOnlyGroups: document.querySelectorAll('.single-only'),
+    framesLabelText: document.getElementById('framesLabelText'),
+    processesInput: document.getElementById('processesInput'),
+    scopeSelect: document.getElementById('scopeSelect'),
+    scheduleModeSelect: document.getElementById('scheduleModeSelect'),
+    quantumInput: document.getElementById('quantumInput'),
+    scheduleInput: document.getElementById('scheduleInput'),
+    scenarioNameInput: document.getElementById('scenarioNameInput'),
+    scenarioNotesInput: document.getElementById('scenarioNotesInput'),
+    saveScenarioBtn: document.getElementById('saveScenarioBtn'),
+    exportLibraryBtn: document.getElementById('exportLibraryBtn'),
+    importLibraryBtn: document.getElementById('importLibraryBtn'),
+    importLibraryInput: document.getElementById('importLibraryInput'),
+    scenarioList: document.getElementById('scenarioList'),
+    traceFileInput: document.getElementById('traceFileInput'),
+    traceKeepSelect: document.getElementById('traceKeepSelect'),
+    traceSampleInput: document.getElementById('traceSampleInput'),
+    traceLimitInput: document.getElementById('traceLimitInput'),
+    traceStatus: document.getElementById('traceStatus'),
     randomBtn: document.getElementById('randomBtn'),
     exampleBtn: document.getElementById('exampleBtn'),
     loadBtn: document.getElementById('loadBtn'),
+    simulationProgress: document.getElementById('simulationProgress'),
+    simulationProgressBar: document.getElementById('simulationProgressBar'),
+    simulationProgressLabel: document.getElementById('simulationProgressLabel'),
+    cancelSimulationBtn: document.getElementById('cancelSimulationBtn'),
     resetBtn: document.getElementById('resetBtn'),
     startBtn: document.getElementById('startBtn'),
     prevBtn: document.getElementById('prevBtn'),
     nextBtn: document.getElementById('nextBtn'),
     playBtn: document.getElementById('playBtn'),
     pauseBtn: document.getElementById('pauseBtn'),
+    playBackBtn: document.getElementById('playBackBtn'),
+    loopInput: document.getElementById('loopInput'),
+    timelineSlider: document.getElementById('timelineSlider'),
+    timelineLabel: document.getElementById('timelineLabel'),
+    practiceToggle: document.getElementById('practiceToggle'),
+    practiceIntro: document.getElementById('practiceIntro'),
+    practiceQuestion: document.getElementById('practiceQuestion'),
+    practiceSummary: document.getElementById('practiceSummary'),
+    practiceScore: document.getElementById('practiceScore'),
+    practicePdfInput: document.getElementById('practicePdfInput'),
+    worksheetSeedInput: document.getElementById('worksheetSeedInput'),
+    worksheetCountInput: document.getElementById('worksheetCountInput'),
+    worksheetLengthInput: document.getElementById('worksheetLengthInput'),
+    worksheetPagesInput: document.getElementById('worksheetPagesInput'),
+    speedButtons: document.getElementById('speedButtons'),
     speedBtns: document.querySelectorAll('.speed-btn'),
     tableWrapper: document.getElementById('tableWrapper'),
+    stepAnnouncer: document.getElementById('stepAnnouncer'),
     stackContainer: document.getElementById('stackContainer'),
+    stackTitle: document.getElementById('stackTitle'),
+    stackLabel: document.getElementById('stackLabel'),
+    compareOptions: document.getElementById('compareOptions'),
+    compareGrid: document.getElementById('compareGrid'),
+    sweepMaxFrames: document.getElementById('sweepMaxFrames'),
+    sweepPolicies: document.getElementById('sweepPolicies'),
+    sweepBtn: document.getElementById('sweepBtn'),
+    anomalySearchBtn: document.getElementById('anomalySearchBtn'),
+    sweepStatus: document.getElementById('sweepStatus'),
+    sweepResults: document.getElementById('sweepResults'),
     logContainer: document.getElementById('logContainer'),
+    exportRunJsonBtn: document.getElementById('exportRunJsonBtn'),
+    exportRunCsvBtn: document.getElementById('exportRunCsvBtn'),
+    importRunBtn: document.getElementById('importRunBtn'),
+    importRunInput: document.getElementById('importRunInput'),
+    mipsRunBtn: document.getElementById('mipsRunBtn'),
+    mipsStepBtn: document.getElementById('mipsStepBtn'),
+    mipsResetBtn: document.getElementById('mipsResetBtn'),
+    exportMipsBtn: document.getElementById('exportMipsBtn'),
+    mipsStatus: document.getElementById('mipsStatus'),
+    mipsNotes: document.getElementById('mipsNotes'),
+    mipsSourceInput: document.getElementById('mipsSourceInput'),
+    mipsRegisters: document.getElementById('mipsRegisters'),
+    mipsMemory: document.getElementById('mipsMemory'),
+    mipsConsole: document.getElementById('mipsConsole'),
+    mipsComparison: document.getElementById('mipsComparison'),
+    narrationCaption: document.getElementById('narrationCaption'),
+    narrationVoiceSelect: document.getElementById('narrationVoiceSelect'),
+    narrationRateInput: document.getElementById('narrationRateInput'),
+    narrationRateValue: document.getElementById('narrationRateValue'),
+    narrationPitchInput: document.getElementById('narrationPitchInput'),
+    narrationPitchValue: document.getElementById('narrationPitchValue'),
+    narratedPlaybackInput: document.getElementById('narratedPlaybackInput'),
+    narrationTestBtn: document.getElementById('narrationTestBtn'),
     totalHits: document.getElementById('totalHits'),
     totalFaults: document.getElementById('totalFaults'),
+    totalWriteBacks: document.getElementById('totalWriteBacks'),
+    processStats: document.getElementById('processStats'),
     currentStep: document.getElementById('currentStep'),
     totalSteps: document.getElementById('totalSteps'),
     hitRatio: document.getElementById('hitRatio'),
     alertContainer: document.getElementById('alertContainer'),
+    tabList: document.getElementById('tabList'),
     tabBtns: document.querySelectorAll('.tab-btn'),
     tabContents: document.querySelectorAll('.tab-content')
 };
 
-const botKnowledge = {
-    "lifo": "LIFO stands for Last In, First Out. It's a memory management algorithm where the most recently loaded page is the first one to be removed when space is needed.",
-    "stack": "LIFO uses a Stack data structure. Imagine a stack of plates: the last plate you put on top is the first one you take off.",
-    "pros": "The main advantages are: 1. It's extremely simple to implement. 2. Low overhead (no complex calculations). 3. Does not suffer from Belady's Anomaly.",
-    "advantage": "The main advantages are: 1. It's extremely simple to implement. 2. Low overhead (no complex calculations). 3. Does not suffer from Belady's Anomaly.",
-    "cons": "The disadvantages are: 1. It often has a poor hit ratio. 2. Old pages can 'rot' in memory forever. 3. It ignores the 'locality of reference' principle.",
-    "disadvantage": "The disadvantages are: 1. It often has a poor hit ratio. 2. Old pages can 'rot' in memory forever. 3. It ignores the 'locality of reference' principle.",
-    "belady": "Good news! LIFO is a 'Stack Algorithm', which means it satisfies the inclusion property. Therefore, it does NOT suffer from Belady's Anomaly (unlike FIFO).",
-    "real": "LIFO is rarely used in real operating systems for page replacement because its performance is generally poor compared to LRU or Clock algorithms.",
-    "how": "When a page fault occurs and memory is full, LIFO looks at the Stack. It pops the top page (the newest one) and replaces it with the incoming page.",
-    "default": "I'm not sure about that. Try asking about 'Pros', 'Cons', 'Stack', or 'Belady'."
-};
-
 // 1. Toggle API Panel
 document.getElementById('toggleKeyBtn').addEventListener('click', () => {
     const panel = document.getElementById('apiKeyPanel');
     panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
 });
 
-// 2. Save API Key
+// 2. Save the provider settings
 document.getElementById('saveKeyBtn').addEventListener('click', () => {
-    const input = document.getElementById('apiKeyInput');
-    const key = input.value.trim().replace(/^"|"$/g, ''); 
-    if (key) {
-        userApiKey = key;
-        localStorage.setItem('gemini_api_key', key);
-        document.getElementById('apiKeyPanel').style.display = 'none';
-        addChatMessage("API Key saved! I am now super-smart. 🧠", 'bot');
+    tutorSettings = normalizeTutorSettings({
+        provider: document.getElementById('providerSelect').value,
+        geminiKey: document.getElementById('apiKeyInput').value,
+        baseUrl: document.getElementById('providerUrlInput').value,
+        model: document.getElementById('providerModelInput').value,
+        apiKey: document.getElementById('providerKeyInput').value
+    });
+    localStorage.setItem(TUTOR_SETTINGS_KEY, JSON.stringify(tutorSettings));
+
+    const ready = isTutorProviderReady(tutorSettings);
+    if (ready) document.getElementById('apiKeyPanel').style.display = 'none';
+
+    if (tutorSettings.provider === 'gemini') {
+        addChatMessage(ready ? "API Key saved! I am now super-smart. 🧠" : "API Key removed. Switched to Offline Mode.", 'bot');
+    } else if (tutorSettings.provider === 'openai') {
+        const model = tutorSettings.model || 'the default model';
+        addChatMessage(ready
+            ? `Using ${model} at ${tutorSettings.baseUrl}. If the server can't be reached I'll answer offline.`
+            : "Enter the server's base URL (for example http://localhost:11434/v1 for Ollama).", 'bot');
     } else {
-        // If user clears the box, remove key and go offline
-        userApiKey = '';
-        localStorage.removeItem('gemini_api_key');
-        addChatMessage("API Key removed. Switched to Offline Mode.", 'bot');
+        addChatMessage("AI switched off. Using offline answers.", 'bot');
     }
 });
 
-// Pre-fill input if exists
-if(userApiKey) document.getElementById('apiKeyInput').value = userApiKey;
-// 3. Fallback Knowledge (Offline Mode)
-const offlineKnowledge = {
-    "default": "I am currently in Offline Mode. Please add a Google Gemini API Key (click the key icon) to ask me complex questions! For now, ask me: 'What is LIFO?', 'Pros', or 'Cons'.",
-    "lifo": "LIFO (Last-In, First-Out) removes the newest page first. Think of a stack of plates.",
-    "pros": "Simple to implement, low overhead, no Belady's Anomaly.",
-    "cons": "Poor performance, ignores locality of reference, old pages rot in memory."
-};
+document.getElementById('providerSelect').addEventListener('change', showProviderFields);
+
+// Pre-fill the panel with the saved settings
+document.getElementById('providerSelect').value = tutorSettings.provider;
+document.getElementById('apiKeyInput').value = tutorSettings.geminiKey;
+document.getElementById('providerUrlInput').value = tutorSettings.baseUrl;
+document.getElementById('providerModelInput').value = tutorSettings.model;
+document.getElementById('providerKeyInput').value = tutorSettings.apiKey;
+showProviderFields();
+
+// Only the fields of the chosen provider are shown
+function showProviderFields() {
+    const provider = document.getElementById('providerSelect').value;
+    document.querySelectorAll('.provider-fields').forEach(fields => {
+        fields.hidden = fields.dataset.provider !== provider;
+    });
+}
 
-async function askBot(question) {
+// Settings saved before providers existed only had a Gemini key
+function loadTutorSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TUTOR_SETTINGS_KEY));
+        if (saved) return normalizeTutorSettings(saved);
+    } catch (err) {
+        // Corrupt settings: start over below
+    }
+    return normalizeTutorSettings({ geminiKey: localStorage.getItem('gemini_api_key') || '' });
+}
+// focusStep: index of a step the question is about ("Explain this step")
+async function askBot(question, { focusStep = null } = {}) {
     if (!question) question = document.getElementById('userChatInput').value;
     if (!question.trim()) return;
 
     addChatMessage(question, 'user');
     document.getElementById('userChatInput').value = '';
 
+    // The thread so far goes to the AI; the answer is kept in the thread the
+    // question was asked in, even if the scenario changes meanwhile
+    const thread = chatId;
+    const history = [...chatStore.thread(thread).messages];
+    rememberChatMessage(thread, { role: 'user', text: question });
+
     const typingId = addChatMessage("Thinking...", 'bot', true);
 
-    // STRATEGY: Try API first. If it fails, fallback to Local Knowledge immediately.
-    if (userApiKey) {
+    // STRATEGY: Try the AI provider first. If it fails, fallback to Local Knowledge immediately.
+    if (isTutorProviderReady(tutorSettings)) {
         try {
-            const response = await callGeminiAI(question);
+            const response = await callTutorAI(question, { focusStep, history });
             updateChatMessage(typingId, response);
+            rememberChatMessage(thread, { role: 'bot', text: response });
             if (typeof state !== 'undefined' && state.isNarrating) speakText(response);
         } catch (error) {
             console.warn("AI Failed, switching to local:", error.message);
             // On failure, seamlessly switch to local knowledge
-            const localResponse = getLocalResponse(question);
-            updateChatMessage(typingId, localResponse + " (Note: AI unavailable, using offline knowledge)");
-            if (typeof state !== 'undefined' && state.isNarrating) speakText(localResponse);
+            const localResponse = await getLocalResponse(question);
+            const text = localResponse.text + " (Note: AI unavailable, using offline knowledge)";
+            updateChatMessage(typingId, text, localResponse.source);
+            rememberChatMessage(thread, { role: 'bot', text, source: localResponse.source });
+            if (typeof state !== 'undefined' && state.isNarrating) speakText(localResponse.text);
         }
     } else {
         // No key? Use Local immediately
-        setTimeout(() => {
-            const response = getLocalResponse(question);
-            updateChatMessage(typingId, response);
-            if (typeof state !== 'undefined' && state.isNarrating) speakText(response);
+        setTimeout(async () => {
+            const response = await getLocalResponse(question);
+            updateChatMessage(typingId, response.text, response.source);
+            rememberChatMessage(thread, { role: 'bot', text: response.text, source: response.source });
+            if (typeof state !== 'undefined' && state.isNarrating) speakText(response.text);
         }, 600);
     }
 }
 
-// --- 3. The API Caller (Standard 1.5 Flash) ---
-
-async function callGeminiAI(userPrompt) {
-    // We use the most standard, free-tier friendly model endpoint
-    const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${userApiKey}`;
-    
-    const systemPrompt = "You are a helpful Computer Science Tutor. Explain LIFO Page Replacement simply (max 2 sentences).";
-
-    const response = await fetch(API_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-            contents: [{ parts: [{ text: `${systemPrompt}\n\nUser Question: ${userPrompt}` }] }]
-        })
-    });
-
-    const data = await response.json();
+// 3. Offline answers (offline-tutor.mjs): questions about the loaded run are
+// answered from its history, the rest from the explanation tab and the README.
+// Resolves to { text, source }, source being the passage the answer came from.
+let offlineKnowledge = null;
+// The README chapters that explain things (not the intro, outcomes, ...)
+const README_TUTOR_CHAPTERS = ['Project 1', 'Project 2', 'Technical Architecture', 'Features', 'Appendix'];
+
+async function getLocalResponse(query) {
+    const runAnswer = answerSimulationQuestion(tutorSimulation(), query);
+    if (runAnswer) return { text: runAnswer, source: null };
+
+    if (!offlineKnowledge) offlineKnowledge = buildOfflineKnowledge();
+    const [best] = (await offlineKnowledge).search(query, 1);
+    if (best) return { text: best.passage.text, source: best.passage };
+
+    return {
+        text: "I couldn't find that in the explanation tab or the README. Try asking about the stack, page faults, Belady's anomaly, the MIPS program, or a step of your run, like \"why was 2 evicted at step 6?\"",
+        source: null
+    };
+}
 
-    // Check for specific API errors
-    if (data.error) {
-        // Throw specific error messages
-        if (data.error.code === 400 || data.error.status === 'INVALID_ARGUMENT') {
-            throw new Error("Invalid API Key");
-        }
-        throw new Error(data.error.message);
+// The explanation tab's cards, then the README's sections. Without a local
+// server the README can't be fetched and the cards have to do.
+async function buildOfflineKnowledge() {
+    const passages = explanationPassages();
+    try {
+        const response = await fetch('README.md');
+        if (response.ok) passages.push(...markdownPassages(await response.text(), 'README.md', { chapters: README_TUTOR_CHAPTERS }));
+    } catch (err) {
+        console.warn('README not available to the offline tutor:', err.message);
     }
-
-    return data.candidates[0].content.parts[0].text;
+    return createKnowledgeBase(passages);
 }
 
-// --- 4. The Advanced Local Brain (Offline Fallback) ---
-
-function getLocalResponse(query) {
-    const lowerQ = query.toLowerCase();
-
-    // Key concept matching
-    if (lowerQ.includes('lifo') && (lowerQ.includes('what') || lowerQ.includes('define'))) 
-        return "LIFO (Last-In, First-Out) is a page replacement algorithm where the most recently loaded page is the first one removed when memory is full.";
-    
-    if (lowerQ.includes('stack')) 
-        return "LIFO uses a Stack data structure. Think of a stack of plates: the last one placed on top is the first one taken off.";
-    
-    if (lowerQ.includes('pros') || lowerQ.includes('advantage') || lowerQ.includes('benefit')) 
-        return "The main advantage of LIFO is simplicity. It requires no complex calculations or timestamps, making it very fast and easy to implement.";
-    
-    if (lowerQ.includes('cons') || lowerQ.includes('bad') || lowerQ.includes('disadvantage')) 
-        return "The downside is performance. LIFO assumes new pages are temporary, but often we need new pages for a long time. It can also cause 'thrashing'.";
-    
-    if (lowerQ.includes('belady')) 
-        return "LIFO is a Stack Algorithm, so it does NOT suffer from Belady's Anomaly. Increasing frames will never increase page faults.";
-    
-    if (lowerQ.includes('code') || lowerQ.includes('implement')) 
-        return "Implementation is easy: Use an array as a stack. Push new pages. When full, Pop the last element and Push the new one.";
+// One passage per explanation card, its text read line by line (table rows
+// as "cell | cell"). Cards get an id so answers can link back to them.
+function explanationPassages() {
+    return [...document.querySelectorAll('#explanation .card')]
+        .filter(card => !card.matches('.chatbot-card, .stack-demo-card'))
+        .map(card => {
+            const title = card.querySelector('.card-header h2, .card-header h3').textContent.trim();
+            if (!card.id) card.id = `explain-${slugify(title)}`;
+
+            const lines = [...card.querySelectorAll('.card-body h4, .card-body p, .card-body li, .card-body tr, .summary-item')]
+                .map(el => (el.matches('tr')
+                    ? [...el.children].map(cell => cell.textContent.trim()).join(' | ')
+                    : el.textContent.replace(/\s+/g, ' ').trim()))
+                .filter(Boolean);
+            return { title, text: lines.join('\n'), link: { section: card.id } };
+        });
+}
 
-    if (lowerQ.includes('example')) 
-        return "Try the 'Example' button in the simulator above! It loads a sequence (7, 0, 1...) to demonstrate the behavior.";
+// 4. Call the chosen AI provider (adapters, timeouts and retries live in tutor-providers.mjs)
+// The prompt carries what the simulator is showing, so the tutor can talk
+// about the student's own run (see tutor-context.mjs)
+async function callTutorAI(question, { focusStep = null, history = [] } = {}) {
+    const system = "You are a helpful Computer Science Tutor specializing in Operating Systems. Keep answers concise (max 2-3 sentences, a few more when explaining a step). Explain concepts simply. The topic is page replacement, mainly LIFO. The student is using a simulator whose current state is given below; use it for questions about their run, and write steps and pages as \"step N\" and \"page N\".";
+    const context = describeSimulation(tutorSimulation(), { focusStep });
 
-    // Default response if no keywords match
-    return "I am in Offline Mode. I can explain LIFO, its Pros/Cons, Stack structure, or Belady's Anomaly. What would you like to know?";
+    return askTutorProvider(tutorSettings, { system, context, question, history });
 }
 
-// --- 5. Chat UI Helpers ---
-
+// 5. Chat UI Helpers
 function addChatMessage(text, sender, isTyping = false) {
     const chatWindow = document.getElementById('chatWindow');
     const msgDiv = document.createElement('div');
     msgDiv.className = `chat-message ${sender}`;
-    // CHANGE IS HERE:
-    if (sender === 'bot') {
-        // Parse Markdown for Bot
-        msgDiv.innerHTML = formatAIResponse(text);
-    } else {
-        // Keep User text plain (security)
-        msgDiv.textContent = text;
-    }
+    msgDiv.textContent = text;
     if(isTyping) msgDiv.id = `typing-${Date.now()}`;
+    
     chatWindow.appendChild(msgDiv);
     chatWindow.scrollTop = chatWindow.scrollHeight;
     return msgDiv.id;
 }
 
-function updateChatMessage(elementId, newText) {
+function updateChatMessage(elementId, newText, source = null) {
     const el = document.getElementById(elementId);
-    if (el) {
-        // Parse Markdown when updating the message
-        el.innerHTML = formatAIResponse(newText);
+    if (el) renderBotMessage(el, newText, source);
+}
+
+// Bot answers get the chat formatting, with steps and pages linked to the
+// frames table. Offline answers taken from the notes link to their section
+// instead: their "step 4" is the worked example's, not the run's.
+function renderBotMessage(el, newText, source = null) {
+    if (!source) {
+        el.innerHTML = linkSimulationMentions(formatAIResponse(newText));
+        return;
+    }
+
+    el.innerHTML = formatAIResponse(newText);
+    const link = document.createElement(source.link.section ? 'button' : 'a');
+    link.className = 'tutor-source';
+    if (source.link.section) {
+        link.type = 'button';
+        link.dataset.linkSection = source.link.section;
+        link.textContent = `📖 ${source.title}`;
+    } else {
+        link.href = source.link.href;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = `📖 README: ${source.title}`;
     }
+    el.appendChild(link);
 }
 
 // Event Listeners
@@ -233,104 +420,237 @@ document.getElementById('sendChatBtn').addEventListener('click', () => askBot())
 document.getElementById('userChatInput').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') askBot();
 });
-
-// 4. Call Google Gemini API
-// 4. Call Google Gemini API (Robust Multi-Model Fallback)
-async function callGeminiAI(userPrompt) {
-    let cleanKey = userApiKey.trim();
-    if (cleanKey.startsWith('"') && cleanKey.endsWith('"')) {
-        cleanKey = cleanKey.slice(1, -1);
+document.getElementById('chatWindow').addEventListener('click', (e) => {
+    const section = e.target.closest('[data-link-section]');
+    if (section) {
+        showExplanationSection(section.dataset.linkSection);
+        return;
     }
-    if (!cleanKey) throw new Error("API Key is empty.");
 
-    // List of models to try in order of preference
-    const modelsToTry = [
-        "gemini-2.5-flash",
-        "gemini-1.5-pro",
-        "gemini-1.0-pro",
-        "gemini-pro" 
-    ];
+    const link = e.target.closest('.tutor-link');
+    if (!link || !state.isLoaded) return;
+    if (link.dataset.linkStep !== undefined) showStepInTable(Number(link.dataset.linkStep));
+    else showPageInTable(link.dataset.linkPage);
+});
+// ==================== SIMULATION-AWARE TUTOR ====================
+const TUTOR_FLASH_MS = 1600;
+
+// What the tutor is told about the run on screen
+function tutorSimulation() {
+    return {
+        policy: getActivePolicy(),
+        frames: state.frames,
+        referenceString: state.referenceString,
+        writes: state.writes,
+        history: state.isLoaded ? state.stateHistory : [],
+        currentStep: state.currentStep
+    };
+}
 
-    const systemPrompt = "You are a helpful Computer Science Tutor specializing in Operating Systems. Keep answers concise (max 2-3 sentences). Explain concepts simply. The topic is LIFO Page Replacement.";
+// "Explain this step" on a log entry: ask about that step, with its
+// before/after added to the prompt
+function explainStep(index) {
+    const stepData = state.stateHistory.at(index);
+    if (!stepData) return;
 
-    let lastError = null;
+    switchTab('explanation');
+    document.querySelector('.chatbot-card').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    askBot(explainStepQuestion(stepData, getActivePolicy()), { focusStep: index });
+}
 
-    // Loop through models until one works
-    for (const model of modelsToTry) {
-        try {
-            console.log(`Attempting AI call with model: ${model}...`);
-            
-            const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${cleanKey}`;
-            
-            const response = await fetch(API_URL, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{ text: `${systemPrompt}\n\nUser Question: ${userPrompt}` }]
-                    }]
-                })
-            });
-
-            if (!response.ok) {
-                // If 404, it means this specific model isn't found. Throw to catch block and try next.
-                if (response.status === 404) {
-                    throw new Error(`Model ${model} not found (404)`);
-                }
-                // For other errors (like 400 invalid key), stop trying immediately.
-                const errorText = await response.text();
-                throw new Error(`Critical API Error (${response.status}): ${errorText}`);
-            }
+// A source link of an offline answer: scroll its card into view and flash it
+function showExplanationSection(id) {
+    const card = document.getElementById(id);
+    if (!card) return;
 
-            const data = await response.json();
-            
-            if (!data.candidates || data.candidates.length === 0) {
-                return "I couldn't generate a response. Please try asking differently.";
-            }
+    switchTab('explanation');
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    card.classList.add('tutor-flash');
+    setTimeout(() => card.classList.remove('tutor-flash'), TUTOR_FLASH_MS);
+}
 
-            // Success! Return the text.
-            console.log(`Success with model: ${model}`);
-            return data.candidates[0].content.parts[0].text;
+// Turns "step 5" and "page 7" in an answer into links, for steps the run
+// has and pages its reference string requests
+function linkSimulationMentions(html) {
+    if (!state.isLoaded) return html;
 
-        } catch (error) {
-            console.warn(`Failed with ${model}:`, error.message);
-            lastError = error;
-            
-            // If it's a critical error (not a 404), stop the loop and show user
-            if (error.message.includes("Critical API Error")) {
-                break;
-            }
+    return replaceMentions(html, ({ kind, value, text }) => {
+        if (kind === 'step') {
+            if (!Number.isInteger(value) || value < 1 || value > state.stateHistory.length) return null;
+            return `<button type="button" class="tutor-link" data-link-step="${value - 1}">${text}</button>`;
         }
+        if (!state.referenceString.some(page => String(page) === String(value))) return null;
+        return `<button type="button" class="tutor-link" data-link-page="${value}">${text}</button>`;
+    });
+}
+
+// Opens the step (unless practising, where that would give answers away)
+// and points at its column
+function showStepInTable(index) {
+    switchTab('simulator');
+    if (!state.practice.active) goToStep(index);
+    flashTableCell(index, null);
+}
+
+// Points at the frame holding the page now, or else at the column that
+// last requested it (the first request if it is still to come)
+function showPageInTable(page) {
+    switchTab('simulator');
+    const matches = (value) => value !== null && String(value) === page;
+
+    const current = state.currentStep >= 0 ? state.stateHistory.at(state.currentStep) : null;
+    const frame = current ? current.frames.findIndex(matches) : -1;
+    if (frame !== -1) {
+        flashTableCell(state.currentStep, frame);
+        return;
     }
 
-    // If loop finishes without returning, throw the last error
-    throw new Error("Could not connect to AI. Please check your API Key permissions.");
+    let step = -1;
+    for (let i = Math.min(state.currentStep, state.referenceString.length - 1); i >= 0 && step === -1; i--) {
+        if (matches(state.referenceString[i])) step = i;
+    }
+    if (step === -1) step = state.referenceString.findIndex(matches);
+    if (step !== -1) flashTableCell(step, null);
 }
 
-// 5. Chat UI Helpers
-function addChatMessage(text, sender, isTyping = false) {
+// Scrolls the frames table to a column and briefly highlights its header
+// (frame === null) or one of its cells
+function flashTableCell(step, frame) {
+    const wrapper = elements.tableWrapper;
+    scrollToColumn(wrapper, step);
+    renderFramesWindow(wrapper);
+
+    const selector = frame === null ? `th[data-step="${step}"]` : `td[data-step="${step}"][data-frame="${frame}"]`;
+    const cell = wrapper.querySelector(selector);
+    if (!cell) return;
+
+    wrapper.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    cell.classList.add('tutor-flash');
+    setTimeout(() => cell.classList.remove('tutor-flash'), TUTOR_FLASH_MS);
+}
+
+// ==================== CHAT HISTORY ====================
+// Conversations are kept per scenario, in threads (chat-history.mjs), so
+// they survive a reload and follow-up questions reach the AI with the
+// earlier turns
+const CHAT_HISTORY_KEY = 'chat_history';
+const chatStore = createChatStore(readSavedChats());
+const chatGreeting = document.querySelector('#chatWindow .chat-message').cloneNode(true);
+let chatId = GENERAL_CHAT; // the scenario whose thread is on screen
+
+function readSavedChats() {
+    try {
+        return JSON.parse(localStorage.getItem(CHAT_HISTORY_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveChats() {
+    try {
+        localStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(chatStore.toJSON()));
+    } catch (err) {
+        console.warn('Could not save the chat history:', err.message);
+    }
+}
+
+// Offline answers keep the title and link of their passage, not its text again
+function rememberChatMessage(id, { role, text, source = null }) {
+    const message = { role, text };
+    if (source) message.source = { title: source.title, link: source.link };
+    chatStore.add(id, message);
+    saveChats();
+    if (id === chatId) renderThreadSelect();
+}
+
+// Shows the loaded scenario's thread (or the general one) when the scenario changes
+function showScenarioChat() {
+    const id = state.isLoaded ? scenarioChatId(scenarioKey(scenarioParams())) : GENERAL_CHAT;
+    if (id === chatId) return;
+    chatId = id;
+    renderChat();
+}
+
+function renderChat() {
     const chatWindow = document.getElementById('chatWindow');
-    const msgDiv = document.createElement('div');
-    msgDiv.className = `chat-message ${sender}`;
-    msgDiv.textContent = text;
-    if(isTyping) msgDiv.id = `typing-${Date.now()}`;
-    
-    chatWindow.appendChild(msgDiv);
+    chatWindow.replaceChildren(chatGreeting.cloneNode(true));
+
+    chatStore.thread(chatId).messages.forEach(message => {
+        if (message.role === 'user') {
+            addChatMessage(message.text, 'user');
+            return;
+        }
+        const msgDiv = document.createElement('div');
+        msgDiv.className = 'chat-message bot';
+        chatWindow.appendChild(msgDiv);
+        renderBotMessage(msgDiv, message.text, message.source || null);
+    });
     chatWindow.scrollTop = chatWindow.scrollHeight;
-    return msgDiv.id;
+    renderThreadSelect();
 }
 
-function updateChatMessage(elementId, newText) {
-    const el = document.getElementById(elementId);
-    if (el) el.textContent = newText;
+// "Thread 2 · 19 Oct, 14:02 · 6 messages"
+function renderThreadSelect() {
+    const select = document.getElementById('chatThreadSelect');
+    select.innerHTML = '';
+    chatStore.threads(chatId).forEach((thread, i) => {
+        const started = new Date(thread.startedAt).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+        select.add(new Option(`Thread ${i + 1} · ${started} · ${thread.messages.length} messages`, i));
+    });
+    select.value = chatStore.currentIndex(chatId);
 }
 
-// Event Listeners
-document.getElementById('sendChatBtn').addEventListener('click', () => askBot());
-document.getElementById('userChatInput').addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') askBot();
+function startChatThread() {
+    chatStore.newThread(chatId);
+    saveChats();
+    renderChat();
+}
+
+function clearChatThread() {
+    if (chatStore.thread(chatId).messages.length === 0) return;
+    if (!confirm('Clear this conversation? It cannot be undone.')) return;
+
+    chatStore.clearThread(chatId);
+    saveChats();
+    renderChat();
+}
+
+function exportChatThread() {
+    const thread = chatStore.thread(chatId);
+    if (thread.messages.length === 0) {
+        showAlert('Nothing to export yet: ask the tutor something first.', 'info');
+        return;
+    }
+    downloadText(chatToMarkdown(thread, { scenario: chatScenarioLabel() }), `lifo-chat-${todayStamp()}.md`, 'text/markdown');
+}
+
+// "LIFO, 3 frames, reference string 7 0 1 2 0 3 0 4"
+function chatScenarioLabel() {
+    if (!state.isLoaded) return '';
+    const pages = state.referenceString.slice(0, 40).join(' ');
+    const more = state.referenceString.length > 40 ? ` ... (${state.referenceString.length} requests)` : '';
+    return `${getActivePolicy().name}, ${state.frames} frames, reference string ${pages}${more}`;
+}
+
+document.getElementById('newThreadBtn').addEventListener('click', startChatThread);
+document.getElementById('clearChatBtn').addEventListener('click', clearChatThread);
+document.getElementById('exportChatBtn').addEventListener('click', exportChatThread);
+document.getElementById('chatThreadSelect').addEventListener('change', (e) => {
+    chatStore.switchThread(chatId, Number(e.target.value));
+    saveChats();
+    renderChat();
 });
+
 // ==================== VOICE ASSISTANT ====================
+// Voice, rate, pitch and narrated playback live in localStorage (narration.mjs)
+const NARRATION_SETTINGS_KEY = 'narration_settings';
+let narrationSettings = loadNarrationSettings();
+// Resolves when the narration of the step on screen has finished; narrated
+// playback waits for it before moving on
+let stepNarrationDone = Promise.resolve();
+const narrator = 'speechSynthesis' in window
+    ? createNarrator(window.speechSynthesis, text => new SpeechSynthesisUtterance(text), { onCaption: showCaption })
+    : null;
 
 // 1. Toggle Button Listener
 document.getElementById("narrateBtn").addEventListener("click", () => {
@@ -345,28 +665,95 @@ document.getElementById("narrateBtn").addEventListener("click", () => {
     } else {
         btn.innerHTML = `<i class='bx bx-volume-mute'></i><span>Narration: OFF</span>`;
         btn.classList.replace('btn-primary', 'btn-secondary');
-        speechSynthesis.cancel(); // Stop speaking immediately
+        if (narrator) narrator.cancel(); // Stop speaking immediately
+        elements.narrationCaption.hidden = true;
     }
 });
 
-// 2. Speech Function
+// 2. Speech Function: interrupts whatever is being said and resolves once
+// the new text has been spoken
 function speakText(text) {
-    if (!state.isNarrating) return;
+    if (!state.isNarrating || !narrator) return Promise.resolve();
+    return narrator.speak(text, narrationSettings, speechSynthesis.getVoices());
+}
 
-    // Stop any current speech to avoid overlapping
-    speechSynthesis.cancel();
+// 3. Captions under the stack panel, dimmed once the text has been spoken
+function showCaption(text, speaking) {
+    elements.narrationCaption.hidden = false;
+    elements.narrationCaption.textContent = text;
+    elements.narrationCaption.classList.toggle('speaking', speaking);
+}
 
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 1.1; // Slightly faster for better flow
-    utterance.pitch = 1;
-    utterance.volume = 1;
-    
-    speechSynthesis.speak(utterance);
+// 4. Voice settings
+function loadNarrationSettings() {
+    try {
+        return normalizeNarrationSettings(JSON.parse(localStorage.getItem(NARRATION_SETTINGS_KEY)) || {});
+    } catch (err) {
+        return normalizeNarrationSettings();
+    }
 }
+
+function saveNarrationSettings(changes) {
+    narrationSettings = normalizeNarrationSettings({ ...narrationSettings, ...changes });
+    localStorage.setItem(NARRATION_SETTINGS_KEY, JSON.stringify(narrationSettings));
+    renderNarrationSettings();
+}
+
+function renderNarrationSettings() {
+    elements.narrationRateInput.value = narrationSettings.rate;
+    elements.narrationRateValue.textContent = `${narrationSettings.rate.toFixed(1)}×`;
+    elements.narrationPitchInput.value = narrationSettings.pitch;
+    elements.narrationPitchValue.textContent = narrationSettings.pitch.toFixed(1);
+    elements.narratedPlaybackInput.checked = narrationSettings.narratedPlayback;
+    elements.narrationVoiceSelect.value = narrationSettings.voice;
+}
+
+// Browsers load their voices late and announce them with "voiceschanged"
+function renderVoiceOptions() {
+    const select = elements.narrationVoiceSelect;
+    select.innerHTML = '';
+    select.add(new Option('System default', ''));
+    if (narrator) {
+        speechSynthesis.getVoices().forEach(voice => select.add(new Option(`${voice.name} (${voice.lang})`, voice.name)));
+    }
+    // A saved voice this browser doesn't have (yet) stays selected
+    if (narrationSettings.voice && ![...select.options].some(option => option.value === narrationSettings.voice)) {
+        select.add(new Option(`${narrationSettings.voice} (not available)`, narrationSettings.voice));
+    }
+    select.value = narrationSettings.voice;
+}
+
+if (narrator) speechSynthesis.addEventListener('voiceschanged', renderVoiceOptions);
+elements.narrationVoiceSelect.addEventListener('change', (e) => saveNarrationSettings({ voice: e.target.value }));
+elements.narrationRateInput.addEventListener('input', (e) => saveNarrationSettings({ rate: e.target.value }));
+elements.narrationPitchInput.addEventListener('input', (e) => saveNarrationSettings({ pitch: e.target.value }));
+elements.narratedPlaybackInput.addEventListener('change', (e) => saveNarrationSettings({ narratedPlayback: e.target.checked }));
+elements.narrationTestBtn.addEventListener('click', () => {
+    if (!narrator) {
+        showAlert('This browser has no speech synthesis.', 'error');
+        return;
+    }
+    narrator.speak('Page 4 requested. Memory full. Replacing page 3, top of stack.', narrationSettings, speechSynthesis.getVoices());
+});
 // ==================== INITIALIZATION ====================
 function init() {
     setupEventListeners();
     setupKeyboardShortcuts();
+
+    renderScenarioLibrary();
+    renderChat();
+    renderVoiceOptions();
+    renderNarrationSettings();
+
+    // Open a shared scenario link straight in the simulator, otherwise pick up
+    // where the last session left off
+    if (applyScenarioFromHash()) {
+        switchTab('simulator');
+        showAlert('Opened the scenario from the link', 'info');
+    } else if (restoreLastSession()) {
+        switchTab('simulator');
+        showAlert('Restored your last session', 'info');
+    }
 }
 
 function setupEventListeners() {
@@ -374,30 +761,156 @@ function setupEventListeners() {
     elements.tabBtns.forEach(btn => {
         btn.addEventListener('click', () => switchTab(btn.dataset.tab));
     });
+    elements.tabList.addEventListener('keydown', (e) => {
+        moveAlongButtons(elements.tabBtns, e, btn => switchTab(btn.dataset.tab));
+    });
 
     // Input controls
     elements.randomBtn.addEventListener('click', generateRandomString);
     elements.exampleBtn.addEventListener('click', loadExampleString);
-    elements.loadBtn.addEventListener('click', loadAndValidate);
+    elements.loadBtn.addEventListener('click', () => loadAndValidate());
+    elements.cancelSimulationBtn.addEventListener('click', cancelBackgroundRun);
     elements.resetBtn.addEventListener('click', resetSimulator);
 
+    // Scenario library
+    elements.saveScenarioBtn.addEventListener('click', saveCurrentScenario);
+    elements.exportLibraryBtn.addEventListener('click', exportScenarioLibrary);
+    elements.importLibraryBtn.addEventListener('click', () => elements.importLibraryInput.click());
+    elements.importLibraryInput.addEventListener('change', importScenarioLibrary);
+    elements.exportRunJsonBtn.addEventListener('click', () => exportRun('json'));
+    elements.exportRunCsvBtn.addEventListener('click', () => exportRun('csv'));
+    elements.importRunBtn.addEventListener('click', () => elements.importRunInput.click());
+    elements.importRunInput.addEventListener('change', importRun);
+    elements.scenarioList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-library-action]');
+        if (btn) handleLibraryAction(btn.dataset.libraryAction, btn.dataset.name);
+    });
+
+    // Memory trace import
+    elements.traceFileInput.addEventListener('change', importTraceFile);
+    [elements.traceKeepSelect, elements.traceSampleInput, elements.traceLimitInput].forEach(input => {
+        input.addEventListener('change', () => { if (state.trace) applyImportedTrace(); });
+    });
+
     // Playback controls
     elements.startBtn.addEventListener('click', startSimulation);
     elements.prevBtn.addEventListener('click', previousStep);
     elements.nextBtn.addEventListener('click', nextStep);
-    elements.playBtn.addEventListener('click', startAutoPlay);
+    elements.playBtn.addEventListener('click', () => startAutoPlay(1));
+    elements.playBackBtn.addEventListener('click', () => startAutoPlay(-1));
+    elements.timelineSlider.addEventListener('input', scrubTimeline);
+
+    // Practice mode
+    elements.practiceToggle.addEventListener('change', (e) => togglePracticeMode(e.target.checked));
+    elements.practiceQuestion.addEventListener('change', (e) => {
+        if (e.target.name === 'practiceOutcome') {
+            elements.practiceQuestion.querySelector('#practiceVictim').disabled = e.target.value !== 'fault';
+        }
+    });
+    elements.practiceQuestion.addEventListener('click', (e) => {
+        if (e.target.closest('[data-practice-check]')) checkPracticeAnswer();
+    });
+    elements.practiceSummary.addEventListener('click', (e) => {
+        if (e.target.closest('[data-practice-restart]')) showUnstartedScenario();
+    });
     elements.pauseBtn.addEventListener('click', pauseAutoPlay);
 
     // Speed selection
     elements.speedBtns.forEach(btn => {
         btn.addEventListener('click', () => setSpeed(btn));
     });
+    elements.speedButtons.addEventListener('keydown', (e) => moveAlongButtons(elements.speedBtns, e, setSpeed));
 
     document.getElementById('exportPDF').addEventListener('click', generatePDFReport);
+    document.getElementById('worksheetBtn').addEventListener('click', generateWorksheetPDF);
+    document.getElementById('copyLinkBtn').addEventListener('click', copyScenarioLink);
+    // Back/forward move between the steps recorded in the hash
+    window.addEventListener('popstate', applyScenarioFromHash);
 
     document.getElementById('themeSelect').addEventListener('change', (e) => {
     applyTheme(e.target.value);
 });
+
+    elements.policySelect.addEventListener('change', (e) => applyPolicy(e.target.value));
+    elements.inputModeSelect.addEventListener('change', (e) => applyInputMode(e.target.value));
+    elements.scopeSelect.addEventListener('change', (e) => applyScope(e.target.value));
+    elements.headerModeSelect.addEventListener('change', (e) => {
+        state.headerMode = e.target.value;
+        updateTableHeaderLabels();
+    });
+
+    elements.compareOptions.querySelectorAll('input[type="checkbox"]').forEach(box => {
+        box.addEventListener('change', updateComparedPolicies);
+    });
+
+    // Belady sweep
+    elements.sweepBtn.addEventListener('click', runFrameSweep);
+    elements.anomalySearchBtn.addEventListener('click', toggleAnomalySearch);
+    elements.sweepResults.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-load-frames]');
+        if (btn) loadSweepScenario(btn.dataset.loadPolicy, btn.dataset.loadFrames);
+    });
+
+    elements.logContainer.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-explain-step]');
+        if (btn) explainStep(Number(btn.dataset.explainStep));
+    });
+
+    // MIPS cross-check
+    elements.mipsRunBtn.addEventListener('click', runMipsProgram);
+    elements.mipsStepBtn.addEventListener('click', stepMipsProgram);
+    elements.mipsResetBtn.addEventListener('click', resetMipsMachine);
+    elements.exportMipsBtn.addEventListener('click', exportMipsProgram);
+    elements.mipsSourceInput.addEventListener('input', resetMipsMachine);
+    elements.mipsComparison.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-step]');
+        if (row && state.isLoaded) goToStep(Number(row.dataset.step));
+    });
+}
+
+function applyPolicy(policyName, { reload = true } = {}) {
+    state.policy = Object.hasOwn(replacementPolicies, policyName) ? policyName : 'lifo';
+    const policy = getActivePolicy();
+
+    elements.stackTitle.textContent = policy.panelTitle;
+    elements.stackLabel.innerHTML = `<i class="bx bx-arrow-to-top"></i> ${policy.topLabel}`;
+
+    // Rerun the loaded reference string (or the one still loading) under the new policy
+    if (reload && (state.isLoaded || backgroundRun)) {
+        pauseAutoPlay();
+        loadAndValidate();
+    }
+}
+
+function applyInputMode(mode) {
+    state.inputMode = ['addresses', 'processes'].includes(mode) ? mode : 'pages';
+    const isAddressMode = state.inputMode === 'addresses';
+    const isProcessMode = state.inputMode === 'processes';
+
+    elements.addressOnlyGroups.forEach(group => { group.hidden = !isAddressMode; });
+    elements.processOnlyGroups.forEach(group => { group.hidden = !isProcessMode; });
+    elements.singleOnlyGroups.forEach(group => { group.hidden = isProcessMode; });
+    elements.refStringInput.placeholder = isAddressMode
+        ? 'e.g., 0x7A10 0x0123 0x1FF0 8196'
+        : 'e.g., 7 0 1 2w 0 3 0w 4';
+    updateFramesLabel();
+}
+
+function applyScope(scope) {
+    state.scope = scope === 'global' ? 'global' : 'local';
+    updateFramesLabel();
+
+    // Rerun loaded processes with the new scope
+    if (state.isLoaded && state.processes) {
+        pauseAutoPlay();
+        loadAndValidate();
+    }
+}
+
+// Local replacement gives every process the same number of frames
+function updateFramesLabel() {
+    const perProcess = state.inputMode === 'processes' && elements.scopeSelect.value === 'local';
+    elements.framesLabelText.textContent = perProcess ? 'Frames per Process' : 'Number of Frames';
 }
 
 function applyTheme(themeName) {
@@ -410,6 +923,7 @@ function applyTheme(themeName) {
     if (themeName !== 'default') {
         document.body.classList.add(`theme-${themeName}`);
     }
+    syncUrlHash({ replace: true });
 
     // 3. Update Chart Colors immediately
     if (myChart) {
@@ -419,7 +933,7 @@ function applyTheme(themeName) {
         myChart.options.scales.y.title.color = colors.line;
         
         // Re-calculate bar colors based on history
-        updateChart(); 
+        updateChart({ rebuild: true }); 
         
         // Force full re-render for axis color changes
         myChart.update();
@@ -428,7 +942,10 @@ function applyTheme(themeName) {
 
 function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-        if (!state.isLoaded) return;
+        if (!state.isLoaded || state.practice.active) return;
+        // Leave typing (and the timeline slider's own arrow keys) alone, and
+        // the arrow keys of the frames table, the tabs and the speed buttons
+        if (e.target.closest('input, textarea, select, .frames-table, [role="tablist"], [role="radiogroup"]')) return;
         
         switch(e.key) {
             case 'ArrowLeft':
@@ -447,6 +964,14 @@ function setupKeyboardShortcuts() {
                     startAutoPlay();
                 }
                 break;
+            case 'Home':
+                e.preventDefault();
+                goToStep(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                goToStep(state.stateHistory.length - 1);
+                break;
         }
     });
 }
@@ -456,7 +981,10 @@ function setupKeyboardShortcuts() {
 // ==================== TAB MANAGEMENT ====================
 function switchTab(tabId) {
     elements.tabBtns.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.tab === tabId);
+        const isActive = btn.dataset.tab === tabId;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-selected', isActive);
+        btn.tabIndex = isActive ? 0 : -1;
     });
     
     elements.tabContents.forEach(content => {
@@ -464,27 +992,172 @@ function switchTab(tabId) {
     });
 }
 
+// Arrow keys (and Home/End) move along the tabs or the speed buttons and
+// pick the one they land on, as the ARIA tabs and radio group patterns do
+function moveAlongButtons(buttons, e, pick) {
+    const list = [...buttons];
+    const index = list.indexOf(e.target.closest('button'));
+    const key = { ArrowUp: 'ArrowLeft', ArrowDown: 'ArrowRight' }[e.key] || e.key;
+    const next = index === -1 ? null : moveGridCell(key, { row: 0, col: index }, { rows: 1, cols: list.length });
+    if (!next) return;
+
+    e.preventDefault();
+    list[next.col].focus();
+    pick(list[next.col]);
+}
+
 // ==================== INPUT HANDLING ====================
 function generateRandomString() {
     const length = Math.floor(Math.random() * 6) + 8; // 8-13 numbers
     const maxPage = 9;
-    const randomPages = [];
+    const pages = randomReferenceString(length, maxPage);
     
-    for (let i = 0; i < length; i++) {
-        randomPages.push(Math.floor(Math.random() * maxPage));
+    if (state.inputMode === 'processes') {
+        // Two or three processes with 6-9 references each
+        const count = Math.random() < 0.5 ? 2 : 3;
+        elements.processesInput.value = ['A', 'B', 'C'].slice(0, count)
+            .map(id => `${id}: ${randomReferenceString(6 + Math.floor(Math.random() * 4), 6).join(' ')}`)
+            .join('\n');
+        showAlert(`Random reference strings generated for ${count} processes!`, 'info');
+        return;
+    }
+
+    if (state.inputMode === 'addresses') {
+        // Random offset inside each page, written in hex
+        const pageSize = parseInt(elements.pageSizeInput.value) || 4096;
+        elements.refStringInput.value = pages
+            .map(page => '0x' + (page * pageSize + Math.floor(Math.random() * pageSize)).toString(16).toUpperCase())
+            .join(' ');
+    } else {
+        elements.refStringInput.value = pages.join(' ');
     }
-    
-    elements.refStringInput.value = randomPages.join(' ');
     showAlert('Random reference string generated!', 'info');
 }
 
 function loadExampleString() {
-    elements.refStringInput.value = '7 0 1 2 0 3 0 4';
     elements.framesInput.value = '3';
+
+    if (state.inputMode === 'processes') {
+        elements.processesInput.value = 'A: 7 0 1 2 0 3 0 4\nB: 1 2 3 1 2 4';
+        elements.framesInput.value = '2';
+        showAlert('Example loaded: processes A and B, round-robin, 2 frames', 'info');
+        return;
+    }
+
+    if (state.inputMode === 'addresses') {
+        // The same 7 0 1 2 0 3 0 4 example as 4 KB page addresses
+        elements.refStringInput.value = '0x7A10 0x0123 0x1FF0 0x2004 0x0456 0x3ABC 0x0010 0x4002';
+        elements.pageSizeInput.value = '4096';
+        showAlert('Example loaded: 8 addresses with 4096-byte pages and 3 frames', 'info');
+        return;
+    }
+
+    elements.refStringInput.value = '7 0 1 2 0 3 0 4';
     showAlert('Example loaded: 7 0 1 2 0 3 0 4 with 3 frames', 'info');
 }
 
-function loadAndValidate() {
+// ==================== TRACE IMPORT ====================
+async function importTraceFile() {
+    const file = elements.traceFileInput.files[0];
+    if (!file) return;
+
+    const parsed = parseMemoryTrace(await file.text());
+    if (parsed.error) {
+        state.trace = null;
+        elements.traceStatus.textContent = `${file.name}: ${parsed.error}`;
+        showAlert(parsed.error, 'error');
+        return;
+    }
+
+    state.trace = { name: file.name, ...parsed };
+    applyImportedTrace();
+}
+
+// Filters/samples/truncates the imported trace and loads it as a virtual address string
+function applyImportedTrace() {
+    const sampleEvery = parseInt(elements.traceSampleInput.value);
+    const limit = parseInt(elements.traceLimitInput.value);
+    if (isNaN(sampleEvery) || sampleEvery < 1 || isNaN(limit) || limit < 1) {
+        showAlert('Sample rate and max references must be whole numbers of at least 1', 'error');
+        return;
+    }
+
+    const trace = state.trace;
+    const result = traceToReferenceString(trace.references, {
+        pageSize: Number(elements.pageSizeInput.value) || 4096,
+        keep: elements.traceKeepSelect.value,
+        sampleEvery,
+        limit
+    });
+
+    if (result.references.length === 0) {
+        elements.traceStatus.textContent = `${trace.name}: no references left after filtering.`;
+        showAlert('No references of that kind in the trace', 'error');
+        return;
+    }
+
+    // The trace holds addresses, so show them in address mode where the page size applies
+    elements.inputModeSelect.value = 'addresses';
+    applyInputMode('addresses');
+    elements.refStringInput.value = result.references
+        .map((ref, i) => '0x' + ref.address.toString(16).toUpperCase() + (result.writes[i] ? 'w' : ''))
+        .join(' ');
+
+    const formatName = trace.format === 'lackey' ? 'Valgrind Lackey' : 'R/W log';
+    elements.traceStatus.textContent =
+        `${trace.name} (${formatName}): ${trace.references.length} references read` +
+        (trace.skipped ? `, ${trace.skipped} unrecognised line(s) skipped` : '') +
+        `; ${result.filteredCount} kept by the filter` +
+        (sampleEvery > 1 ? `, ${result.sampledCount} after sampling` : '') +
+        `; loaded ${result.references.length}${result.truncated ? ' (truncated)' : ''}.`;
+
+    loadAndValidate();
+}
+
+// Parses the reference string box in the current input mode.
+// Returns { pages, writes, translations } (translations is null for page numbers) or { error }.
+function parseInputString(refString) {
+    if (state.inputMode !== 'addresses') {
+        const parsed = parseReferenceString(refString);
+        return parsed.error ? parsed : { ...parsed, translations: null };
+    }
+
+    return parseAddressTrace(refString, Number(elements.pageSizeInput.value));
+}
+
+// Reads the process list and interleaving options. The merged reference string
+// uses pageKey()s ("A:3") so pages of different processes stay apart.
+// Returns { processes, schedule, pages, writes, translations } or { error }.
+function parseProcessInput() {
+    const parsed = parseProcessList(elements.processesInput.value);
+    if (parsed.error) return parsed;
+
+    let schedule;
+    if (elements.scheduleModeSelect.value === 'custom') {
+        const custom = parseSchedule(elements.scheduleInput.value, parsed.processes);
+        if (custom.error) return custom;
+        schedule = custom.schedule;
+    } else {
+        const quantum = parseInt(elements.quantumInput.value);
+        if (isNaN(quantum) || quantum < 1) {
+            return { error: 'References per turn must be a whole number of at least 1' };
+        }
+        schedule = roundRobinSchedule(parsed.processes, quantum);
+    }
+
+    const refs = interleaveProcesses(parsed.processes, schedule);
+    return {
+        processes: parsed.processes,
+        schedule,
+        pages: refs.map(ref => pageKey(ref.process, ref.page)),
+        writes: refs.map(ref => ref.isWrite),
+        translations: null
+    };
+}
+
+// afterLoad runs once the scenario is ready: straight away for short strings,
+// when the background run finishes for long traces
+function loadAndValidate({ afterLoad = () => {} } = {}) {
     // Get and validate frames
     const framesValue = parseInt(elements.framesInput.value);
     if (isNaN(framesValue) || framesValue < 1 || framesValue > 10) {
@@ -492,70 +1165,136 @@ function loadAndValidate() {
         return;
     }
 
-    // Get and validate reference string
-    const refString = elements.refStringInput.value.trim();
-    if (!refString) {
-        showAlert('Please enter a reference string', 'error');
-        return;
-    }
-
-    // Parse reference string
-    const pages = refString.split(/[\s,]+/).map(s => s.trim()).filter(s => s !== '');
-    
-    // Check for non-numeric values
-    for (let i = 0; i < pages.length; i++) {
-        if (!/^\d+$/.test(pages[i])) {
-            showAlert(`Invalid value "${pages[i]}" in reference string. Please use numbers only.`, 'error');
+    let parsed;
+    if (state.inputMode === 'processes') {
+        parsed = parseProcessInput();
+    } else {
+        // Get and validate reference string
+        const refString = elements.refStringInput.value.trim();
+        if (!refString) {
+            showAlert('Please enter a reference string', 'error');
             return;
         }
+
+        // Parse reference string (or translate addresses to pages)
+        parsed = parseInputString(refString);
+    }
+
+    if (parsed.error) {
+        showAlert(parsed.error, 'error');
+        return;
     }
 
-    const numericPages = pages.map(p => parseInt(p));
+    const numericPages = parsed.pages;
 
     // Store validated values
     state.frames = framesValue;
     state.referenceString = numericPages;
-    state.isLoaded = true;
+    state.writes = parsed.writes;
+    state.processes = parsed.processes || null;
+    state.schedule = parsed.schedule || [];
+    state.scope = elements.scopeSelect.value;
+    state.translations = parsed.translations;
+    state.pageSize = parsed.translations ? Number(elements.pageSizeInput.value) : state.pageSize;
+
+    const framesText = state.processes && state.scope === 'local'
+        ? `${framesValue} frames for each of ${state.processes.length} processes`
+        : `${framesValue} frames`;
+    // Links and saved sessions announce themselves
+    const quiet = applyingHash;
+
+    const loaded = () => {
+        state.isLoaded = true;
+        showUnstartedScenario();
+        syncUrlHash();
+        if (!quiet) {
+            showAlert(`Loaded successfully! ${numericPages.length} pages with ${framesText}. Click "Start" to begin.`, 'success');
+        }
+        afterLoad();
+    };
+
+    if (isLongTrace()) {
+        loadInBackground(quiet, loaded);
+        return;
+    }
 
     // Build state history
-    buildStateHistory();
+    refreshStateHistory();
+    loaded();
+}
+
+// Loaded but not started: empty table, stack, stats and log, only "Start" enabled
+function showUnstartedScenario() {
+    state.currentStep = -1;
 
     // Render initial state
     renderTable();
-    renderStack([]);
+    renderStack();
+    renderComparisonPanels();
     renderStats();
     clearLog();
     initChart();
+    updateTimeline();
+    refreshMipsCheck();
+    showScenarioChat();
 
     // Enable controls
     elements.startBtn.disabled = false;
     elements.prevBtn.disabled = true;
     elements.nextBtn.disabled = true;
     elements.playBtn.disabled = true;
+    elements.playBackBtn.disabled = true;
     elements.pauseBtn.disabled = true;
 
-    showAlert(`Loaded successfully! ${numericPages.length} pages with ${framesValue} frames. Click "Start" to begin.`, 'success');
+    // A fresh run starts a fresh practice round
+    state.practice.answers = [];
+    lockForPractice();
+    renderPractice();
 }
 
 function resetSimulator() {
     pauseAutoPlay();
-    
+    stopBackgroundRun();
+    forgetScenario();
+
     state.referenceString = [];
+    state.writes = [];
+    state.processes = null;
+    state.schedule = [];
+    state.translations = null;
+
+    // Reset inputs
+    elements.refStringInput.value = '';
+    elements.traceFileInput.value = '';
+    state.trace = null;
+    elements.framesInput.value = '3';
+
+    clearSimulator('Load a reference string to begin simulation');
+    showAlert('Simulator reset. Enter new values to begin.', 'info');
+}
+
+// Drops the scenario from the URL and the saved session
+function forgetScenario() {
+    window.history.replaceState(null, '', location.pathname + location.search);
+    localStorage.removeItem(LAST_SESSION_KEY);
+}
+
+// Drops the computed run and empties every panel; `message` goes in the frames table
+function clearSimulator(message) {
     state.stateHistory = [];
     state.currentStep = -1;
     state.isLoaded = false;
     state.totalHits = 0;
     state.totalFaults = 0;
-
-    // Reset inputs
-    elements.refStringInput.value = '';
-    elements.framesInput.value = '3';
+    state.totalWriteBacks = 0;
+    state.comparisons = [];
+    state.divergentSteps = new Set();
 
     // Reset displays
     elements.tableWrapper.innerHTML = `
         <div class="placeholder-message">
             <i class='bx bx-loader-alt'></i>
-            <p>Load a reference string to begin simulation</p>
+            <p>${message}</p>
         </div>
     `;
     
@@ -565,6 +1304,7 @@ function resetSimulator() {
             <p>Stack will appear here</p>
         </div>
     `;
+    elements.stepAnnouncer.textContent = '';
     
     elements.logContainer.innerHTML = `
         <div class="placeholder-message">
@@ -573,22 +1313,30 @@ function resetSimulator() {
         </div>
     `;
 
+    renderComparisonPanels();
+    refreshMipsCheck();
+    showScenarioChat();
+
     // Reset stats
     elements.totalHits.textContent = '0';
     elements.totalFaults.textContent = '0';
+    elements.totalWriteBacks.textContent = '0';
     elements.currentStep.textContent = '0';
     elements.totalSteps.textContent = '0';
     elements.hitRatio.textContent = '0%';
+    renderProcessStats();
+    updateTimeline();
+    state.practice.answers = [];
+    renderPractice();
 
     // Disable controls
     elements.startBtn.disabled = true;
     elements.prevBtn.disabled = true;
     elements.nextBtn.disabled = true;
     elements.playBtn.disabled = true;
+    elements.playBackBtn.disabled = true;
     elements.pauseBtn.disabled = true;
 
-    showAlert('Simulator reset. Enter new values to begin.', 'info');
-
     // NEW: Destroy chart
     if (myChart) {
         myChart.destroy();
@@ -596,83 +1344,172 @@ function resetSimulator() {
     }
 }
 
-// ==================== LIFO ALGORITHM CORE ====================
-function buildStateHistory() {
-    state.stateHistory = [];
-    state.totalHits = 0;
-    state.totalFaults = 0;
+// ==================== PAGE REPLACEMENT CORE ====================
+function getActivePolicy() {
+    return getPolicy(state.policy);
+}
 
-    let frames = new Array(state.frames).fill(null);
-    // NEW: Track age of pages in frames
-    let frameAges = new Array(state.frames).fill(0); 
-    let stack = []; 
+// One run of `policyName` over the loaded input: a single string, or the
+// loaded processes under the chosen replacement scope
+function runPolicy(policyName) {
+    if (state.processes) {
+        return buildMultiProcessHistory(state.processes, state.schedule, state.frames, policyName, state.scope);
+    }
+    return buildStateHistory(state.referenceString, state.frames, policyName, state.writes);
+}
 
-    for (let i = 0; i < state.referenceString.length; i++) {
-        const page = state.referenceString[i];
-        
-        // NEW: Increment age for all occupied frames at the start of the step
-        frameAges = frameAges.map((age, index) => frames[index] !== null ? age + 1 : 0);
-
-        let stepData = {
-            step: i + 1,
-            page: page,
-            frames: [...frames],
-            frameAges: [...frameAges], // Save snapshot of ages
-            stack: JSON.parse(JSON.stringify(stack)), 
-            isHit: false,
-            isFault: false,
-            replacedPage: null,
-            replacedIndex: -1,
-            newPageIndex: -1
-        };
+// Runs the loaded string through the selected policy and every compared one
+function refreshStateHistory() {
+    const run = runPolicy(state.policy);
+    state.stateHistory = run.history;
+    state.totalHits = run.totalHits;
+    state.totalFaults = run.totalFaults;
+    state.totalWriteBacks = run.totalWriteBacks;
 
-        const pageIndex = frames.indexOf(page);
-        
-        if (pageIndex !== -1) {
-            // HIT
-            stepData.isHit = true;
-            state.totalHits++;
-            // LIFO typically does NOT reset age on hit (unlike LRU)
-        } else {
-            // FAULT
-            stepData.isFault = true;
-            state.totalFaults++;
+    buildComparisons();
+}
 
-            const emptyIndex = frames.indexOf(null);
-            
-            if (emptyIndex !== -1) {
-                // Fill empty frame
-                frames[emptyIndex] = page;
-                stack.push(page);
-                stepData.newPageIndex = emptyIndex;
-                // NEW: Reset age for new page
-                frameAges[emptyIndex] = 0;
-            } else {
-                // Replacement
-                const pageToReplace = stack.pop();
-                const replaceIndex = frames.indexOf(pageToReplace);
-                
-                stepData.replacedPage = pageToReplace;
-                stepData.replacedIndex = replaceIndex;
-                
-                frames[replaceIndex] = page;
-                stack.push(page);
-                stepData.newPageIndex = replaceIndex;
-                // NEW: Reset age for new page
-                frameAges[replaceIndex] = 0;
+// Reruns every policy ticked in the comparison panel against the loaded string
+// and records the steps where they disagree on which page to evict. Long
+// traces compare in the background and redraw the panels when done.
+function buildComparisons() {
+    // Whatever was still running belonged to the previous comparison or scenario
+    stopBackgroundRun();
+    const policies = comparedPolicies();
+
+    if (isLongTrace() && policies.length > 0) {
+        setComparisons([]);
+        runInBackground(policies, 'Comparing policies', {
+            done: (runs) => {
+                setComparisons(runs);
+                showComparisons();
+            },
+            cancelled: () => {
+                elements.compareOptions.querySelectorAll('input[type="checkbox"]').forEach(box => { box.checked = false; });
+                state.comparePolicies = [];
             }
+        });
+        return;
+    }
 
-            stepData.frames = [...frames];
-            stepData.stack = [...stack];
-            // NEW: Update stepData with the modified ages after changes
-            stepData.frameAges = [...frameAges];
-        }
+    setComparisons(policies.map(policyName => ({ policy: policyName, ...runPolicy(policyName) })));
+}
 
-        state.stateHistory.push(stepData);
-    }
+function comparedPolicies() {
+    return state.comparePolicies.filter(policyName => policyName !== state.policy);
+}
+
+function setComparisons(runs) {
+    state.comparisons = runs;
+    state.divergentSteps = findDivergentSteps([state.stateHistory, ...runs.map(run => run.history)]);
+}
+
+// ==================== BACKGROUND SIMULATION ====================
+// Single strings this long run in simulation-worker.mjs with a progress bar
+// and are kept as compact histories (compact-history.mjs), which rebuild a
+// step's frames and stack only when something draws it. Shorter strings and
+// multi-process runs are simulated right away.
+const LONG_TRACE_STEPS = 10000;
+let backgroundRun = null; // { worker, cancelled } while the worker is busy
+
+function isLongTrace() {
+    return !state.processes && state.referenceString.length >= LONG_TRACE_STEPS;
+}
+
+// Runs the loaded string through the selected and compared policies in the
+// background, then hands over to loaded() like a normal load
+function loadInBackground(quiet, loaded) {
+    pauseAutoPlay();
+    clearSimulator('Simulating the trace...');
+
+    runInBackground([state.policy, ...comparedPolicies()], 'Simulating', {
+        done: ([main, ...comparisons]) => {
+            state.stateHistory = main.history;
+            state.totalHits = main.totalHits;
+            state.totalFaults = main.totalFaults;
+            state.totalWriteBacks = main.totalWriteBacks;
+            setComparisons(comparisons);
+
+            // An opened link or session finishes as quietly as it started
+            applyingHash = quiet;
+            try {
+                loaded();
+            } finally {
+                applyingHash = false;
+            }
+            if (quiet) syncUrlHash({ replace: true });
+        },
+        cancelled: () => {
+            forgetScenario();
+            clearSimulator('Simulation cancelled. Load the string again to retry.');
+        }
+    });
+}
+
+// Runs `policies` over the loaded string in a worker while the progress bar
+// fills. done(runs) gets one { policy, history, totalHits, totalFaults,
+// totalWriteBacks } per policy; cancelled() runs if the user stops it or the
+// worker fails. A new run replaces one that is still going.
+function runInBackground(policies, label, { done, cancelled }) {
+    stopBackgroundRun();
+
+    const { referenceString, writes, frames } = state;
+    const histories = policies.map(policyName => createCompactHistory(referenceString, frames, policyName, writes));
+    const totalSteps = referenceString.length * policies.length;
+
+    const worker = new Worker('simulation-worker.mjs', { type: 'module' });
+    backgroundRun = { worker, cancelled };
+    showSimulationProgress(label, 0);
+
+    worker.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+            histories[data.run].addChunk(data.chunk);
+            const finished = histories.reduce((sum, history) => sum + history.length, 0);
+            showSimulationProgress(label, finished / totalSteps);
+            return;
+        }
+
+        stopBackgroundRun();
+        done(histories.map((history, i) => {
+            const stats = computeStats(history);
+            return { policy: policies[i], history, totalHits: stats.hits, totalFaults: stats.faults, totalWriteBacks: stats.writeBacks };
+        }));
+    };
+
+    worker.onerror = (event) => {
+        event.preventDefault();
+        stopBackgroundRun();
+        cancelled();
+        showAlert('The background simulation failed. Try a shorter trace.', 'error');
+    };
+
+    worker.postMessage({ referenceString, writes, frames, policies });
+}
+
+function cancelBackgroundRun() {
+    if (!backgroundRun) return;
+
+    const { cancelled } = backgroundRun;
+    stopBackgroundRun();
+    cancelled();
+    showAlert('Simulation cancelled', 'info');
+}
+
+function stopBackgroundRun() {
+    if (backgroundRun) backgroundRun.worker.terminate();
+    backgroundRun = null;
+    elements.simulationProgress.hidden = true;
+}
+
+function showSimulationProgress(label, fraction) {
+    elements.simulationProgress.hidden = false;
+    elements.simulationProgressBar.value = fraction;
+    elements.simulationProgressLabel.textContent = `${label}... ${Math.floor(fraction * 100)}%`;
 }
 
 // ==================== SIMULATION CONTROL ====================
+// Every move goes through renderCurrentStep(), which also brings the log and
+// the timeline in line with state.currentStep
 function startSimulation() {
     if (!state.isLoaded) {
         showAlert('Please load a reference string first', 'error');
@@ -683,15 +1520,13 @@ function startSimulation() {
     
     // Enable navigation
     elements.startBtn.disabled = true;
-    elements.prevBtn.disabled = true;
-    elements.nextBtn.disabled = state.stateHistory.length <= 1;
     elements.playBtn.disabled = false;
+    elements.playBackBtn.disabled = false;
     elements.pauseBtn.disabled = true;
 
     // Render first step
     renderCurrentStep();
-    clearLog();
-    addLogEntry(state.stateHistory[0]);
+    updateNavigationButtons();
 }
 
 function nextStep() {
@@ -699,7 +1534,6 @@ function nextStep() {
     
     state.currentStep++;
     renderCurrentStep();
-    addLogEntry(state.stateHistory[state.currentStep]);
     updateNavigationButtons();
 }
 
@@ -708,203 +1542,1043 @@ function previousStep() {
     
     state.currentStep--;
     renderCurrentStep();
-    updateLogHighlight();
     updateNavigationButtons();
 }
 
-function startAutoPlay() {
-    if (state.currentStep >= state.stateHistory.length - 1) {
-        // Reset to beginning if at end
-        state.currentStep = -1;
-        clearLog();
-    }
+// direction: 1 plays forward, -1 plays backward
+function startAutoPlay(direction = 1) {
+    const lastStep = state.stateHistory.length - 1;
+    if (lastStep < 0) return;
+
+    // Starting from the far end begins again from the other end
+    if (direction > 0 && state.currentStep >= lastStep) state.currentStep = -1;
+    if (direction < 0 && state.currentStep <= 0) state.currentStep = lastStep + 1;
 
     state.isPlaying = true;
+    state.playDirection = direction;
     elements.playBtn.disabled = true;
+    elements.playBackBtn.disabled = true;
     elements.pauseBtn.disabled = false;
     elements.prevBtn.disabled = true;
     elements.nextBtn.disabled = true;
 
-    state.playInterval = setInterval(() => {
-        if (state.currentStep >= state.stateHistory.length - 1) {
+    playLoop(++playRun);
+}
+
+// Autoplay moves a step every state.speed ms. In narrated playback a step
+// also stays until its narration has finished. Every start, pause and speed
+// change begins a new run, so an older loop still waiting stops there.
+let playRun = 0;
+
+async function playLoop(run) {
+    while (run === playRun && state.isPlaying) {
+        const delay = new Promise(resolve => { state.playInterval = setTimeout(resolve, state.speed); });
+        const narrated = narrationSettings.narratedPlayback && state.isNarrating;
+        await (narrated ? Promise.all([delay, stepNarrationDone]) : delay);
+        if (run !== playRun) return;
+        playTick();
+    }
+}
+
+// One autoplay step; at either end it stops, or wraps around when looping
+function playTick() {
+    const lastStep = state.stateHistory.length - 1;
+    let next = state.currentStep + state.playDirection;
+
+    if (next < 0 || next > lastStep) {
+        if (!elements.loopInput.checked) {
             pauseAutoPlay();
             return;
         }
-        
-        state.currentStep++;
-        renderCurrentStep();
-        addLogEntry(state.stateHistory[state.currentStep]);
-    }, state.speed);
+        next = next < 0 ? lastStep : 0;
+    }
+
+    state.currentStep = next;
+    renderCurrentStep();
 }
 
 function pauseAutoPlay() {
+    const wasPlaying = state.isPlaying;
     state.isPlaying = false;
+    playRun++;
     
     if (state.playInterval) {
-        clearInterval(state.playInterval);
+        clearTimeout(state.playInterval);
         state.playInterval = null;
     }
 
     elements.playBtn.disabled = false;
+    elements.playBackBtn.disabled = false;
     elements.pauseBtn.disabled = true;
     updateNavigationButtons();
+    if (wasPlaying) syncUrlHash({ replace: true });
 }
 
 function setSpeed(btn) {
-    elements.speedBtns.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
+    elements.speedBtns.forEach(b => {
+        b.classList.toggle('active', b === btn);
+        b.setAttribute('aria-checked', b === btn);
+        b.tabIndex = b === btn ? 0 : -1;
+    });
     state.speed = parseInt(btn.dataset.speed);
+    syncUrlHash({ replace: true });
 
     // If playing, restart with new speed
     if (state.isPlaying) {
-        clearInterval(state.playInterval);
-        state.playInterval = setInterval(() => {
-            if (state.currentStep >= state.stateHistory.length - 1) {
-                pauseAutoPlay();
-                return;
-            }
-            
-            state.currentStep++;
-            renderCurrentStep();
-            addLogEntry(state.stateHistory[state.currentStep]);
-        }, state.speed);
+        clearTimeout(state.playInterval);
+        playLoop(++playRun);
     }
 }
 
 function updateNavigationButtons() {
     elements.prevBtn.disabled = state.currentStep <= 0;
     elements.nextBtn.disabled = state.currentStep >= state.stateHistory.length - 1;
+    lockForPractice();
+}
+
+// Shows step `index` directly (-1 = loaded but not started)
+function goToStep(index) {
+    pauseAutoPlay();
+    index = Math.min(index, state.stateHistory.length - 1);
+
+    if (index < 0) {
+        showUnstartedScenario();
+        return;
+    }
+
+    state.currentStep = index;
+    elements.startBtn.disabled = true;
+
+    renderCurrentStep();
+    updateNavigationButtons();
+}
+
+// ==================== PRACTICE MODE ====================
+// The student predicts each step before it is shown; the answers are graded
+// against state.stateHistory (see practice-mode.mjs)
+function togglePracticeMode(active) {
+    state.practice.active = active;
+
+    if (!state.isLoaded) {
+        renderPractice();
+        return;
+    }
+
+    pauseAutoPlay();
+    // Practice always starts from the first step; leaving it keeps the current one
+    if (active || state.currentStep < 0) showUnstartedScenario();
+    else goToStep(state.currentStep);
+}
+
+// While practicing, the question card is the only way forward
+function lockForPractice() {
+    if (!state.practice.active) return;
+
+    [elements.startBtn, elements.prevBtn, elements.nextBtn, elements.playBtn, elements.playBackBtn]
+        .forEach(btn => { btn.disabled = true; });
+    elements.timelineSlider.disabled = true;
+}
+
+function renderPractice() {
+    const { active, answers } = state.practice;
+    const summary = summarizePractice(answers);
+    const nextIndex = state.currentStep + 1;
+    const asking = active && state.isLoaded && nextIndex < state.stateHistory.length;
+    const finished = active && state.isLoaded && !asking;
+
+    elements.practiceIntro.hidden = active && state.isLoaded;
+    elements.practiceScore.textContent = `Score: ${summary.correct} / ${summary.answered}`;
+    elements.practiceQuestion.hidden = !asking;
+    elements.practiceSummary.hidden = !finished;
+
+    if (asking) elements.practiceQuestion.innerHTML = buildPracticeQuestionHtml(nextIndex);
+    if (finished) elements.practiceSummary.innerHTML = buildPracticeSummaryHtml(summary);
+}
+
+// Asks about step `index`, offering the frames as they were just before it
+function buildPracticeQuestionHtml(index) {
+    const stepData = state.stateHistory.at(index);
+    const frames = index > 0 ? state.stateHistory.at(index - 1).frames : stepData.frames.map(() => null);
+    const access = stepData.isWrite ? ' <span class="write-text">(write)</span>' : '';
+    const frameOptions = frames
+        .map((page, f) => page === null ? '' : `<option value="${f}">Frame ${f + 1}: page ${escapeHtml(page)}</option>`)
+        .join('');
+
+    return `
+        <p class="practice-prompt">Step <strong>${stepData.step}</strong>: page <strong>${escapeHtml(stepData.page)}</strong>${access} is requested. What happens?</p>
+        <div class="practice-choices">
+            <label class="compare-chip"><input type="radio" name="practiceOutcome" value="hit" /> Hit</label>
+            <label class="compare-chip"><input type="radio" name="practiceOutcome" value="fault" /> Fault</label>
+            <select id="practiceVictim" disabled aria-label="Frame that gets emptied">
+                <option value="-1">No eviction, a free frame is used</option>
+                ${frameOptions}
+            </select>
+            <button class="btn btn-primary" data-practice-check>
+                <i class="bx bx-check"></i>
+                Check Answer
+            </button>
+        </div>
+    `;
+}
+
+function buildPracticeSummaryHtml(summary) {
+    if (summary.answered === 0) {
+        return `<p>No answers this round.</p><button class="btn btn-secondary" data-practice-restart><i class="bx bx-revision"></i> Start Over</button>`;
+    }
+
+    const mistakeItems = Object.entries(MISTAKE_LABELS)
+        .map(([type, label]) => `<li><span>${label}</span><strong>${summary.mistakes[type]}</strong></li>`)
+        .join('');
+    const review = summary.wrongSteps.length > 0
+        ? `<p>Steps to review: ${summary.wrongSteps.join(', ')}</p>`
+        : '<p>No mistakes. Well done!</p>';
+
+    return `
+        <h3>Practice complete</h3>
+        <p>You got <strong>${summary.correct}</strong> of <strong>${summary.answered}</strong> steps right (${summary.score.toFixed(1)}%).</p>
+        <ul class="practice-mistakes">${mistakeItems}</ul>
+        ${review}
+        <button class="btn btn-secondary" data-practice-restart>
+            <i class="bx bx-revision"></i>
+            Try Again
+        </button>
+    `;
+}
+
+// Grades the answer for the next step, then reveals that step
+function checkPracticeAnswer() {
+    const outcome = elements.practiceQuestion.querySelector('input[name="practiceOutcome"]:checked');
+    if (!outcome) {
+        showAlert('Choose hit or fault first', 'error');
+        return;
+    }
+
+    const index = state.currentStep + 1;
+    const prediction = outcome.value === 'hit'
+        ? { outcome: 'hit' }
+        : { outcome: 'fault', victimFrame: parseInt(elements.practiceQuestion.querySelector('#practiceVictim').value) };
+    state.practice.answers[index] = gradePrediction(state.stateHistory.at(index), prediction, getActivePolicy());
+
+    state.currentStep = index;
+    renderCurrentStep();
+}
+
+// ==================== TIMELINE ====================
+// Slider position 0 is "loaded but not started", 1..n are the steps
+function updateTimeline() {
+    const total = state.stateHistory.length;
+    elements.timelineSlider.max = total;
+    elements.timelineSlider.value = state.currentStep + 1;
+    elements.timelineSlider.disabled = !state.isLoaded || total === 0 || state.practice.active;
+    elements.timelineLabel.textContent = state.currentStep < 0
+        ? `Not started / ${total}`
+        : `Step ${state.currentStep + 1} / ${total}`;
+}
+
+function scrubTimeline() {
+    goToStep(parseInt(elements.timelineSlider.value) - 1);
+}
+
+// ==================== SHAREABLE LINKS ====================
+// Scenario links keep everything in the hash, e.g.
+// #frames=3&policy=lifo&string=7+0+1+2w&theme=default&speed=400&step=4
+// (step 0 = loaded but not started). Processes and address traces add their own fields.
+let applyingHash = false; // set while a link is being opened so it doesn't rewrite itself
+
+// The loaded scenario as URL parameters
+function scenarioParams() {
+    const params = new URLSearchParams();
+    const withAccess = (text, isWrite) => `${text}${isWrite ? 'w' : ''}`;
+
+    params.set('frames', state.frames);
+    params.set('policy', state.policy);
+
+    if (state.processes) {
+        params.set('mode', 'processes');
+        params.set('processes', state.processes
+            .map(process => `${process.id}: ${process.pages.map((page, i) => withAccess(page, process.writes[i])).join(' ')}`)
+            .join('\n'));
+        params.set('scope', state.scope);
+        params.set('schedule', compressSchedule(state.schedule));
+    } else if (state.translations) {
+        params.set('mode', 'addresses');
+        params.set('pageSize', state.pageSize);
+        params.set('string', state.translations.map((entry, i) => withAccess(entry.text, state.writes[i])).join(' '));
+    } else {
+        params.set('string', state.referenceString.map((page, i) => withAccess(page, state.writes[i])).join(' '));
+    }
+
+    params.set('theme', currentTheme);
+    params.set('speed', state.speed);
+    params.set('step', state.currentStep + 1);
+    return params;
+}
+
+// ['A', 'A', 'B'] -> "A*2 B"
+function compressSchedule(schedule) {
+    const runs = [];
+    schedule.forEach(id => {
+        const last = runs[runs.length - 1];
+        if (last && last.id === id) last.count++;
+        else runs.push({ id, count: 1 });
+    });
+    return runs.map(run => run.count > 1 ? `${run.id}*${run.count}` : run.id).join(' ');
+}
+
+// Everything but the view settings, to tell whether a link needs a reload
+function scenarioKey(params) {
+    const key = new URLSearchParams(params);
+    ['theme', 'speed', 'step'].forEach(name => key.delete(name));
+    return key.toString();
+}
+
+// Mirrors the loaded scenario and step into the hash (and the saved session).
+// Manual steps add a history entry so back/forward step through; autoplay replaces it once it stops.
+function syncUrlHash({ replace = state.isPlaying } = {}) {
+    if (applyingHash || !state.isLoaded) return;
+
+    const params = scenarioParams();
+    localStorage.setItem(LAST_SESSION_KEY, params.toString());
+
+    const hash = `#${params}`;
+    if (hash === location.hash) return;
+
+    if (replace) window.history.replaceState(null, '', hash);
+    else window.history.pushState(null, '', hash);
+}
+
+// Loads the scenario in the hash (if any) and jumps to its step.
+// Returns true when the hash held a scenario.
+function applyScenarioFromHash() {
+    return applyScenarioParams(new URLSearchParams(location.hash.slice(1)));
+}
+
+// Loads a scenario given as link parameters (theme, speed and step optional).
+// Returns true when it loaded (or a long trace started loading).
+function applyScenarioParams(params) {
+    if (!params.has('frames')) return false;
+
+    applyingHash = true;
+    try {
+        const theme = params.get('theme');
+        if (theme && themeColors[theme]) {
+            document.getElementById('themeSelect').value = theme;
+            applyTheme(theme);
+        }
+
+        const speedBtn = [...elements.speedBtns].find(btn => btn.dataset.speed === params.get('speed'));
+        if (speedBtn) setSpeed(speedBtn);
+
+        const openStep = () => goToStep((parseInt(params.get('step')) || 0) - 1);
+        if (!state.isLoaded || scenarioKey(params) !== scenarioKey(scenarioParams())) {
+            fillInputsFromParams(params);
+            loadAndValidate({ afterLoad: openStep });
+        } else {
+            openStep();
+        }
+    } finally {
+        applyingHash = false;
+    }
+
+    // A long trace is still loading in the background
+    return state.isLoaded || backgroundRun !== null;
+}
+
+function fillInputsFromParams(params) {
+    const mode = params.get('mode') || 'pages';
+    elements.inputModeSelect.value = mode;
+    applyInputMode(mode);
+
+    elements.framesInput.value = params.get('frames');
+    elements.policySelect.value = params.get('policy') || 'lifo';
+    applyPolicy(elements.policySelect.value, { reload: false });
+
+    if (mode === 'processes') {
+        elements.processesInput.value = params.get('processes') || '';
+        elements.scopeSelect.value = params.get('scope') === 'global' ? 'global' : 'local';
+        elements.scheduleModeSelect.value = 'custom';
+        elements.scheduleInput.value = params.get('schedule') || '';
+        updateFramesLabel();
+    } else {
+        elements.refStringInput.value = params.get('string') || '';
+        if (mode === 'addresses') elements.pageSizeInput.value = params.get('pageSize') || '4096';
+    }
+}
+
+function copyScenarioLink() {
+    if (!state.isLoaded) {
+        showAlert('Load a scenario first, then copy its link.', 'error');
+        return;
+    }
+
+    const link = `${location.origin}${location.pathname}${location.search}#${scenarioParams()}`;
+    if (!navigator.clipboard) {
+        showAlert(`Copy this link: ${link}`, 'info');
+        return;
+    }
+
+    navigator.clipboard.writeText(link)
+        .then(() => showAlert('Link copied! It opens this scenario at the current step.', 'success'))
+        .catch(() => showAlert(`Copy this link: ${link}`, 'info'));
+}
+
+// ==================== SCENARIO LIBRARY ====================
+// Saved scenarios live in localStorage as [{ name, notes, savedAt, scenario }],
+// where `scenario` holds the same fields as a shareable link (minus theme, speed and step).
+const LIBRARY_KEY = 'scenario_library';
+const LAST_SESSION_KEY = 'last_session';
+
+function readScenarioLibrary() {
+    try {
+        const library = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+        return Array.isArray(library) ? library : [];
+    } catch {
+        return [];
+    }
+}
+
+function writeScenarioLibrary(library) {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    renderScenarioLibrary();
+}
+
+function restoreLastSession() {
+    const saved = localStorage.getItem(LAST_SESSION_KEY);
+    if (!saved || !applyScenarioParams(new URLSearchParams(saved))) return false;
+
+    syncUrlHash({ replace: true });
+    return true;
+}
+
+function saveCurrentScenario() {
+    const name = elements.scenarioNameInput.value.trim();
+    if (!name) {
+        showAlert('Please give the scenario a name', 'error');
+        return;
+    }
+
+    // Save what is in the inputs, so validate and load it first
+    if (!state.isLoaded) {
+        loadAndValidate({ afterLoad: saveCurrentScenario });
+        return;
+    }
+
+    const scenario = Object.fromEntries(new URLSearchParams(scenarioKey(scenarioParams())));
+    const entry = { name, notes: elements.scenarioNotesInput.value.trim(), savedAt: new Date().toISOString(), scenario };
+
+    const library = readScenarioLibrary();
+    const existing = library.findIndex(item => item.name === name);
+    if (existing !== -1) library[existing] = entry;
+    else library.push(entry);
+
+    writeScenarioLibrary(library);
+    elements.scenarioNameInput.value = '';
+    elements.scenarioNotesInput.value = '';
+    showAlert(existing !== -1 ? `Updated "${name}"` : `Saved "${name}" to the library`, 'success');
+}
+
+function handleLibraryAction(action, name) {
+    const library = readScenarioLibrary();
+    const entry = library.find(item => item.name === name);
+    if (!entry) return;
+
+    if (action === 'load') {
+        pauseAutoPlay();
+        if (applyScenarioParams(new URLSearchParams(entry.scenario))) {
+            syncUrlHash();
+            showAlert(`Loaded "${name}"`, 'success');
+        }
+    } else if (action === 'rename') {
+        const newName = (prompt('New name for this scenario:', name) || '').trim();
+        if (!newName || newName === name) return;
+        if (library.some(item => item.name === newName)) {
+            showAlert(`There is already a scenario called "${newName}"`, 'error');
+            return;
+        }
+        entry.name = newName;
+        writeScenarioLibrary(library);
+    } else if (action === 'delete') {
+        if (!confirm(`Delete "${name}" from the library?`)) return;
+        writeScenarioLibrary(library.filter(item => item !== entry));
+    }
+}
+
+// Saved scenarios use the hash parameters: `mode` is missing (pages),
+// 'addresses' or 'processes', and the matching input must be there
+function isLibraryScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object' || scenario.frames === undefined) return false;
+
+    const mode = scenario.mode === undefined ? 'pages' : scenario.mode;
+    if (mode === 'processes') return typeof scenario.processes === 'string';
+    return ['pages', 'addresses'].includes(mode) && typeof scenario.string === 'string';
+}
+
+// One line describing a saved scenario, e.g. "3 frames · LIFO · 7 0 1 2 0 3";
+// null for one that can't be shown (hand-edited), so the rest still loads
+function describeScenario(scenario) {
+    if (!isLibraryScenario(scenario)) return null;
+
+    const policy = getPolicy(scenario.policy).name;
+    const input = scenario.mode === 'processes'
+        ? `${scenario.processes.split('\n').length} processes, ${scenario.scope} replacement`
+        : scenario.string;
+    const shortInput = input.length > 48 ? `${input.slice(0, 45)}...` : input;
+    return `${scenario.frames} frames · ${policy} · ${shortInput}`;
+}
+
+function renderScenarioLibrary() {
+    const library = readScenarioLibrary();
+    elements.scenarioList.innerHTML = '';
+
+    if (library.length === 0) {
+        elements.scenarioList.innerHTML = `
+            <div class="placeholder-message">
+                <i class='bx bx-library'></i>
+                <p>No saved scenarios yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Built with textContent: names and notes may come from an imported file
+    library.forEach(entry => {
+        const description = entry && describeScenario(entry.scenario);
+        if (!description) return;
+
+        const item = document.createElement('div');
+        item.className = 'scenario-item';
+
+        const info = document.createElement('div');
+        info.className = 'scenario-info';
+        const title = document.createElement('strong');
+        title.textContent = entry.name;
+        const summary = document.createElement('span');
+        summary.className = 'scenario-summary';
+        summary.textContent = description;
+        info.append(title, summary);
+        if (entry.notes) {
+            const notes = document.createElement('span');
+            notes.className = 'scenario-notes';
+            notes.textContent = entry.notes;
+            info.append(notes);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'scenario-actions';
+        [['load', 'bx-play', 'Load'], ['rename', 'bx-rename', 'Rename'], ['delete', 'bx-trash', 'Delete']].forEach(([action, icon, label]) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${action === 'delete' ? 'btn-danger' : 'btn-secondary'}`;
+            btn.dataset.libraryAction = action;
+            btn.dataset.name = entry.name;
+            btn.innerHTML = `<i class="bx ${icon}"></i> ${label}`;
+            actions.append(btn);
+        });
+
+        item.append(info, actions);
+        elements.scenarioList.append(item);
+    });
+}
+
+function exportScenarioLibrary() {
+    const library = readScenarioLibrary();
+    if (library.length === 0) {
+        showAlert('The library is empty', 'error');
+        return;
+    }
+
+    downloadText(JSON.stringify({ version: 1, scenarios: library }, null, 2), `scenario-library-${todayStamp()}.json`, 'application/json');
+}
+
+function todayStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function downloadText(text, fileName, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = fileName;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Merges a library file into the saved one; scenarios with the same name are replaced
+async function importScenarioLibrary() {
+    const file = elements.importLibraryInput.files[0];
+    elements.importLibraryInput.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+        const data = JSON.parse(await file.text());
+        imported = Array.isArray(data) ? data : data.scenarios;
+    } catch {
+        showAlert(`${escapeHtml(file.name)} is not valid JSON`, 'error');
+        return;
+    }
+
+    const isValid = (entry) => entry && typeof entry.name === 'string' && entry.name.trim() !== ''
+        && isLibraryScenario(entry.scenario);
+    if (!Array.isArray(imported) || !imported.every(isValid)) {
+        showAlert(`${escapeHtml(file.name)} is not a scenario library export`, 'error');
+        return;
+    }
+
+    const library = readScenarioLibrary();
+    imported.forEach(entry => {
+        const clean = {
+            name: entry.name.trim(),
+            notes: typeof entry.notes === 'string' ? entry.notes : '',
+            savedAt: entry.savedAt || new Date().toISOString(),
+            scenario: Object.fromEntries(Object.entries(entry.scenario).map(([key, value]) => [key, String(value)]))
+        };
+        const existing = library.findIndex(item => item.name === clean.name);
+        if (existing !== -1) library[existing] = clean;
+        else library.push(clean);
+    });
+
+    writeScenarioLibrary(library);
+    showAlert(`Imported ${imported.length} scenario(s) from ${file.name}`, 'success');
+}
+
+// ==================== RUN EXPORT / IMPORT ====================
+// A run file holds the scenario plus every computed step, so it can be opened
+// again at the same step without rerunning the policy (see history-file.mjs)
+function currentSession() {
+    return {
+        scenario: {
+            frames: state.frames,
+            policy: state.policy,
+            referenceString: state.referenceString,
+            writes: state.writes,
+            processes: state.processes,
+            schedule: state.schedule,
+            scope: state.scope,
+            pageSize: state.pageSize,
+            translations: state.translations
+        },
+        currentStep: state.currentStep,
+        // Long traces keep a compact history; spreading it gives full step records
+        history: [...state.stateHistory]
+    };
+}
+
+function exportRun(format) {
+    if (!state.isLoaded) {
+        showAlert('Load a scenario first, then export its run.', 'error');
+        return;
+    }
+
+    const fileName = `${state.policy}-run-${todayStamp()}.${format}`;
+    if (format === 'csv') downloadText(exportHistoryCsv(currentSession()), fileName, 'text/csv');
+    else downloadText(exportHistoryJson(currentSession()), fileName, 'application/json');
+}
+
+// Restores an exported run exactly as saved, then reruns the scenario only to
+// report the steps where the file disagrees with the simulator
+async function importRun() {
+    const file = elements.importRunInput.files[0];
+    elements.importRunInput.value = '';
+    if (!file) return;
+
+    const loaded = parseHistoryFile(await file.text());
+    if (loaded.error) {
+        showAlert(`${escapeHtml(file.name)}: ${escapeHtml(loaded.error)}`, 'error');
+        return;
+    }
+
+    // Replay before touching the simulator, so a file that can't be checked leaves it as it was
+    const { scenario, history } = loaded;
+    let differences;
+    try {
+        ({ differences } = verifyHistory(history, scenario));
+    } catch (error) {
+        showAlert(`${escapeHtml(file.name)} could not be checked against the simulator: ${escapeHtml(error.message)}`, 'error');
+        return;
+    }
+
+    pauseAutoPlay();
+    state.frames = scenario.frames;
+    state.referenceString = scenario.referenceString;
+    state.writes = scenario.writes || [];
+    state.processes = scenario.processes || null;
+    state.schedule = scenario.schedule || [];
+    state.scope = scenario.scope === 'global' ? 'global' : 'local';
+    state.translations = scenario.translations || null;
+    state.pageSize = scenario.pageSize || state.pageSize;
+    state.policy = scenario.policy;
+
+    // Show the scenario in the inputs, as an opened link would
+    applyingHash = true;
+    fillInputsFromParams(scenarioParams());
+    applyingHash = false;
+
+    state.stateHistory = history;
+    state.totalHits = history.filter(step => step.isHit).length;
+    state.totalFaults = history.filter(step => step.isFault).length;
+    state.totalWriteBacks = history.filter(step => step.writeBack).length;
+    state.isLoaded = true;
+    buildComparisons();
+
+    showUnstartedScenario();
+    goToStep(loaded.currentStep);
+    syncUrlHash();
+
+    if (differences.length === 0) {
+        showAlert(`Imported ${file.name}: ${history.length} steps, matches the simulator.`, 'success');
+    } else {
+        const listed = differences.slice(0, 5).map(diff => `step ${diff.step} (${diff.fields.join(', ')})`).join('; ');
+        const more = differences.length > 5 ? ` and ${differences.length - 5} more` : '';
+        showAlert(`Imported ${file.name}, but ${differences.length} step(s) differ from a fresh run: ${listed}${more}.`, 'error');
+    }
 }
 
 // ==================== RENDERING FUNCTIONS ====================
+// Pages, process names, notes and addresses can come from an imported file,
+// so they are escaped before going into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Frames tables only hold the columns in view (plus a few either side);
+// spacer columns stand in for the rest, so a 50,000-step trace costs about
+// the same as a short one. Moving a step repaints only the columns it changes.
+const COLUMN_WIDTH = 64;
+const ADDRESS_COLUMN_WIDTH = 110;
+const ROW_HEADER_WIDTH = 130;
+const COLUMN_OVERSCAN = 10;
+const FALLBACK_VIEW_WIDTH = 1200; // for wrappers that are not laid out yet
+const tableViews = new WeakMap(); // wrapper -> { history, first, last, paintedStep, columns, focus }
+const scrollWatched = new WeakSet();
+
 function renderTable() {
-    const numSteps = state.referenceString.length;
-    const numFrames = state.frames;
+    mountFramesTable(elements.tableWrapper, state.stateHistory);
+}
+
+// Shows `history` as a frames table inside `wrapper`, painted up to the current step
+function mountFramesTable(wrapper, history) {
+    if (!scrollWatched.has(wrapper)) {
+        scrollWatched.add(wrapper);
+        wrapper.addEventListener('scroll', () => renderFramesWindow(wrapper));
+        wrapper.addEventListener('keydown', (e) => handleTableKey(wrapper, e));
+    }
+
+    // `focus` is the cell that Tab lands on: { row, col }, row 0 being the
+    // page header and col 0 the frame names
+    tableViews.set(wrapper, { history, first: -1, last: -1, paintedStep: -1, columns: new Map(), focus: { row: 0, col: 0 } });
+    renderFramesWindow(wrapper, { force: true });
+}
+
+function columnWidth() {
+    return state.translations && state.headerMode === 'address' ? ADDRESS_COLUMN_WIDTH : COLUMN_WIDTH;
+}
 
-    let html = '<table class="frames-table">';
+// Columns [first, last) that are on screen, with some overscan
+function visibleColumns(wrapper, total) {
+    const width = columnWidth();
+    const viewWidth = wrapper.clientWidth || FALLBACK_VIEW_WIDTH;
+    const scrolled = Math.max(0, wrapper.scrollLeft - ROW_HEADER_WIDTH);
+
+    return {
+        first: Math.max(0, Math.floor(scrolled / width) - COLUMN_OVERSCAN),
+        last: Math.min(total, Math.ceil((wrapper.scrollLeft + viewWidth) / width) + COLUMN_OVERSCAN)
+    };
+}
+
+// Rebuilds the table around the visible columns (skipped if they haven't changed)
+function renderFramesWindow(wrapper, { force = false } = {}) {
+    const view = tableViews.get(wrapper);
+    if (!view || (!force && !wrapper.querySelector('.frames-table'))) return;
+
+    const { first, last } = visibleColumns(wrapper, view.history.length);
+    if (!force && first === view.first && last === view.last) return;
+
+    const scrollLeft = wrapper.scrollLeft;
+    const hadFocus = wrapper.contains(document.activeElement);
+    wrapper.innerHTML = buildFramesTableHtml(view.history.length, first, last);
+    wrapper.scrollLeft = scrollLeft;
+
+    view.first = first;
+    view.last = last;
+    view.columns = new Map();
+    wrapper.querySelectorAll('[data-step]').forEach(cell => {
+        const step = parseInt(cell.dataset.step);
+        if (!view.columns.has(step)) view.columns.set(step, { header: null, cells: [] });
+        const column = view.columns.get(step);
+        if (cell.tagName === 'TH') column.header = cell;
+        else column.cells.push(cell);
+    });
+
+    for (let s = first; s < last; s++) paintFramesColumn(view, s);
+    view.paintedStep = state.currentStep;
+    setTableFocus(wrapper, view.focus, { move: hadFocus });
+}
+
+function buildFramesTableHtml(numSteps, first, last) {
+    const numFrames = tableFrameCount();
+    const width = columnWidth();
+    const leftSpacer = first * width;
+    const rightSpacer = (numSteps - last) * width;
+    const spacerCell = (px, tag) => px > 0 ? `<${tag} class="column-spacer" aria-hidden="true"></${tag}>` : '';
+
+    // Only the visible columns exist, so every cell says where it is in the whole table
+    let html = `<table class="frames-table" role="grid" aria-readonly="true" aria-rowcount="${numFrames + 1}" aria-colcount="${numSteps + 1}" style="width: ${ROW_HEADER_WIDTH + numSteps * width}px">`;
+    html += '<caption class="sr-only">Frames table: one column per step, one row per frame. Hits are marked H and faults F. Use the arrow keys to move between cells and Enter to go to a step.</caption>';
+    html += `<colgroup><col style="width: ${ROW_HEADER_WIDTH}px">`;
+    if (leftSpacer > 0) html += `<col style="width: ${leftSpacer}px">`;
+    html += `<col style="width: ${width}px">`.repeat(last - first);
+    if (rightSpacer > 0) html += `<col style="width: ${rightSpacer}px">`;
+    html += '</colgroup>';
     
     // Header row with reference string
-    html += '<thead><tr class="ref-row"><th>Page</th>';
-    for (let i = 0; i < numSteps; i++) {
-        html += `<th data-step="${i}">${state.referenceString[i]}</th>`;
+    html += `<thead><tr class="ref-row" aria-rowindex="1"><th scope="col" aria-colindex="1" tabindex="-1">Page</th>${spacerCell(leftSpacer, 'th')}`;
+    for (let i = first; i < last; i++) {
+        html += `<th scope="col" aria-colindex="${i + 2}" tabindex="-1" data-step="${i}"${headerTitle(i)}${processAttr(state.referenceString[i])}><span class="sr-only">Step ${i + 1}: </span>${escapeHtml(headerLabel(i))}</th>`;
     }
-    html += '</tr></thead>';
+    html += `${spacerCell(rightSpacer, 'th')}</tr></thead>`;
 
     // Frame rows
     html += '<tbody>';
     for (let f = 0; f < numFrames; f++) {
-        html += `<tr><th>Frame ${f + 1}</th>`;
-        for (let s = 0; s < numSteps; s++) {
-            html += `<td data-step="${s}" data-frame="${f}">-</td>`;
+        html += `<tr aria-rowindex="${f + 2}">${frameRowHeader(f)}${spacerCell(leftSpacer, 'td')}`;
+        for (let s = first; s < last; s++) {
+            html += `<td aria-colindex="${s + 2}" tabindex="-1" data-step="${s}" data-frame="${f}">-</td>`;
         }
-        html += '</tr>';
+        html += `${spacerCell(rightSpacer, 'td')}</tr>`;
     }
     html += '</tbody></table>';
 
-    elements.tableWrapper.innerHTML = html;
+    return html;
+}
+
+// Local replacement gives every process its own block of `state.frames` rows
+function tableFrameCount() {
+    return state.processes && state.scope === 'local' ? state.frames * state.processes.length : state.frames;
+}
+
+function frameRowHeader(frameIndex) {
+    const attrs = 'scope="row" aria-colindex="1" tabindex="-1"';
+    if (!state.processes || state.scope !== 'local') return `<th ${attrs}>Frame ${frameIndex + 1}</th>`;
+
+    const owner = state.processes[Math.floor(frameIndex / state.frames)].id;
+    return `<th ${attrs}${processIdAttr(owner)}>${escapeHtml(owner)} · Frame ${frameIndex % state.frames + 1}</th>`;
+}
+
+// ` data-process="N"` for the Nth loaded process (drives the colour), else ''
+function processIdAttr(processId) {
+    const index = state.processes ? state.processes.findIndex(p => p.id === processId) : -1;
+    return index === -1 ? '' : ` data-process="${index % 6}"`;
+}
+
+// Same, for the process that owns a page key like "A:3"
+function processAttr(page) {
+    if (!state.processes || page === null || page === undefined) return '';
+    return processIdAttr(splitPageKey(page).process);
+}
+
+// Column header text: the page number, or the original address in address mode
+// (writes keep their "w" suffix)
+function headerLabel(stepIndex) {
+    const translation = state.translations && state.translations[stepIndex];
+    const label = translation && state.headerMode === 'address' ? translation.text : state.referenceString[stepIndex];
+    return state.writes[stepIndex] ? `${label}w` : label;
+}
+
+function headerTitle(stepIndex) {
+    const translation = state.translations && state.translations[stepIndex];
+    return translation ? ` title="${escapeHtml(formatTranslation(translation, '→'))}"` : '';
+}
+
+// Redraws every frames table, e.g. after the header switches between pages and addresses
+function updateTableHeaderLabels() {
+    [elements.tableWrapper, ...elements.compareGrid.querySelectorAll('.compare-table')]
+        .forEach(wrapper => renderFramesWindow(wrapper, { force: true }));
 }
 
 function renderCurrentStep() {
     if (state.currentStep < 0 || state.currentStep >= state.stateHistory.length) return;
+    // Autoplay records its step when it stops (long scenarios make big hashes)
+    if (!state.isPlaying) syncUrlHash();
 
-    const currentData = state.stateHistory[state.currentStep];
+    const currentData = state.stateHistory.at(state.currentStep);
     
-    // Update table
+    // Update table, and tell screen readers what happened
     updateTableDisplay();
+    elements.stepAnnouncer.textContent = stepAnnouncement(currentData, state.currentStep, state.stateHistory.length);
+    syncLog();
+    updateTimeline();
+    renderPractice();
     
     // Update stack
-    renderStack(currentData.stack);
+    renderStack(currentData);
     
     // Update stats
     renderStats();
     updateChart(); 
+    updateComparisonPanels();
     // ==================== NEW: NARRATION LOGIC ====================
-    if (state.isNarrating) {
-        const page = currentData.page;
-        
-        if (currentData.isHit) {
-            // HIT Logic
-            speakText(`Page ${page} is already in memory. It is a Hit.`);
-        } else {
-            // FAULT Logic
-            if (currentData.replacedPage !== null) {
-                // Replacement occurred (LIFO)
-                speakText(`Page ${page} requested. Memory full. Replacing page ${currentData.replacedPage} at the top of the stack.`);
-            } else {
-                // Empty frame available
-                speakText(`Page ${page} requested. Fault. Loaded into an empty frame.`);
-            }
-        }
-    }
+    // What is said for hits, faults and replacements is in narration.mjs
+    stepNarrationDone = state.isNarrating ? speakText(stepNarration(currentData, getActivePolicy())) : Promise.resolve();
 }
 
 function updateTableDisplay() {
-    const table = elements.tableWrapper.querySelector('.frames-table');
-    if (!table) return;
-
-    // Reset all cells first
-    const cells = table.querySelectorAll('td, th[data-step]');
-    cells.forEach(cell => {
-        cell.classList.remove('current-step', 'cell-hit', 'cell-fault', 'cell-replaced', 'cell-new');
-        cell.style.backgroundColor = ''; 
+    paintFramesTable(elements.tableWrapper);
+}
+
+// Brings a mounted frames table to the current step: follows it with the
+// scroll position and repaints only the columns between the old and new step
+function paintFramesTable(wrapper) {
+    const view = tableViews.get(wrapper);
+    if (!view || !wrapper.querySelector('.frames-table')) return;
+
+    scrollToColumn(wrapper, state.currentStep);
+    renderFramesWindow(wrapper);
+
+    const from = Math.max(Math.min(view.paintedStep, state.currentStep), view.first);
+    const to = Math.min(Math.max(view.paintedStep, state.currentStep), view.last - 1);
+    for (let s = from; s <= to; s++) paintFramesColumn(view, s);
+    view.paintedStep = state.currentStep;
+}
+
+function scrollToColumn(wrapper, step) {
+    const viewWidth = wrapper.clientWidth;
+    if (step < 0 || !viewWidth) return;
+
+    // The sticky row headers cover the first ROW_HEADER_WIDTH pixels
+    const width = columnWidth();
+    const left = ROW_HEADER_WIDTH + step * width;
+    if (left < wrapper.scrollLeft + ROW_HEADER_WIDTH) {
+        wrapper.scrollLeft = left - ROW_HEADER_WIDTH;
+    } else if (left + width > wrapper.scrollLeft + viewWidth) {
+        wrapper.scrollLeft = left + width - viewWidth;
+    }
+}
+
+// Paints one column: blank after the current step, else the frames at step `s`
+function paintFramesColumn(view, s) {
+    const column = view.columns.get(s);
+    if (!column) return;
+
+    const stepData = view.history.at(s);
+    const isShown = s <= state.currentStep;
+    const isDivergent = state.divergentSteps.has(s);
+
+    // Highlight current step column header; flag steps where the compared policies chose different victims
+    column.header.classList.toggle('current-step', s === state.currentStep);
+    if (s === state.currentStep) column.header.setAttribute('aria-current', 'step');
+    else column.header.removeAttribute('aria-current');
+    column.header.classList.toggle('step-diverge', isShown && isDivergent);
+
+    column.cells.forEach((cell, f) => {
+        cell.className = s === state.currentStep ? 'current-step' : '';
+        delete cell.dataset.process;
+        cell.style.backgroundColor = '';
         cell.style.color = '';
         cell.removeAttribute('title');
-    });
 
-    // Loop through ALL steps up to the current one to paint the history
-    for (let s = 0; s <= state.currentStep; s++) {
-        const stepData = state.stateHistory[s];
-        
-        // Highlight current step column header
-        if (s === state.currentStep) {
-            const currentStepCells = table.querySelectorAll(`[data-step="${s}"]`);
-            currentStepCells.forEach(cell => cell.classList.add('current-step'));
-        }
-
-        // Process each frame for step 's'
-        for (let f = 0; f < state.frames; f++) {
-            const cell = table.querySelector(`td[data-step="${s}"][data-frame="${f}"]`);
+        const frameValue = isShown ? stepData.frames[f] : null;
+        cell.textContent = frameValue !== null && frameValue !== undefined ? frameValue : '-';
+        if (frameValue === null || frameValue === undefined) return;
+
+        // Colour the page by the process that owns it
+        const processIndex = state.processes
+            ? state.processes.findIndex(p => p.id === splitPageKey(frameValue).process)
+            : -1;
+        if (processIndex !== -1) cell.dataset.process = processIndex % 6;
+
+        // --- STALENESS VISUALIZATION LOGIC ---
+        const age = stepData.frameAges ? stepData.frameAges[f] : 0;
+
+        // Determine if this cell is part of an active event (Hit/Fault) at this specific step
+        const isHit = stepData.isHit && stepData.frames[f] === stepData.page;
+        const isNew = stepData.isFault && f === stepData.newPageIndex;
+        const isReplaced = stepData.isFault && f === stepData.replacedIndex && stepData.replacedPage !== null;
+
+        const isDirty = stepData.dirty && stepData.dirty[f];
+
+        // Add Tooltip
+        cell.setAttribute('title', `Page ${frameValue} (Age: ${age} steps)${isDirty ? ' - dirty' : ''}`);
+        if (isDirty) cell.classList.add('cell-dirty');
+
+        if (isHit || isNew || isReplaced) {
+            // ACTIVE EVENT: Use Standard Classes (Bright Colors)
+            if (isHit) cell.classList.add('cell-hit');
+            if (isNew) cell.classList.add('cell-fault', 'cell-new');
+            if (isReplaced) cell.classList.add('cell-replaced');
+            if (isReplaced && isDivergent) cell.classList.add('cell-diverge');
+            addCellMarker(cell, cellMarker(stepData, f));
+        } else {
+            // IDLE STATE: Apply Staleness Color (Darkening Effect)
+            // Calculate darkness: 0 (new) to 1 (very old, capped at 10 steps)
+            const staleness = Math.min(age, 10) / 10; 
             
-            if (cell) {
-                const frameValue = stepData.frames[f];
-                cell.textContent = frameValue !== null ? frameValue : '-';
-
-                // --- STALENESS VISUALIZATION LOGIC ---
-                if (frameValue !== null) {
-                    const age = stepData.frameAges ? stepData.frameAges[f] : 0;
-                    
-                    // Determine if this cell is part of an active event (Hit/Fault) at this specific step
-                    const isHit = stepData.isHit && stepData.frames[f] === stepData.page;
-                    const isNew = stepData.isFault && f === stepData.newPageIndex;
-                    const isReplaced = stepData.isFault && f === stepData.replacedIndex && stepData.replacedPage !== null;
-
-                    // Add Tooltip
-                    cell.setAttribute('title', `Page ${frameValue} (Age: ${age} steps)`);
-
-                    if (isHit || isNew || isReplaced) {
-                        // ACTIVE EVENT: Use Standard Classes (Bright Colors)
-                        if (isHit) cell.classList.add('cell-hit');
-                        if (isNew) cell.classList.add('cell-fault', 'cell-new');
-                        if (isReplaced) cell.classList.add('cell-replaced');
-                    } else {
-                        // IDLE STATE: Apply Staleness Color (Darkening Effect)
-                        // Calculate darkness: 0 (new) to 1 (very old, capped at 10 steps)
-                        const staleness = Math.min(age, 10) / 10; 
-                        
-                        // Background: Starts transparent, fades to dark slate
-                        // r,g,b = 30, 41, 59 (This is the dark slate color)
-                        // opacity = 0.2 base + up to 0.6 more based on staleness
-                        cell.style.backgroundColor = `rgba(30, 41, 59, ${0.1 + (staleness * 0.7)})`;
-                        
-                        // Text: Fades slightly if very old
-                        if (age > 5) {
-                            cell.style.color = `rgba(241, 245, 249, ${1 - (staleness * 0.5)})`;
-                        }
-                    }
-                }
+            // Background: Starts transparent, fades to dark slate
+            // r,g,b = 30, 41, 59 (This is the dark slate color)
+            // opacity = 0.2 base + up to 0.6 more based on staleness
+            cell.style.backgroundColor = `rgba(30, 41, 59, ${0.1 + (staleness * 0.7)})`;
+            
+            // Text: Fades slightly if very old
+            if (age > 5) {
+                cell.style.color = `rgba(241, 245, 249, ${1 - (staleness * 0.5)})`;
             }
+        }
+    });
+}
+
+// Hits and faults also get a letter, so they don't rely on colour alone;
+// screen readers hear the word instead
+function addCellMarker(cell, marker) {
+    if (!marker) return;
+    cell.insertAdjacentHTML('beforeend',
+        `<span class="cell-marker" aria-hidden="true">${marker.symbol}</span><span class="sr-only">, ${escapeHtml(marker.text)}</span>`);
+}
+
+// --- Keyboard navigation (ARIA grid: one cell is tabbable, arrows move it) ---
+function tableCell(wrapper, { row, col }) {
+    return wrapper.querySelector(`tr[aria-rowindex="${row + 1}"] > [aria-colindex="${col + 1}"]`);
+}
+
+// Makes `focus` the table's tabbable cell and, with `move`, focuses it. A
+// column that has been scrolled out of the table falls back to the frame name.
+function setTableFocus(wrapper, focus, { move = false } = {}) {
+    const view = tableViews.get(wrapper);
+    const target = tableCell(wrapper, focus) ? focus : { row: focus.row, col: 0 };
+    const cell = tableCell(wrapper, target);
+    if (!view || !cell) return;
+
+    wrapper.querySelectorAll('.frames-table [tabindex="0"]').forEach(other => { other.tabIndex = -1; });
+    cell.tabIndex = 0;
+    view.focus = target;
+    // The table scrolls to the column itself; the browser's scrolling would hide it under the frame names
+    if (move) cell.focus({ preventScroll: true });
+}
+
+function handleTableKey(wrapper, e) {
+    const view = tableViews.get(wrapper);
+    const cell = e.target.closest('[aria-colindex]');
+    if (!view || !cell) return;
+
+    const at = {
+        row: parseInt(cell.parentElement.getAttribute('aria-rowindex')) - 1,
+        col: parseInt(cell.getAttribute('aria-colindex')) - 1
+    };
+
+    // Enter or Space on a step's column goes to that step
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        if (at.col > 0 && state.isLoaded && !state.practice.active) goToStep(at.col - 1);
+        return;
     }
-}
+
+    const next = moveGridCell(e.key, at, { rows: tableFrameCount() + 1, cols: view.history.length + 1 }, e);
+    if (!next) return;
+    e.preventDefault();
+
+    // The frame names stay on screen; Home brings the first step back with them
+    view.focus = next;
+    scrollToColumn(wrapper, Math.max(0, next.col - 1));
+    renderFramesWindow(wrapper);
+    setTableFocus(wrapper, next, { move: true });
 }
 
 // ==================== PDF EXPORT LOGIC ====================
@@ -930,7 +2604,9 @@ function generatePDFReport() {
     doc.setFont("helvetica", "bold");
     doc.setFontSize(22);
     doc.setTextColor(41, 128, 185); // Blue color
-    doc.text("LIFO Page Replacement Report", pageWidth / 2, 20, { align: "center" });
+    const report = buildReportData([...state.stateHistory], state.referenceString, state.frames, state.policy);
+    const policy = report.policy;
+    doc.text(`${policy.name} Page Replacement Report`, pageWidth / 2, 20, { align: "center" });
 
     // Timestamp
     doc.setFont("helvetica", "normal");
@@ -951,11 +2627,15 @@ function generatePDFReport() {
 
     doc.setFont("helvetica", "normal");
     doc.setFontSize(10);
-    doc.text(`Reference String: ${state.referenceString.join(', ')}`, margin, 50);
-    doc.text(`Total Frames: ${state.frames}`, margin, 56);
+    const scopeText = state.processes
+        ? `, ${state.scope} replacement across ${state.processes.length} processes (${state.processes.map(p => p.id).join(', ')})`
+        : '';
+    doc.text(`Policy: ${policy.name} (${policy.fullName})${scopeText}`, margin, 50);
+    doc.text(`Reference String: ${report.requests.join(', ')}`, margin, 56);
+    doc.text(`Total Frames: ${report.frames}`, margin, 62);
 
     // Stats Box
-    const statsY = 62;
+    const statsY = 68;
     doc.setFillColor(245, 247, 250); // Light gray box
     doc.roundedRect(margin, statsY, pageWidth - (margin * 2), 25, 3, 3, "F");
 
@@ -963,41 +2643,18 @@ function generatePDFReport() {
     doc.text("Statistics Summary", margin + 5, statsY + 8);
     
     doc.setFont("helvetica", "normal");
-    const total = state.totalHits + state.totalFaults;
-    const ratio = total > 0 ? ((state.totalHits / total) * 100).toFixed(1) : 0;
 
     // Grid layout for stats inside the box
-    doc.text(`Total Hits: ${state.totalHits}`, margin + 5, statsY + 18);
-    doc.text(`Total Faults: ${state.totalFaults}`, margin + 60, statsY + 18);
-    doc.text(`Hit Ratio: ${ratio}%`, margin + 120, statsY + 18);
-
-    // 6. Detailed Table Generation
-    const tableData = state.stateHistory.map(step => {
-        // Format Frames: Replace nulls with dashes
-        const frameStr = step.frames.map(f => f === null ? '-' : f).join(' | ');
-        
-        // Format Stack: Top element first
-        const stackStr = [...step.stack].reverse().join(' -> ');
-        
-        // Format Status string
-        let status = "FAULT";
-        if (step.isHit) status = "HIT";
-        else if (step.replacedPage !== null) status = `REPLACED ${step.replacedPage}`;
-
-        return [
-            step.step,
-            step.page,
-            frameStr,
-            stackStr,
-            status
-        ];
-    });
+    doc.text(`Total Hits: ${report.stats.hits}`, margin + 5, statsY + 18);
+    doc.text(`Total Faults: ${report.stats.faults}`, margin + 47, statsY + 18);
+    doc.text(`Write-backs: ${report.stats.writeBacks}`, margin + 92, statsY + 18);
+    doc.text(`Hit Ratio: ${report.stats.hitRatio.toFixed(1)}%`, margin + 137, statsY + 18);
 
-    // Generate AutoTable
+    // 6. Detailed Table (rows come from the simulation core)
     doc.autoTable({
         startY: statsY + 35,
-        head: [['Step', 'Request', 'Frames State', 'Stack (Top -> Bottom)', 'Status']],
-        body: tableData,
+        head: [report.columns],
+        body: report.rows,
         theme: 'grid',
         headStyles: {
             fillColor: [124, 58, 237], // Matches your --accent-purple
@@ -1028,115 +2685,877 @@ function generatePDFReport() {
         }
     });
 
-    // 7. Footer
+    // 7. Practice results, when the student answered steps in practice mode
+    const practice = summarizePractice(state.practice.answers);
+    if (elements.practicePdfInput.checked && practice.answered > 0) {
+        let practiceY = doc.lastAutoTable.finalY + 15;
+        if (practiceY > pageHeight - 70) {
+            doc.addPage();
+            practiceY = 20;
+        }
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(12);
+        doc.setTextColor(0);
+        doc.text("Practice Results", margin, practiceY);
+
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(10);
+        doc.text(`Score: ${practice.correct} / ${practice.answered} steps (${practice.score.toFixed(1)}%)`, margin, practiceY + 8);
+
+        doc.autoTable({
+            startY: practiceY + 13,
+            head: [['Mistake', 'Count']],
+            body: Object.entries(MISTAKE_LABELS).map(([type, label]) => [label, practice.mistakes[type]]),
+            theme: 'grid',
+            headStyles: { fillColor: [124, 58, 237], textColor: 255, fontStyle: 'bold' },
+            styles: { fontSize: 9, cellPadding: 3 }
+        });
+
+        const review = practice.wrongSteps.length > 0 ? practice.wrongSteps.join(', ') : 'none';
+        const reviewLines = doc.splitTextToSize(`Steps to review: ${review}`, pageWidth - margin * 2);
+        doc.text(reviewLines, margin, doc.lastAutoTable.finalY + 8);
+    }
+
+    // 8. Footer
     const pageCount = doc.internal.getNumberOfPages();
     for (let i = 1; i <= pageCount; i++) {
         doc.setPage(i);
         doc.setFontSize(8);
         doc.setTextColor(150);
         doc.text(`Page ${i} of ${pageCount}`, pageWidth - margin, pageHeight - 10, { align: "right" });
-        doc.text("LIFO Simulator Generated Report", margin, pageHeight - 10);
+        doc.text(`${policy.name} Simulator Generated Report`, margin, pageHeight - 10);
     }
 
-    // 8. Save
-    doc.save(`LIFO_Report_${new Date().toISOString().slice(0,10)}.pdf`);
+    // 9. Save
+    doc.save(`${policy.name}_Report_${new Date().toISOString().slice(0,10)}.pdf`);
     
     // Optional: Show success alert
     showAlert("PDF Report generated successfully!", "success");
 }
-function renderStack(stack) {
+
+// ==================== WORKSHEET PDF ====================
+// One worksheet page per variant (blank grid), then one answer-key page per variant
+function generateWorksheetPDF() {
+    const frames = parseInt(elements.framesInput.value);
+    const seed = elements.worksheetSeedInput.value.trim();
+    const count = parseInt(elements.worksheetCountInput.value);
+    const length = parseInt(elements.worksheetLengthInput.value);
+    const maxPage = parseInt(elements.worksheetPagesInput.value);
+
+    if (isNaN(frames) || frames < 1 || frames > 10) {
+        showAlert('Please enter a valid number of frames (1-10)', 'error');
+        return;
+    }
+    if (!seed) {
+        showAlert('Please enter a seed for the worksheets', 'error');
+        return;
+    }
+    if (isNaN(count) || count < 1 || count > 60 || isNaN(length) || length < 4 || length > 30 || isNaN(maxPage) || maxPage < 2 || maxPage > 20) {
+        showAlert('Worksheets need 1-60 variants, a string length of 4-30 and 2-20 distinct pages', 'error');
+        return;
+    }
+
+    const policy = getActivePolicy();
+    const variants = buildWorksheetVariants({ seed, count, length, maxPage, frames, policy: state.policy });
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: 'landscape' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+
+    const gridStyles = {
+        theme: 'grid',
+        headStyles: { fillColor: [124, 58, 237], textColor: 255, fontStyle: 'bold', halign: 'center' },
+        styles: { fontSize: 9, cellPadding: 2, halign: 'center', valign: 'middle', minCellHeight: 9 },
+        columnStyles: { 0: { fontStyle: 'bold', halign: 'left', cellWidth: 24 } }
+    };
+
+    const drawHeading = (title, variant) => {
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(18);
+        doc.setTextColor(41, 128, 185);
+        doc.text(title, margin, 20);
+
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(10);
+        doc.setTextColor(0);
+        doc.text(`Policy: ${policy.name} (${policy.fullName})    Frames: ${frames}    Variant: ${variant.number} (seed ${variant.seed})`, margin, 28);
+        doc.text(`Reference String: ${variant.referenceString.join(', ')}`, margin, 35);
+    };
+
+    // Worksheets
+    variants.forEach((variant, i) => {
+        if (i > 0) doc.addPage();
+        drawHeading(`Page Replacement Worksheet - Variant ${variant.number}`, variant);
+        doc.text('Name: ______________________________    Date: ______________', margin, 44);
+        doc.text(`Fill in the frames after each request using ${policy.name}, and mark every column H (hit) or F (fault).`, margin, 52);
+
+        doc.autoTable({ startY: 58, ...worksheetGrid(variant.referenceString, frames), ...gridStyles });
+        doc.text('Total page faults: ______    Total hits: ______    Hit ratio: ______', margin, doc.lastAutoTable.finalY + 12);
+    });
+
+    // Answer keys
+    variants.forEach(variant => {
+        doc.addPage();
+        drawHeading(`Answer Key - Variant ${variant.number}`, variant);
+
+        doc.autoTable({
+            startY: 42,
+            ...worksheetGrid(variant.referenceString, frames, variant.history),
+            ...gridStyles,
+            // Bold the frame that was loaded; colour the Hit/Fault row
+            didParseCell: function(data) {
+                if (data.section !== 'body' || data.column.index === 0) return;
+                const stepData = variant.history[data.column.index - 1];
+                if (data.row.index === frames) {
+                    data.cell.styles.textColor = stepData.isHit ? [22, 163, 74] : [239, 68, 68];
+                    data.cell.styles.fontStyle = 'bold';
+                } else if (stepData.isFault && data.row.index === stepData.newPageIndex) {
+                    data.cell.styles.fontStyle = 'bold';
+                    data.cell.styles.fillColor = [237, 233, 254];
+                }
+            }
+        });
+
+        const { hits, faults, hitRatio } = variant.stats;
+        doc.text(`Total page faults: ${faults}    Total hits: ${hits}    Hit ratio: ${hitRatio.toFixed(1)}%`, margin, doc.lastAutoTable.finalY + 12);
+    });
+
+    // Footer
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setTextColor(150);
+        doc.text(`Page ${i} of ${pageCount}`, pageWidth - margin, pageHeight - 10, { align: "right" });
+        doc.text(`${policy.name} Worksheets - seed "${seed}"`, margin, pageHeight - 10);
+    }
+
+    doc.save(`${policy.name}_Worksheets_${seed.replace(/[^\w-]+/g, '_')}.pdf`);
+    showAlert(`Generated ${count} worksheet(s) with answer keys`, 'success');
+}
+
+function renderStack(stepData = null) {
+    elements.stackContainer.innerHTML = buildStepStackHtml(stepData, getActivePolicy());
+}
+
+// Stack panel for one step (null = nothing loaded yet). Local multi-process
+// runs show one labelled stack per process.
+function buildStepStackHtml(stepData, policy) {
+    if (!stepData) return buildStackHtml([], [], policy);
+
+    const dirtyPages = dirtyPagesOf(stepData);
+    if (!stepData.stacks || stepData.stacks[0].process === null) {
+        return buildStackHtml(stepData.stack, stepData.stackNotes, policy, dirtyPages);
+    }
+
+    return stepData.stacks.map(entry => `
+        <div class="process-stack"${processIdAttr(entry.process)}>
+            <div class="process-stack-label">Process ${escapeHtml(entry.process)}</div>
+            ${buildStackHtml(entry.stack, entry.notes, policy, dirtyPages)}
+        </div>
+    `).join('');
+}
+
+// Pages whose frame has been written since it was loaded
+function dirtyPagesOf(stepData) {
+    return stepData.frames.filter((page, index) => page !== null && stepData.dirty[index]);
+}
+
+function buildStackHtml(stack, notes, policy, dirtyPages = []) {
     if (!stack || stack.length === 0) {
-        elements.stackContainer.innerHTML = `
+        return `
             <div class="placeholder-message">
                 <i class='bx bx-layer'></i>
-                <p>Stack is empty</p>
+                <p>${policy.listLabel} is empty</p>
             </div>
         `;
-        return;
     }
 
-    // Display stack with top element first
+    // Display stack with top element (next victim) first
     const reversedStack = [...stack].reverse();
+    const reversedNotes = [...notes].reverse();
     
     let html = '';
     reversedStack.forEach((item, index) => {
         const isTop = index === 0;
-        html += `<div class="stack-item ${isTop ? 'top' : ''}">${item}</div>`;
+        const topText = isTop ? `<span class="sr-only">${policy.topLabel}: </span>` : '';
+        const note = reversedNotes[index] ? `<span class="stack-note">${escapeHtml(reversedNotes[index])}</span>` : '';
+        const isDirty = dirtyPages.includes(item);
+        const dirtyBadge = isDirty ? '<span class="dirty-badge" title="Dirty: written since it was loaded" aria-hidden="true">D</span><span class="sr-only">, dirty</span>' : '';
+        html += `<div class="stack-item ${isTop ? 'top' : ''} ${isDirty ? 'dirty' : ''}" role="listitem"${processAttr(item)}>${topText}${escapeHtml(item)}${note}${dirtyBadge}</div>`;
     });
 
-    elements.stackContainer.innerHTML = html;
+    return `<div class="stack-items" role="list" aria-label="${policy.listLabel}">${html}</div>`;
 }
 
 function renderStats() {
-    let hits = 0;
-    let faults = 0;
+    const stats = computeStats(state.stateHistory, state.currentStep);
 
-    for (let i = 0; i <= state.currentStep && i < state.stateHistory.length; i++) {
-        if (state.stateHistory[i].isHit) hits++;
-        if (state.stateHistory[i].isFault) faults++;
-    }
-
-    elements.totalHits.textContent = hits;
-    elements.totalFaults.textContent = faults;
+    elements.totalHits.textContent = stats.hits;
+    elements.totalFaults.textContent = stats.faults;
+    elements.totalWriteBacks.textContent = stats.writeBacks;
     elements.currentStep.textContent = state.currentStep + 1;
     elements.totalSteps.textContent = state.stateHistory.length;
 
-    const total = hits + faults;
-    const ratio = total > 0 ? ((hits / total) * 100).toFixed(1) : 0;
+    const ratio = stats.total > 0 ? stats.hitRatio.toFixed(1) : 0;
     elements.hitRatio.textContent = `${ratio}%`;
+
+    renderProcessStats();
+}
+
+// Per-process breakdown under the totals (multi-process runs only)
+function renderProcessStats() {
+    elements.processStats.hidden = !state.processes;
+    if (!state.processes) return;
+
+    const ids = state.processes.map(process => process.id);
+    const rows = computeProcessStats(state.stateHistory, ids, state.currentStep).map(stats => `
+        <tr>
+            <th${processIdAttr(stats.process)}>${escapeHtml(stats.process)}</th>
+            <td>${stats.hits}</td>
+            <td>${stats.faults}</td>
+            <td>${stats.writeBacks}</td>
+            <td>${stats.total > 0 ? stats.hitRatio.toFixed(1) : 0}%</td>
+            <td>${stats.framesHeld}</td>
+        </tr>
+    `).join('');
+
+    elements.processStats.innerHTML = `
+        <table class="process-stats-table">
+            <thead>
+                <tr><th>Process</th><th>Hits</th><th>Faults</th><th>Write-backs</th><th>Hit Ratio</th><th>Frames Held</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
 }
 
 function clearLog() {
     elements.logContainer.innerHTML = '';
 }
 
-function addLogEntry(stepData) {
-    // Remove current highlight from all entries
-    const allEntries = elements.logContainer.querySelectorAll('.log-entry');
-    allEntries.forEach(entry => entry.classList.remove('current'));
+// Makes the log hold exactly one entry per step up to the current one, so
+// stepping back drops entries and stepping forward again never repeats them.
+// Only the latest LOG_LIMIT steps are kept on the page.
+const LOG_LIMIT = 200;
+
+function syncLog() {
+    const container = elements.logContainer;
+    const first = Math.max(0, state.currentStep - LOG_LIMIT + 1);
+    const entryStep = (entry) => parseInt(entry.dataset.step);
+    if (container.querySelector('.placeholder-message')) clearLog();
+
+    while (container.lastElementChild && entryStep(container.lastElementChild) > state.currentStep) {
+        container.lastElementChild.remove();
+    }
+    while (container.firstElementChild && entryStep(container.firstElementChild) < first) {
+        container.firstElementChild.remove();
+    }
+
+    const lastShown = container.lastElementChild ? entryStep(container.lastElementChild) : first - 1;
+    for (let i = Math.max(lastShown + 1, first); i <= state.currentStep; i++) {
+        container.appendChild(buildLogEntry(state.stateHistory.at(i)));
+    }
+
+    const previous = container.querySelector('.log-entry.current');
+    if (previous) previous.classList.remove('current');
+    if (container.lastElementChild) container.lastElementChild.classList.add('current');
+    container.scrollTop = container.scrollHeight;
+}
 
-    let message = `Page <strong>${stepData.page}</strong> requested. `;
+function buildLogEntry(stepData) {
+    const policy = getActivePolicy();
+    const access = stepData.isWrite ? ' <span class="write-text">(write)</span>' : '';
+    let message = `Page <strong>${escapeHtml(stepData.page)}</strong>${access} requested. `;
     
     if (stepData.isHit) {
         message += `<span class="hit-text">HIT!</span> Page already in memory.`;
     } else {
         message += `<span class="fault-text">FAULT!</span> `;
         if (stepData.replacedPage !== null) {
-            message += `Replaced page <strong>${stepData.replacedPage}</strong> (top of stack) in Frame ${stepData.newPageIndex + 1}.`;
+            message += `Replaced page <strong>${escapeHtml(stepData.replacedPage)}</strong> (${policy.victimReason}) in Frame ${stepData.newPageIndex + 1}.`;
+            // Global replacement can take a frame away from another process
+            const victimProcess = splitPageKey(stepData.replacedPage).process;
+            if (stepData.process && victimProcess !== stepData.process) {
+                message += ` Process ${escapeHtml(victimProcess)} loses a frame to process ${escapeHtml(stepData.process)}.`;
+            }
+            if (stepData.writeBack) {
+                message += ` <span class="write-text">Write-back:</span> page ${escapeHtml(stepData.replacedPage)} was dirty and is saved to disk first.`;
+            }
         } else {
             message += `Loaded into empty Frame ${stepData.newPageIndex + 1}.`;
         }
     }
 
     const stackDisplay = stepData.stack.length > 0 
-        ? `Stack: [${[...stepData.stack].reverse().join(' → ')}] (top → bottom)`
-        : 'Stack: empty';
+        ? `${policy.listLabel}: [${escapeHtml(formatStackEntries(stepData, ' → '))}] (${policy.orderLabel})`
+        : `${policy.listLabel}: empty`;
+
+    // Address mode: show how the virtual address became this page
+    const translation = state.translations && state.translations[stepData.step - 1];
+    const translationDisplay = translation
+        ? `<div class="log-translation">Address ${escapeHtml(formatTranslation(translation, '→'))} (page size ${escapeHtml(state.pageSize)})</div>`
+        : '';
+
+    // Practice mode: the student's prediction for this step
+    const answer = state.practice.answers[stepData.step - 1];
+    const practiceDisplay = answer
+        ? `<div class="log-practice ${answer.correct ? 'correct' : 'wrong'}">${answer.correct ? 'Correct' : 'Not quite'}: you said ${describePrediction(answer.prediction)}. ${answer.explanation}</div>`
+        : '';
 
     const entry = document.createElement('div');
-    entry.className = `log-entry ${stepData.isHit ? 'hit' : 'fault'} current`;
+    entry.className = `log-entry ${stepData.isHit ? 'hit' : 'fault'}`;
+    entry.dataset.step = stepData.step - 1;
     entry.innerHTML = `
         <span class="log-step">${stepData.step}</span>
         <div class="log-content">
+            ${translationDisplay}
             <div class="log-message">${message}</div>
             <div class="log-stack">${stackDisplay}</div>
+            ${practiceDisplay}
         </div>
+        <button class="log-explain" data-explain-step="${stepData.step - 1}" title="Ask the AI tutor about this step">
+            <i class='bx bx-bot'></i> Explain this step
+        </button>
     `;
+    return entry;
+}
+
+// ==================== POLICY COMPARISON ====================
+function updateComparedPolicies() {
+    const checked = elements.compareOptions.querySelectorAll('input[type="checkbox"]:checked');
+    state.comparePolicies = [...checked].map(box => box.value);
+
+    if (!state.isLoaded) return;
+
+    // Keep the current step; only the side panels and divergence marks change
+    buildComparisons();
+    showComparisons();
+}
+
+function showComparisons() {
+    renderComparisonPanels();
+    updateComparisonPanels();
+    // Divergence marks may have changed anywhere in view
+    if (state.currentStep >= 0) renderFramesWindow(elements.tableWrapper, { force: true });
+}
+
+function renderComparisonPanels() {
+    if (state.comparisons.length === 0) {
+        elements.compareGrid.innerHTML = `
+            <div class="placeholder-message">
+                <i class='bx bx-git-compare'></i>
+                <p>Tick one or more policies to run them in lockstep with ${getActivePolicy().name}</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.compareGrid.innerHTML = state.comparisons.map(run => {
+        const policy = getPolicy(run.policy);
+        return `
+            <div class="compare-panel" data-policy="${run.policy}">
+                <div class="compare-header">
+                    <h3>${policy.name} <small>${policy.fullName}</small></h3>
+                    <div class="compare-counts">
+                        <span class="hit-text"><span data-role="hits">0</span> hits</span>
+                        <span class="fault-text"><span data-role="faults">0</span> faults</span>
+                        <span class="write-text"><span data-role="writeBacks">0</span> write-backs</span>
+                    </div>
+                </div>
+                <div class="table-wrapper compare-table"></div>
+                <div class="compare-stack-label">${policy.listLabel} (${policy.orderLabel})</div>
+                <div class="stack-container compare-stack" data-role="stack">${buildStepStackHtml(null, policy)}</div>
+            </div>
+        `;
+    }).join('');
+
+    state.comparisons.forEach(run => {
+        const panel = elements.compareGrid.querySelector(`.compare-panel[data-policy="${run.policy}"]`);
+        mountFramesTable(panel.querySelector('.compare-table'), run.history);
+    });
+}
+
+function updateComparisonPanels() {
+    state.comparisons.forEach(run => {
+        const panel = elements.compareGrid.querySelector(`.compare-panel[data-policy="${run.policy}"]`);
+        if (!panel) return;
+
+        const policy = getPolicy(run.policy);
+        const stats = computeStats(run.history, state.currentStep);
+        // .at(-1) would be the last step; before Start there is no current step
+        const current = state.currentStep >= 0 ? run.history.at(state.currentStep) : null;
+
+        paintFramesTable(panel.querySelector('.compare-table'));
+        panel.querySelector('[data-role="stack"]').innerHTML = buildStepStackHtml(current || null, policy);
+        panel.querySelector('[data-role="hits"]').textContent = stats.hits;
+        panel.querySelector('[data-role="faults"]').textContent = stats.faults;
+        panel.querySelector('[data-role="writeBacks"]').textContent = stats.writeBacks;
+    });
+}
+
+// ==================== BELADY SWEEP ====================
+let sweepChart = null;
+let anomalySearchTimer = null; // pending chunk of the random counterexample search
+
+const policyChartColors = {
+    lifo: '#06b6d4',
+    fifo: '#ef4444',
+    lru: '#22c55e',
+    opt: '#facc15',
+    clock: '#a78bfa',
+    lfu: '#f97316'
+};
+
+function runFrameSweep() {
+    if (state.inputMode === 'processes') {
+        showAlert('The frame sweep works on a single reference string. Switch Input Mode to page numbers.', 'error');
+        return;
+    }
+
+    const parsed = parseInputString(elements.refStringInput.value.trim());
+    if (parsed.error || parsed.pages.length === 0) {
+        showAlert(parsed.error || 'Please enter a reference string to sweep', 'error');
+        return;
+    }
+
+    const maxFrames = parseInt(elements.sweepMaxFrames.value);
+    if (isNaN(maxFrames) || maxFrames < 1 || maxFrames > 10) {
+        showAlert('Please enter a valid maximum number of frames (1-10)', 'error');
+        return;
+    }
+
+    const checked = elements.sweepPolicies.querySelectorAll('input[type="checkbox"]:checked');
+    const policies = [...checked].map(box => box.value);
+    if (policies.length === 0) {
+        showAlert('Select at least one policy to sweep', 'error');
+        return;
+    }
+
+    const results = policies.map(policyName => {
+        const faults = sweepFrameCounts(policyName, parsed.pages, maxFrames);
+        return { policy: policyName, faults, anomalies: findBeladyAnomalies(faults) };
+    });
+
+    renderSweepChart(results, maxFrames);
+    renderSweepResults(results, parsed.pages);
+}
+
+function renderSweepChart(results, maxFrames) {
+    const ctx = document.getElementById('sweepChart').getContext('2d');
+
+    if (sweepChart) {
+        sweepChart.destroy();
+    }
+
+    sweepChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: Array.from({ length: maxFrames }, (_, i) => i + 1),
+            datasets: results.map(result => ({
+                label: getPolicy(result.policy).name,
+                data: result.faults,
+                borderColor: policyChartColors[result.policy],
+                backgroundColor: policyChartColors[result.policy],
+                borderWidth: 2,
+                tension: 0,
+                // Enlarge the points where faults went up
+                pointRadius: result.faults.map((_, i) => result.anomalies.some(a => a.frames === i + 1) ? 8 : 4),
+                pointStyle: result.faults.map((_, i) => result.anomalies.some(a => a.frames === i + 1) ? 'triangle' : 'circle')
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: { color: '#94a3b8' }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { color: 'rgba(148, 163, 184, 0.1)' },
+                    ticks: { color: '#94a3b8' },
+                    title: { display: true, text: 'Frames', color: '#64748b' }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(148, 163, 184, 0.1)' },
+                    ticks: { color: '#94a3b8', precision: 0 },
+                    title: { display: true, text: 'Page Faults', color: '#64748b' }
+                }
+            }
+        }
+    });
+}
+
+function renderSweepResults(results, pages) {
+    let html = `<p class="sweep-string">Reference string: <strong>${pages.join(' ')}</strong></p>`;
+
+    results.forEach(result => {
+        const policy = getPolicy(result.policy);
+        if (result.anomalies.length === 0) {
+            html += `
+                <div class="sweep-result ok">
+                    <i class='bx bx-check-circle'></i>
+                    <span><strong>${policy.name}:</strong> faults never go up as frames are added (${result.faults.join(', ')}).</span>
+                </div>
+            `;
+            return;
+        }
+
+        result.anomalies.forEach(anomaly => {
+            html += `
+                <div class="sweep-result anomaly">
+                    <i class='bx bx-error'></i>
+                    <span><strong>${policy.name}: Belady's anomaly!</strong>
+                        ${anomaly.frames - 1} frames → ${anomaly.previousFaults} faults, but
+                        ${anomaly.frames} frames → ${anomaly.faults} faults.</span>
+                    <button class="btn btn-secondary" data-load-policy="${result.policy}" data-load-frames="${anomaly.frames}">
+                        Load with ${anomaly.frames} frames
+                    </button>
+                </div>
+            `;
+        });
+    });
+
+    elements.sweepResults.innerHTML = html;
+}
+
+// Opens an anomalous case in the main simulator
+function loadSweepScenario(policyName, frameCount) {
+    elements.framesInput.value = frameCount;
+    elements.policySelect.value = policyName;
+    applyPolicy(policyName);
+    // applyPolicy already reloads a running simulation
+    if (!state.isLoaded) loadAndValidate();
+}
+
+function toggleAnomalySearch() {
+    if (anomalySearchTimer) {
+        stopAnomalySearch();
+        elements.sweepStatus.textContent = 'Search stopped.';
+        return;
+    }
+
+    // FIFO anomalies are rare on short strings; 24 references over 6 pages
+    // usually turns one up within a few thousand tries
+    const maxAttempts = 50000;
+    const searchFrames = 6;
+    let attempts = 0;
+
+    elements.anomalySearchBtn.innerHTML = `<i class='bx bx-stop-circle'></i> Stop Search`;
+
+    // Test strings in small batches so the attempt counter can repaint between them
+    const searchBatch = () => {
+        for (let i = 0; i < 200; i++) {
+            attempts++;
+            const candidate = randomReferenceString(24, 6);
+            const faults = sweepFrameCounts('fifo', candidate, searchFrames);
+
+            if (findBeladyAnomalies(faults).length > 0) {
+                stopAnomalySearch();
+                elements.sweepStatus.textContent = `Found a FIFO counterexample after ${attempts} random strings.`;
+                // The counterexample is a list of page numbers
+                elements.inputModeSelect.value = 'pages';
+                applyInputMode('pages');
+                elements.refStringInput.value = candidate.join(' ');
+                elements.sweepMaxFrames.value = searchFrames;
+                const fifoBox = elements.sweepPolicies.querySelector('input[value="fifo"]');
+                if (fifoBox) fifoBox.checked = true;
+                runFrameSweep();
+                return;
+            }
+        }
+
+        if (attempts >= maxAttempts) {
+            stopAnomalySearch();
+            elements.sweepStatus.textContent = `No counterexample in ${attempts} strings. Try again.`;
+            return;
+        }
+
+        elements.sweepStatus.textContent = `Searching... ${attempts} strings tried`;
+        anomalySearchTimer = setTimeout(searchBatch, 0);
+    };
+
+    anomalySearchTimer = setTimeout(searchBatch, 0);
+}
+
+function stopAnomalySearch() {
+    clearTimeout(anomalySearchTimer);
+    anomalySearchTimer = null;
+    elements.anomalySearchBtn.innerHTML = `<i class='bx bx-search-alt'></i> Find FIFO Anomaly`;
+}
+
+// ==================== MIPS CROSS-CHECK ====================
+// Runs cpu-lator.txt (the course's MIPS version of LIFO with 3 frames) on the
+// loaded reference string and compares its printed trace with the simulator.
+const MIPS_PROGRAM_URL = 'cpu-lator.txt';
+const MIPS_PAGE_LIMIT = 100; // cpu-lator.txt reserves .space 400 for the pages
+const MIPS_FRAMES = 3;
+const MIPS_ROW_LIMIT = 200; // comparison rows drawn at most
+
+// machine: the running program; pages: the reference string it was given;
+// before: registers before the last Step/Run, to highlight what changed
+const mips = { machine: null, pages: null, before: null };
+
+// Fills the source box with cpu-lator.txt the first time it is needed
+async function loadMipsSource() {
+    if (elements.mipsSourceInput.value.trim()) return true;
+
+    try {
+        const response = await fetch(MIPS_PROGRAM_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        elements.mipsSourceInput.value = await response.text();
+        return true;
+    } catch (err) {
+        showAlert(`Could not load ${MIPS_PROGRAM_URL} (${err.message}). Paste the program into the source box instead.`, 'error');
+        return false;
+    }
+}
+
+// The machine to continue, or a fresh one fed the current reference string
+async function currentMipsMachine() {
+    if (mips.machine && !mips.machine.halted) return mips.machine;
+
+    if (!state.isLoaded) {
+        showAlert('Load a reference string first; the MIPS program reads it as input.', 'error');
+        return null;
+    }
+    if (state.processes) {
+        showAlert('The MIPS program runs a single reference string. Switch Input Mode to page numbers.', 'error');
+        return null;
+    }
+    if (!await loadMipsSource()) return null;
+
+    const program = assemble(elements.mipsSourceInput.value);
+    if (program.error) {
+        showAlert(`MIPS assembly failed. ${program.error}`, 'error');
+        return null;
+    }
+
+    mips.machine = createMachine(program, cpuLatorInput(state.referenceString));
+    mips.pages = state.referenceString;
+    return mips.machine;
+}
+
+async function runMipsProgram() {
+    const machine = await currentMipsMachine();
+    if (!machine) return;
+
+    mips.before = Int32Array.from(machine.registers);
+    machine.run();
+    renderMipsMachine();
+}
+
+async function stepMipsProgram() {
+    const machine = await currentMipsMachine();
+    if (!machine) return;
+
+    mips.before = Int32Array.from(machine.registers);
+    machine.step();
+    renderMipsMachine();
+}
+
+function resetMipsMachine() {
+    mips.machine = null;
+    mips.pages = null;
+    mips.before = null;
+    renderMipsMachine();
+}
+
+// Saves cpu-lator.txt with the loaded string and frame count built in, for MARS/SPIM
+function exportMipsProgram() {
+    if (!state.isLoaded) {
+        showAlert('Load a scenario first, then export it as MIPS.', 'error');
+        return;
+    }
+    if (state.processes) {
+        showAlert('The MIPS program runs a single reference string. Switch Input Mode to page numbers.', 'error');
+        return;
+    }
+    if (state.policy !== 'lifo') {
+        showAlert(`The MIPS program implements LIFO; switch the policy from ${getActivePolicy().name} to LIFO to export it.`, 'error');
+        return;
+    }
+
+    const source = buildMipsProgram({ referenceString: state.referenceString, frames: state.frames, history: state.stateHistory });
+    downloadText(source, `lifo-${state.frames}-frames-${todayStamp()}.asm`, 'text/plain');
+}
+
+// Called whenever the simulator loads or clears: a different reference
+// string needs a fresh run, the same one is compared again with the new history
+function refreshMipsCheck() {
+    if (mips.machine && mips.pages.join(' ') !== state.referenceString.join(' ')) {
+        resetMipsMachine();
+        return;
+    }
+    renderMipsMachine();
+}
+
+function renderMipsMachine() {
+    const machine = mips.machine;
+
+    elements.mipsStatus.classList.toggle('error', Boolean(machine && machine.error));
+    elements.mipsStatus.textContent = describeMipsMachine(machine);
+    elements.mipsConsole.textContent = machine ? machine.output : '';
+
+    renderMipsRegisters(machine);
+    renderMipsMemory(machine);
+    const allMatch = renderMipsComparison(machine);
+    elements.mipsNotes.innerHTML = mipsNotes(allMatch).map(note => `<p><i class='bx bx-info-circle'></i> ${note}</p>`).join('');
+}
+
+// Why the trace may legitimately differ from the simulator. An exported
+// program has its own frame count, so the note goes once a run matches.
+function mipsNotes(allMatch) {
+    if (!state.isLoaded || state.processes) return [];
+
+    const notes = [];
+    if (!allMatch && (state.policy !== 'lifo' || state.frames !== MIPS_FRAMES)) {
+        notes.push(`cpu-lator.txt is LIFO with ${MIPS_FRAMES} frames; the simulator is running ${getActivePolicy().name} with ${state.frames}, so differences are expected.`);
+    }
+    if (state.referenceString.length > MIPS_PAGE_LIMIT) {
+        notes.push(`cpu-lator.txt has room for ${MIPS_PAGE_LIMIT} pages; the extra ${state.referenceString.length - MIPS_PAGE_LIMIT} overwrite the data after its page array.`);
+    }
+    return notes;
+}
+
+function describeMipsMachine(machine) {
+    if (!machine) return 'Not started';
+    if (machine.error) return machine.error;
+    if (machine.halted) return `Finished after ${machine.steps} instructions`;
+
+    const next = machine.currentInstruction();
+    return `${machine.steps} instructions run · next: line ${next.line}, ${next.text}`;
+}
+
+function renderMipsRegisters(machine) {
+    if (!machine) {
+        elements.mipsRegisters.innerHTML = `<p class="mips-empty">Registers appear once the program starts</p>`;
+        return;
+    }
 
-    elements.logContainer.appendChild(entry);
-    elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+    const cells = REGISTER_NAMES.map((name, i) => {
+        const changed = mips.before && mips.before[i] !== machine.registers[i];
+        return `
+            <div class="mips-register${changed ? ' changed' : ''}" title="$${i} = 0x${hex(machine.registers[i])}">
+                <span class="mips-register-name">$${name}</span>
+                <span class="mips-register-value">${machine.registers[i]}</span>
+            </div>
+        `;
+    });
+    [['pc', machine.pc], ['hi', machine.hi], ['lo', machine.lo]].forEach(([name, value]) => {
+        cells.push(`
+            <div class="mips-register">
+                <span class="mips-register-name">${name}</span>
+                <span class="mips-register-value">${name === 'pc' ? `0x${hex(value)}` : value}</span>
+            </div>
+        `);
+    });
+    elements.mipsRegisters.innerHTML = cells.join('');
 }
 
-function updateLogHighlight() {
-    const allEntries = elements.logContainer.querySelectorAll('.log-entry');
-    allEntries.forEach((entry, index) => {
-        entry.classList.toggle('current', index === state.currentStep);
+// The .data section, four words per row, with labels and the bytes as text
+function renderMipsMemory(machine) {
+    if (!machine) {
+        elements.mipsMemory.innerHTML = `<p class="mips-empty">The .data section appears once the program starts</p>`;
+        return;
+    }
+
+    const labelsAt = {};
+    Object.entries(machine.program.labels).forEach(([label, address]) => {
+        if (address >= DATA_BASE) (labelsAt[address - address % 16] ||= []).push(label);
     });
 
-    // Scroll to current entry
-    const currentEntry = allEntries[state.currentStep];
-    if (currentEntry) {
-        currentEntry.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    const rows = [];
+    for (let offset = 0; offset < machine.program.data.length; offset += 16) {
+        const address = DATA_BASE + offset;
+        const words = [0, 4, 8, 12].map(i => machine.readWord(address + i));
+        const text = words.flatMap(word => [0, 8, 16, 24].map(shift => (word >> shift) & 0xff))
+            .map(byte => String.fromCharCode(byte))
+            .map(char => (/[ -~]/.test(char) && !'<>&'.includes(char) ? char : '·'))
+            .join('');
+        rows.push(`
+            <tr>
+                <th>0x${hex(address)}</th>
+                ${words.map(word => `<td>${word}</td>`).join('')}
+                <td class="mips-ascii">${text}</td>
+                <td class="mips-labels">${(labelsAt[address] || []).join(', ')}</td>
+            </tr>
+        `);
+    }
+
+    elements.mipsMemory.innerHTML = `
+        <table class="mips-memory-table">
+            <thead><tr><th>Address</th><th>+0</th><th>+4</th><th>+8</th><th>+c</th><th>Text</th><th>Labels</th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+}
+
+// The program's [HIT]/[MISS] lines next to the simulator's steps. Returns
+// true when the program has finished and every step matches.
+function renderMipsComparison(machine) {
+    if (!machine || !state.isLoaded) {
+        elements.mipsComparison.innerHTML = `
+            <div class="placeholder-message">
+                <i class='bx bx-chip'></i>
+                <p>Run the program to compare its trace with the simulator</p>
+            </div>
+        `;
+        return false;
+    }
+
+    const trace = parseLifoTrace(machine.output);
+    const history = state.stateHistory;
+    // While the program is still running, steps it has not printed yet are not differences
+    const differences = compareLifoTrace(trace.steps, history)
+        .filter(difference => machine.halted || !difference.fields.includes('missing step'));
+    const differing = new Map(differences.map(difference => [difference.step - 1, difference.fields]));
+    const rowCount = machine.halted ? Math.max(trace.steps.length, history.length) : trace.steps.length;
+
+    const describe = (isHit, frames) => `${isHit ? 'HIT' : 'MISS'} [${frames.join(' ')}]`;
+    const rows = [];
+    for (let i = 0; i < Math.min(rowCount, MIPS_ROW_LIMIT); i++) {
+        const traced = trace.steps[i];
+        const expected = i < history.length ? history.at(i) : null;
+        const fields = differing.get(i);
+        rows.push(`
+            <tr class="${fields ? 'mips-diff' : ''}" ${expected ? `data-step="${i}"` : ''} title="${fields ? `Differs: ${fields.join(', ')}` : 'Matches'}">
+                <th>${i + 1}</th>
+                <td>${traced ? traced.page : '-'}</td>
+                <td>${traced ? describe(traced.isHit, traced.frames) : '-'}</td>
+                <td>${expected ? describe(expected.isHit, expected.frames.filter(page => page !== null)) : '-'}</td>
+            </tr>
+        `);
+    }
+
+    let summary;
+    if (!machine.halted) {
+        summary = `${trace.steps.length} of ${history.length} steps printed so far, ${differences.length} differ`;
+    } else if (differences.length === 0) {
+        summary = `All ${history.length} steps match the simulator`;
+    } else {
+        summary = `${differences.length} of ${rowCount} steps differ from the simulator`;
     }
+    if (trace.faults !== null) {
+        summary += ` · program counted ${trace.faults} faults, simulator ${state.totalFaults}`;
+    }
+    const more = rowCount > MIPS_ROW_LIMIT ? `<p class="mips-empty">Showing the first ${MIPS_ROW_LIMIT} of ${rowCount} steps</p>` : '';
+
+    elements.mipsComparison.innerHTML = `
+        <p class="mips-summary ${differences.length === 0 ? 'hit-text' : 'fault-text'}">${summary}</p>
+        <table class="mips-compare-table">
+            <thead><tr><th>Step</th><th>Page</th><th>MIPS</th><th>Simulator (${getActivePolicy().name})</th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+        ${more}
+    `;
+    return machine.halted && differences.length === 0;
 }
 
 // ==================== ALERT SYSTEM ====================
@@ -1176,8 +3595,20 @@ function removeAlert(alert) {
     }, 300);
 }
 
+// The chart plots at most CHART_MAX_POINTS recent steps. Stepping forward adds
+// one point (and drops the oldest); anything else redraws the window.
+const CHART_MAX_POINTS = 500;
+let chartRange = { start: 0, end: 0 }; // steps [start, end) currently plotted
+let chartHitPrefix = [0]; // chartHitPrefix[i] = hits in the first i steps
+
 function initChart() {
     const ctx = document.getElementById('hitRatioChart').getContext('2d');
+
+    chartRange = { start: 0, end: 0 };
+    chartHitPrefix = [0];
+    for (let i = 0; i < state.stateHistory.length; i++) {
+        chartHitPrefix.push(chartHitPrefix[i] + (state.stateHistory.at(i).isHit ? 1 : 0));
+    }
     
     // Destroy existing chart if it exists (to prevent overlaps on reset)
     if (myChart) {
@@ -1190,7 +3621,7 @@ function initChart() {
             labels: [],
             datasets: [
                 {
-                    label: 'Hit Ratio (%)',
+                    label: `${getActivePolicy().name} Hit Ratio (%)`,
                     data: [],
                     borderColor: '#06b6d4', // var(--accent-cyan)
                     backgroundColor: 'rgba(6, 182, 212, 0.1)',
@@ -1260,53 +3691,49 @@ function initChart() {
     });
 }
 
-function updateChart() {
+function updateChart({ rebuild = false } = {}) {
     if (!myChart) return;
 
-    const labels = [];
-    const ratioData = [];
-    const eventData = []; // 1 for Hit, -1 for Fault
-    const eventColors = [];
-
-    const colors = themeColors[currentTheme];
-
-    let currentHits = 0;
-
-    // Loop through history UP TO the current step
-    for (let i = 0; i <= state.currentStep; i++) {
-        const step = state.stateHistory[i];
-        
-        // Calculate dynamic Hit Ratio
-        if (step.isHit) currentHits++;
-        const ratio = ((currentHits / (i + 1)) * 100).toFixed(1);
-
-        labels.push(step.step);
-        ratioData.push(ratio);
-
-        // Visualizing Hits vs Faults on the chart
-        if (step.isHit) {
-            eventData.push(1); // Positive bar for Hit
-            // eventColors.push('rgba(22, 163, 74, 0.6)'); // Green
-            eventColors.push(colors.hit); // Dynamic Color
-        } else {
-            eventData.push(-1); // Negative bar for Fault
-            // eventColors.push('rgba(239, 68, 68, 0.6)'); // Red
-             eventColors.push(colors.fault); // Dynamic Color
+    const end = state.currentStep + 1;
+    const start = Math.max(0, end - CHART_MAX_POINTS);
+    const [line, bars] = myChart.data.datasets;
+
+    if (!rebuild && chartRange.end > 0 && end === chartRange.end + 1) {
+        addChartPoint(end - 1);
+        if (start > chartRange.start) {
+            myChart.data.labels.shift();
+            line.data.shift();
+            line.pointBackgroundColor.shift();
+            bars.data.shift();
+            bars.backgroundColor.shift();
         }
+    } else {
+        myChart.data.labels = [];
+        line.data = [];
+        line.pointBackgroundColor = [];
+        bars.data = [];
+        bars.backgroundColor = [];
+        for (let i = start; i < end; i++) addChartPoint(i);
     }
 
-    // Update Chart Data
-    myChart.data.labels = labels;
-    myChart.data.datasets[0].data = ratioData; // Line
-    myChart.data.datasets[1].data = eventData; // Bars
-    myChart.data.datasets[1].backgroundColor = eventColors;
-    
-    // Update Point Colors for the Line to match Hit/Fault
-    myChart.data.datasets[0].pointBackgroundColor = eventColors.map(c => c.replace('0.6', '1'));
-
+    chartRange = { start, end };
     myChart.update('none'); // 'none' mode prevents animation lag during autoplay
 }
 
+// Appends step i: the hit ratio so far on the line, and a hit/fault bar
+function addChartPoint(i) {
+    const step = state.stateHistory.at(i);
+    const colors = themeColors[currentTheme];
+    const [line, bars] = myChart.data.datasets;
+    const eventColor = step.isHit ? colors.hit : colors.fault; // Dynamic Color
+
+    myChart.data.labels.push(step.step);
+    line.data.push(((chartHitPrefix[i + 1] / (i + 1)) * 100).toFixed(1));
+    line.pointBackgroundColor.push(eventColor.replace('0.6', '1'));
+    bars.data.push(step.isHit ? 1 : -1); // Positive bar for Hit, negative for Fault
+    bars.backgroundColor.push(eventColor);
+}
+
 function formatAIResponse(text) {
     if (!text) return "";
 
@@ -1327,6 +3754,9 @@ function formatAIResponse(text) {
     return formatted;
 }
 
+// Inline onclick handlers in index.html need globals; this file is an ES module
+window.askBot = askBot;
+
 // ==================== DEMO STACK (Explanation Tab) ====================
 let demoStackValue = 3;
 
@@ -0,0 +1,747 @@
+/**
+ * Page Replacement Simulation Core
+ * DOM-free logic shared by the browser simulator (script.js) and Node tools:
+ * parsing, the replacement policies, state history, stats and report data.
+ */
+
+// ==================== INPUT PARSING ====================
+// Splits "7 0 1" or "7,0,1" into page numbers. A trailing "w" marks a write and
+// "r" a read ("3w 5r 3"); plain numbers are reads.
+// Returns { pages, writes } (writes[i] is true for a write) or { error }
+export function parseReferenceString(refString) {
+    const tokens = refString.split(/[\s,]+/).map(s => s.trim()).filter(s => s !== '');
+    const pages = [];
+    const writes = [];
+
+    for (const token of tokens) {
+        const match = /^(\d+)([rw])?$/i.exec(token);
+        if (!match) {
+            return { error: `Invalid value "${token}" in reference string. Please use page numbers, optionally followed by r or w (e.g. 3w).` };
+        }
+        pages.push(parseInt(match[1]));
+        writes.push((match[2] || '').toLowerCase() === 'w');
+    }
+
+    return { pages, writes };
+}
+
+// `length` random pages in the range 0 to maxPage - 1.
+// Pass seededRandom(seed) as `random` to get the same string every time.
+export function randomReferenceString(length, maxPage, random = Math.random) {
+    const randomPages = [];
+    
+    for (let i = 0; i < length; i++) {
+        randomPages.push(Math.floor(random() * maxPage));
+    }
+
+    return randomPages;
+}
+
+// Repeatable random numbers in [0, 1) from a text or number seed
+// (the seed is hashed, then fed to the mulberry32 generator)
+export function seededRandom(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+
+    let value = hash >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) | 0;
+        let t = Math.imul(value ^ (value >>> 15), 1 | value);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ==================== ADDRESS TRANSLATION ====================
+// Virtual address tokens: hex with a 0x prefix or plain decimal
+export function parseAddress(token) {
+    let address = NaN;
+    if (/^0x[0-9a-f]+$/i.test(token)) address = parseInt(token.slice(2), 16);
+    else if (/^\d+$/.test(token)) address = parseInt(token, 10);
+
+    return Number.isSafeInteger(address) ? address : null;
+}
+
+// Splits each address into page number and offset.
+// Returns { pages, writes, translations } or { error }; translations line up with pages.
+export function parseAddressTrace(traceText, pageSize) {
+    if (!Number.isSafeInteger(pageSize) || pageSize < 1) {
+        return { error: 'Please enter a valid page size (a whole number of bytes).' };
+    }
+
+    const tokens = traceText.split(/[\s,]+/).map(s => s.trim()).filter(s => s !== '');
+    const translations = [];
+    const writes = [];
+
+    for (const token of tokens) {
+        // Same r/w suffix as page numbers; hex digits never include r or w
+        const access = /^(.*?)([rw])?$/i.exec(token);
+        const address = parseAddress(access[1]);
+        if (address === null) {
+            return { error: `Invalid address "${token}". Use hex (0x1A3F) or decimal (6719) addresses, optionally followed by r or w.` };
+        }
+
+        writes.push((access[2] || '').toLowerCase() === 'w');
+        translations.push({
+            text: access[1],
+            address,
+            isHex: token.toLowerCase().startsWith('0x'),
+            page: Math.floor(address / pageSize),
+            offset: address % pageSize
+        });
+    }
+
+    return { pages: translations.map(entry => entry.page), writes, translations };
+}
+
+// "0x1A3F -> page 1, offset 0xA3F" (offset in the same base as the address)
+export function formatTranslation(entry, arrow = '->') {
+    const offset = entry.isHex ? `0x${entry.offset.toString(16).toUpperCase()}` : entry.offset;
+    return `${entry.text} ${arrow} page ${entry.page}, offset ${offset}`;
+}
+
+// ==================== REPLACEMENT POLICIES ====================
+// Every policy keeps its own bookkeeping and tells buildStateHistory which
+// frame to evict. snapshot() lists pages bottom -> top, where the "top" is the
+// page the policy would evict next, so the stack panel, the log and the PDF can
+// show any policy the same way LIFO's stack is shown.
+export const replacementPolicies = {
+    lifo: {
+        name: 'LIFO',
+        fullName: 'Last In, First Out',
+        panelTitle: 'Stack View',
+        topLabel: 'Top of Stack',
+        listLabel: 'Stack',
+        orderLabel: 'top → bottom',
+        victimReason: 'top of stack',
+        create: () => ({ stack: [] }),
+        onHit: () => {},
+        onLoad: (book, ctx) => { book.stack.push(ctx.page); },
+        selectVictim: (book, ctx) => ctx.frames.indexOf(book.stack.pop()),
+        snapshot: (book) => ({ order: [...book.stack], notes: [] })
+    },
+    fifo: {
+        name: 'FIFO',
+        fullName: 'First In, First Out',
+        panelTitle: 'Queue View',
+        topLabel: 'Head of Queue (oldest)',
+        listLabel: 'Queue',
+        orderLabel: 'oldest → newest',
+        victimReason: 'head of queue',
+        create: () => ({ queue: [] }),
+        onHit: () => {},
+        onLoad: (book, ctx) => { book.queue.push(ctx.page); },
+        selectVictim: (book, ctx) => ctx.frames.indexOf(book.queue.shift()),
+        snapshot: (book) => ({ order: [...book.queue].reverse(), notes: [] })
+    },
+    lru: {
+        name: 'LRU',
+        fullName: 'Least Recently Used',
+        panelTitle: 'Recency List',
+        topLabel: 'Least Recently Used',
+        listLabel: 'Recency',
+        orderLabel: 'least → most recent',
+        victimReason: 'least recently used',
+        // recency: pages from least to most recently used, lastUsed: page -> step index
+        create: () => ({ recency: [], lastUsed: {} }),
+        onHit: (book, ctx) => {
+            book.recency.splice(book.recency.indexOf(ctx.page), 1);
+            book.recency.push(ctx.page);
+            book.lastUsed[ctx.page] = ctx.time;
+        },
+        onLoad: (book, ctx) => {
+            book.recency.push(ctx.page);
+            book.lastUsed[ctx.page] = ctx.time;
+        },
+        selectVictim: (book, ctx) => {
+            const victim = book.recency.shift();
+            delete book.lastUsed[victim];
+            return ctx.frames.indexOf(victim);
+        },
+        snapshot: (book) => {
+            const order = [...book.recency].reverse();
+            return { order, notes: order.map(page => `last @${book.lastUsed[page] + 1}`) };
+        }
+    },
+    opt: {
+        name: 'OPT',
+        fullName: 'Optimal (Belady MIN)',
+        panelTitle: 'Next Use',
+        topLabel: 'Farthest Next Use',
+        listLabel: 'Next use',
+        orderLabel: 'farthest → soonest',
+        victimReason: 'next used farthest in the future',
+        create: () => ({}),
+        onHit: () => {},
+        onLoad: () => {},
+        selectVictim: (book, ctx) => {
+            // Evict the page whose next request is farthest away (never = Infinity).
+            // Ties go to the lowest frame index.
+            let victimIndex = 0;
+            let farthest = -1;
+            ctx.frames.forEach((page, index) => {
+                const next = nextUseOf(page, ctx.time, ctx.referenceString);
+                if (next > farthest) {
+                    farthest = next;
+                    victimIndex = index;
+                }
+            });
+            return victimIndex;
+        },
+        snapshot: (book, ctx) => {
+            const loaded = ctx.frames
+                .map((page, index) => ({ page, index, next: nextUseOf(page, ctx.time, ctx.referenceString) }))
+                .filter(entry => entry.page !== null)
+                // Soonest at the bottom, farthest (the next victim) on top
+                .sort((a, b) => (a.next - b.next) || (b.index - a.index));
+            return {
+                order: loaded.map(entry => entry.page),
+                notes: loaded.map(entry => entry.next === Infinity ? 'never' : `next @${entry.next + 1}`)
+            };
+        }
+    },
+    clock: {
+        name: 'Clock',
+        fullName: 'Second Chance (Clock)',
+        panelTitle: 'Clock View',
+        topLabel: 'Clock Hand',
+        listLabel: 'Clock',
+        orderLabel: 'hand → around',
+        victimReason: 'reference bit clear at the clock hand',
+        create: (frameCount) => ({ hand: 0, refBits: new Array(frameCount).fill(0) }),
+        onHit: (book, ctx) => { book.refBits[ctx.frameIndex] = 1; },
+        onLoad: (book, ctx) => { book.refBits[ctx.frameIndex] = 1; },
+        selectVictim: (book) => {
+            // Give every page with its reference bit set a second chance
+            while (book.refBits[book.hand] === 1) {
+                book.refBits[book.hand] = 0;
+                book.hand = (book.hand + 1) % book.refBits.length;
+            }
+            const victimIndex = book.hand;
+            book.hand = (book.hand + 1) % book.refBits.length;
+            return victimIndex;
+        },
+        snapshot: (book, ctx) => {
+            const order = [];
+            const notes = [];
+            const count = book.refBits.length;
+            // Walk backwards from the frame before the hand so the hand ends up on top
+            for (let k = count - 1; k >= 0; k--) {
+                const index = (book.hand + k) % count;
+                if (ctx.frames[index] === null) continue;
+                order.push(ctx.frames[index]);
+                notes.push(`R=${book.refBits[index]}`);
+            }
+            return { order, notes };
+        }
+    },
+    lfu: {
+        name: 'LFU',
+        fullName: 'Least Frequently Used',
+        panelTitle: 'Use Counts',
+        topLabel: 'Least Frequently Used',
+        listLabel: 'Counts',
+        orderLabel: 'least → most used',
+        victimReason: 'least frequently used',
+        // counts: page -> uses since it was loaded, loadedAt: page -> step index (FIFO tie-break)
+        create: () => ({ counts: {}, loadedAt: {} }),
+        onHit: (book, ctx) => { book.counts[ctx.page]++; },
+        onLoad: (book, ctx) => {
+            book.counts[ctx.page] = 1;
+            book.loadedAt[ctx.page] = ctx.time;
+        },
+        selectVictim: (book, ctx) => {
+            const victim = lfuOrder(book, ctx.frames)[0];
+            delete book.counts[victim];
+            delete book.loadedAt[victim];
+            return ctx.frames.indexOf(victim);
+        },
+        snapshot: (book, ctx) => {
+            const order = lfuOrder(book, ctx.frames).reverse();
+            return { order, notes: order.map(page => `${book.counts[page]} use${book.counts[page] === 1 ? '' : 's'}`) };
+        }
+    }
+};
+
+// Index of the next request for `page` after step `time`, or Infinity
+function nextUseOf(page, time, referenceString) {
+    const next = referenceString.indexOf(page, time + 1);
+    return next === -1 ? Infinity : next;
+}
+
+// Loaded pages ordered from first to last eviction candidate under LFU
+function lfuOrder(book, frames) {
+    return frames
+        .filter(page => page !== null)
+        .sort((a, b) => (book.counts[a] - book.counts[b]) || (book.loadedAt[a] - book.loadedAt[b]));
+}
+
+// Falls back to LIFO for unknown names (own keys only: "toString" is not a policy)
+export function getPolicy(policyName) {
+    return Object.hasOwn(replacementPolicies, policyName) ? replacementPolicies[policyName] : replacementPolicies.lifo;
+}
+
+// ==================== STATE HISTORY ====================
+// Runs one policy over a reference string and records every step.
+// writes[i] marks step i as a write: the frame becomes dirty, and evicting a
+// dirty page costs a write-back to disk.
+// Returns { history, totalHits, totalFaults, totalWriteBacks }.
+export function buildStateHistory(referenceString, frameCount, policyName = 'lifo', writes = []) {
+    const history = [];
+    let totalHits = 0;
+    let totalFaults = 0;
+    let totalWriteBacks = 0;
+
+    const simulation = createSimulation(referenceString, frameCount, policyName, writes);
+    while (simulation.time < referenceString.length) {
+        const stepData = simulation.next();
+        if (stepData.isHit) totalHits++;
+        else totalFaults++;
+        if (stepData.writeBack) totalWriteBacks++;
+        history.push(stepData);
+    }
+
+    return { history, totalHits, totalFaults, totalWriteBacks };
+}
+
+// The step-by-step simulator behind buildStateHistory. next() runs the next
+// reference and returns its step record; save() copies everything the run
+// depends on and restore() resumes from such a copy, so a long run can be
+// picked up again from a checkpoint (see compact-history.mjs).
+export function createSimulation(referenceString, frameCount, policyName = 'lifo', writes = []) {
+    const policy = getPolicy(policyName);
+    let run = {
+        time: 0,
+        book: policy.create(frameCount),
+        frames: new Array(frameCount).fill(null),
+        // NEW: Track age of pages in frames
+        frameAges: new Array(frameCount).fill(0),
+        dirty: new Array(frameCount).fill(false)
+    };
+
+    return {
+        get time() { return run.time; },
+        save: () => structuredClone(run),
+        restore: (saved) => { run = structuredClone(saved); },
+        next: () => {
+            const i = run.time;
+            const { book, frames, dirty } = run;
+            const page = referenceString[i];
+            const isWrite = Boolean(writes[i]);
+            const ctx = { page, time: i, frames, frameIndex: -1, referenceString };
+
+            // NEW: Increment age for all occupied frames at the start of the step
+            run.frameAges = run.frameAges.map((age, index) => frames[index] !== null ? age + 1 : 0);
+
+            let stepData = {
+                step: i + 1,
+                page: page,
+                frames: [...frames],
+                frameAges: [...run.frameAges], // Save snapshot of ages
+                dirty: [],
+                isWrite,
+                writeBack: false,
+                stack: [],
+                stackNotes: [],
+                isHit: false,
+                isFault: false,
+                replacedPage: null,
+                replacedIndex: -1,
+                newPageIndex: -1
+            };
+
+            const pageIndex = frames.indexOf(page);
+
+            if (pageIndex !== -1) {
+                // HIT
+                stepData.isHit = true;
+                ctx.frameIndex = pageIndex;
+                if (isWrite) dirty[pageIndex] = true;
+                policy.onHit(book, ctx);
+                // LIFO typically does NOT reset age on hit (unlike LRU)
+            } else {
+                // FAULT
+                stepData.isFault = true;
+
+                const emptyIndex = frames.indexOf(null);
+
+                if (emptyIndex !== -1) {
+                    // Fill empty frame
+                    ctx.frameIndex = emptyIndex;
+                } else {
+                    // Replacement: the policy picks the victim frame
+                    const replaceIndex = policy.selectVictim(book, ctx);
+
+                    stepData.replacedPage = frames[replaceIndex];
+                    stepData.replacedIndex = replaceIndex;
+                    ctx.frameIndex = replaceIndex;
+
+                    // A modified victim has to be written back before its frame is reused
+                    if (dirty[replaceIndex]) stepData.writeBack = true;
+                }
+
+                frames[ctx.frameIndex] = page;
+                dirty[ctx.frameIndex] = isWrite;
+                policy.onLoad(book, ctx);
+                stepData.newPageIndex = ctx.frameIndex;
+                // NEW: Reset age for new page
+                run.frameAges[ctx.frameIndex] = 0;
+
+                stepData.frames = [...frames];
+                // NEW: Update stepData with the modified ages after changes
+                stepData.frameAges = [...run.frameAges];
+            }
+
+            stepData.dirty = [...dirty];
+            const snapshot = policy.snapshot(book, ctx);
+            stepData.stack = snapshot.order;
+            stepData.stackNotes = snapshot.notes;
+
+            run.time++;
+            return stepData;
+        }
+    };
+}
+
+// Step indices where the given runs (same string and frames) evict different pages.
+// Histories can be arrays or compact histories (anything with length and at()).
+export function findDivergentSteps(histories) {
+    const divergent = new Set();
+    if (histories.length < 2) return divergent;
+
+    for (let i = 0; i < histories[0].length; i++) {
+        const victims = histories.map(history => history.at(i).replacedPage);
+        if (victims.some(victim => victim !== null) && new Set(victims).size > 1) {
+            divergent.add(i);
+        }
+    }
+
+    return divergent;
+}
+
+// ==================== MULTI-PROCESS ====================
+// Pages of different processes never collide, so each reference is keyed by
+// its process: page 3 of process A is "A:3".
+export function pageKey(processId, page) {
+    return `${processId}:${page}`;
+}
+
+// "A:3" -> { process: 'A', page: 3 }
+export function splitPageKey(key) {
+    const text = String(key);
+    const colon = text.lastIndexOf(':');
+    return colon === -1
+        ? { process: null, page: Number(text) }
+        : { process: text.slice(0, colon), page: Number(text.slice(colon + 1)) };
+}
+
+// The process names parseProcessList accepts: a letter, then letters, digits, "_" or "-"
+export function isProcessId(id) {
+    return typeof id === 'string' && /^[A-Za-z][\w-]*$/.test(id);
+}
+
+// One process per line: "A: 7 0 1 2w" (unnamed lines become P1, P2, ...).
+// Returns { processes: [{ id, pages, writes }] } or { error }
+export function parseProcessList(text) {
+    const processes = [];
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+
+    for (const line of lines) {
+        const named = /^([A-Za-z][\w-]*)\s*:(.*)$/.exec(line);
+        const id = named ? named[1] : `P${processes.length + 1}`;
+        if (processes.some(process => process.id === id)) {
+            return { error: `Process "${id}" is listed twice.` };
+        }
+
+        const parsed = parseReferenceString(named ? named[2] : line);
+        if (parsed.error) return { error: `Process ${id}: ${parsed.error}` };
+        if (parsed.pages.length === 0) return { error: `Process ${id} has no references.` };
+
+        processes.push({ id, pages: parsed.pages, writes: parsed.writes });
+    }
+
+    if (processes.length === 0) {
+        return { error: 'Please enter at least one process, e.g. "A: 7 0 1 2".' };
+    }
+
+    return { processes };
+}
+
+// Process ids in run order: each process runs `quantum` references per turn
+// until every reference string is used up
+export function roundRobinSchedule(processes, quantum = 1, used = {}) {
+    const remaining = {};
+    processes.forEach(process => { remaining[process.id] = process.pages.length - (used[process.id] || 0); });
+
+    const schedule = [];
+    while (processes.some(process => remaining[process.id] > 0)) {
+        processes.forEach(process => {
+            const turn = Math.min(quantum, remaining[process.id]);
+            for (let i = 0; i < turn; i++) schedule.push(process.id);
+            remaining[process.id] -= turn;
+        });
+    }
+    return schedule;
+}
+
+// A user-written schedule such as "A A B A*2 B". References left over at the
+// end are appended round-robin. Returns { schedule } or { error }
+export function parseSchedule(text, processes) {
+    const used = {};
+    processes.forEach(process => { used[process.id] = 0; });
+
+    const schedule = [];
+    const tokens = text.split(/[\s,]+/).filter(token => token !== '');
+    for (const token of tokens) {
+        const match = /^([A-Za-z][\w-]*)(?:\*(\d+))?$/.exec(token);
+        if (!match) return { error: `Invalid schedule entry "${token}". Use process names, e.g. "A A B" or "A*2 B".` };
+
+        const process = processes.find(p => p.id === match[1]);
+        if (!process) return { error: `The schedule names "${match[1]}", which is not a process.` };
+
+        const count = match[2] !== undefined ? parseInt(match[2]) : 1;
+        if (used[process.id] + count > process.pages.length) {
+            return { error: `The schedule runs process ${process.id} more than its ${process.pages.length} references.` };
+        }
+        for (let i = 0; i < count; i++) schedule.push(process.id);
+        used[process.id] += count;
+    }
+
+    return { schedule: [...schedule, ...roundRobinSchedule(processes, 1, used)] };
+}
+
+// Follows the schedule through each process's references.
+// Returns [{ process, page, isWrite }] in run order
+export function interleaveProcesses(processes, schedule) {
+    const next = {};
+    processes.forEach(process => { next[process.id] = 0; });
+
+    return schedule.map(id => {
+        const process = processes.find(p => p.id === id);
+        const i = next[id]++;
+        return { process: id, page: process.pages[i], isWrite: Boolean(process.writes && process.writes[i]) };
+    });
+}
+
+// Runs several processes through memory.
+//   'global': frameCount frames shared by everyone; a fault may take a frame from another process.
+//   'local':  frameCount frames per process, each with its own policy bookkeeping.
+// Steps look like buildStateHistory's, with pages as pageKey()s, plus
+// `process` (who ran) and `stacks` ([{ process, stack, notes }], one per process
+// for local replacement, one shared entry with process null for global).
+// In local mode frames are laid out process by process.
+export function buildMultiProcessHistory(processes, schedule, frameCount, policyName = 'lifo', scope = 'local') {
+    const refs = interleaveProcesses(processes, schedule);
+
+    if (scope === 'global') {
+        const run = buildStateHistory(
+            refs.map(ref => pageKey(ref.process, ref.page)),
+            frameCount,
+            policyName,
+            refs.map(ref => ref.isWrite)
+        );
+        run.history.forEach((step, i) => {
+            step.process = refs[i].process;
+            step.stacks = [{ process: null, stack: step.stack, notes: step.stackNotes }];
+        });
+        return run;
+    }
+
+    // Local: simulate each process on its own, then replay the steps in schedule order
+    const runs = {};
+    processes.forEach(process => {
+        const own = refs.filter(ref => ref.process === process.id);
+        runs[process.id] = buildStateHistory(
+            own.map(ref => pageKey(ref.process, ref.page)),
+            frameCount,
+            policyName,
+            own.map(ref => ref.isWrite)
+        ).history;
+    });
+
+    const cursor = {};
+    const latest = {};
+    const history = refs.map((ref, t) => {
+        const index = cursor[ref.process] || 0;
+        cursor[ref.process] = index + 1;
+        const local = runs[ref.process][index];
+        latest[ref.process] = local;
+        const offset = processes.findIndex(p => p.id === ref.process) * frameCount;
+
+        const frames = [];
+        const frameAges = [];
+        const dirty = [];
+        processes.forEach(process => {
+            const current = latest[process.id];
+            frames.push(...(current ? current.frames : new Array(frameCount).fill(null)));
+            frameAges.push(...(current ? current.frameAges : new Array(frameCount).fill(0)));
+            dirty.push(...(current ? current.dirty : new Array(frameCount).fill(false)));
+        });
+
+        return {
+            ...local,
+            step: t + 1,
+            process: ref.process,
+            frames,
+            frameAges,
+            dirty,
+            replacedIndex: local.replacedIndex === -1 ? -1 : local.replacedIndex + offset,
+            newPageIndex: local.newPageIndex === -1 ? -1 : local.newPageIndex + offset,
+            stacks: processes.map(process => ({
+                process: process.id,
+                stack: latest[process.id] ? latest[process.id].stack : [],
+                notes: latest[process.id] ? latest[process.id].stackNotes : []
+            }))
+        };
+    });
+
+    return {
+        history,
+        totalHits: history.filter(step => step.isHit).length,
+        totalFaults: history.filter(step => step.isFault).length,
+        totalWriteBacks: history.filter(step => step.writeBack).length
+    };
+}
+
+// computeStats for each process over the first `upToStep + 1` steps, plus the
+// number of frames each process holds at that step
+export function computeProcessStats(history, processIds, upToStep = history.length - 1) {
+    const current = history[Math.min(upToStep, history.length - 1)];
+    const steps = stepsUpTo(history, upToStep);
+
+    return processIds.map(id => {
+        const totals = runningTotals(history, id);
+        const framesHeld = current
+            ? current.frames.filter(page => page !== null && splitPageKey(page).process === id).length
+            : 0;
+        return { process: id, ...withRatios(totals.hits[steps], totals.faults[steps], totals.writeBacks[steps]), framesHeld };
+    });
+}
+
+// ==================== STATISTICS ====================
+// Running totals for array histories, like the compact history keeps:
+// hits[n] = hits in the first n steps (of one process, or of all for null).
+// Built once per history and again if it grows, so autoplay doesn't
+// recount every earlier step on each tick.
+const arrayTotals = new WeakMap(); // history -> { length, byProcess: Map }
+
+function runningTotals(history, processId = null) {
+    let entry = arrayTotals.get(history);
+    if (!entry || entry.length !== history.length) {
+        entry = { length: history.length, byProcess: new Map() };
+        arrayTotals.set(history, entry);
+    }
+
+    if (!entry.byProcess.has(processId)) {
+        const hits = new Uint32Array(history.length + 1);
+        const faults = new Uint32Array(history.length + 1);
+        const writeBacks = new Uint32Array(history.length + 1);
+        history.forEach((step, i) => {
+            const counts = processId === null || step.process === processId;
+            hits[i + 1] = hits[i] + (counts && step.isHit ? 1 : 0);
+            faults[i + 1] = faults[i] + (counts && step.isFault ? 1 : 0);
+            writeBacks[i + 1] = writeBacks[i] + (counts && step.writeBack ? 1 : 0);
+        });
+        entry.byProcess.set(processId, { hits, faults, writeBacks });
+    }
+    return entry.byProcess.get(processId);
+}
+
+// Number of steps in the first `upToStep + 1`, kept inside the history
+function stepsUpTo(history, upToStep) {
+    return Math.max(0, Math.min(upToStep + 1, history.length));
+}
+
+// Hits, faults, write-backs and ratios over the first `upToStep + 1` steps (all steps by default).
+export function computeStats(history, upToStep = history.length - 1) {
+    if (history.countUpTo) {
+        const { hits, faults, writeBacks } = history.countUpTo(upToStep);
+        return withRatios(hits, faults, writeBacks);
+    }
+
+    const totals = runningTotals(history);
+    const steps = stepsUpTo(history, upToStep);
+    return withRatios(totals.hits[steps], totals.faults[steps], totals.writeBacks[steps]);
+}
+
+function withRatios(hits, faults, writeBacks) {
+    const total = hits + faults;
+    return {
+        hits,
+        faults,
+        writeBacks,
+        total,
+        hitRatio: total > 0 ? (hits / total) * 100 : 0,
+        faultRatio: total > 0 ? (faults / total) * 100 : 0
+    };
+}
+
+// Fault count for every frame count from 1 to maxFrames
+export function sweepFrameCounts(policyName, referenceString, maxFrames) {
+    const faults = [];
+    for (let frameCount = 1; frameCount <= maxFrames; frameCount++) {
+        faults.push(buildStateHistory(referenceString, frameCount, policyName).totalFaults);
+    }
+    return faults;
+}
+
+// Every point where adding a frame increased the number of faults
+export function findBeladyAnomalies(faults) {
+    const anomalies = [];
+    for (let i = 1; i < faults.length; i++) {
+        if (faults[i] > faults[i - 1]) {
+            anomalies.push({ frames: i + 1, faults: faults[i], previousFaults: faults[i - 1] });
+        }
+    }
+    return anomalies;
+}
+
+// ==================== REPORT DATA ====================
+// Top-first text form of a step's bookkeeping, e.g. "3 (R=1) → 0 (R=0)"
+export function formatStackEntries(stepData, separator) {
+    const notes = stepData.stackNotes || [];
+    return stepData.stack
+        .map((page, index) => notes[index] ? `${page} (${notes[index]})` : `${page}`)
+        .reverse()
+        .join(separator);
+}
+
+// The request in input notation: 3 for a read, "3w" for a write
+export function formatRequest(stepData) {
+    return stepData.isWrite ? `${stepData.page}w` : stepData.page;
+}
+
+// "HIT", "FAULT", "REPLACED <page>" or "REPLACED <page> + WRITE-BACK"
+export function formatStatus(stepData) {
+    if (stepData.isHit) return 'HIT';
+    if (stepData.writeBack) return `REPLACED ${stepData.replacedPage} + WRITE-BACK`;
+    if (stepData.replacedPage !== null) return `REPLACED ${stepData.replacedPage}`;
+    return 'FAULT';
+}
+
+// Everything the step report needs, as plain text (ASCII arrows so PDF fonts and terminals cope)
+export function buildReportData(history, referenceString, frameCount, policyName = 'lifo') {
+    const policy = getPolicy(policyName);
+    const stats = computeStats(history);
+
+    return {
+        policy: { id: Object.hasOwn(replacementPolicies, policyName) ? policyName : 'lifo', name: policy.name, fullName: policy.fullName },
+        referenceString: [...referenceString],
+        frames: frameCount,
+        stats: { ...stats, hitRatio: Number(stats.hitRatio.toFixed(1)), faultRatio: Number(stats.faultRatio.toFixed(1)) },
+        columns: ['Step', 'Request', 'Frames State', `${policy.listLabel} (${policy.orderLabel.replace('→', '->')})`, 'Status'],
+        requests: history.map(formatRequest),
+        rows: history.map(step => [
+            step.step,
+            formatRequest(step),
+            // Format Frames: Replace nulls with dashes, dirty pages get a "*"
+            step.frames.map((f, i) => f === null ? '-' : `${f}${step.dirty && step.dirty[i] ? '*' : ''}`).join(' | '),
+            formatStackEntries(step, ' -> '),
+            formatStatus(step)
+        ])
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * Simulation Worker
+ * Runs long traces off the main thread so the page stays responsive.
+ * script.js posts { referenceString, writes, frames, policies } and gets back
+ * { type: 'chunk', run, chunk } messages (run = index into policies, chunk as
+ * in compact-history.mjs) followed by { type: 'done' }. Cancelling terminates
+ * the worker.
+ */
+import { simulateInChunks } from './compact-history.mjs';
+
+self.onmessage = ({ data: job }) => {
+    job.policies.forEach((policy, run) => {
+        simulateInChunks(job.referenceString, job.frames, policy, job.writes, chunk => {
+            // Hand the typed arrays over instead of copying them
+            const buffers = [chunk.outcomes, chunk.replacedIndex, chunk.newPageIndex, chunk.replacedPage].map(array => array.buffer);
+            self.postMessage({ type: 'chunk', run, chunk }, buffers);
+        });
+    });
+
+    self.postMessage({ type: 'done' });
+};
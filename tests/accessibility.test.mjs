@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildStateHistory } from '../simulation-core.mjs';
+import { stepAnnouncement, cellMarker, moveGridCell } from '../accessibility.mjs';
+
+const PAGES = [7, 0, 1, 2, 0, 3, 0, 4];
+
+test('every step announces its outcome', () => {
+    const { history } = buildStateHistory(PAGES, 3, 'lifo', [false, false, true]);
+    const announce = (index) => stepAnnouncement(history[index], index, history.length);
+
+    assert.equal(announce(0), 'Step 1 of 8: page 7, fault, loaded into empty frame 1.');
+    assert.equal(announce(3), 'Step 4 of 8: page 2, fault, replaces page 1 in frame 3. Page 1 was dirty and is written back to disk.');
+    assert.equal(announce(4), 'Step 5 of 8: page 0, hit in frame 2.');
+    assert.equal(announce(5), 'Step 6 of 8: page 3, fault, replaces page 2 in frame 3.');
+});
+
+test('hits and faults are marked in their frame only', () => {
+    const { history } = buildStateHistory(PAGES, 3, 'lifo');
+
+    assert.deepEqual(cellMarker(history[0], 0), { symbol: 'F', text: 'fault, loaded' });
+    assert.equal(cellMarker(history[0], 1), null); // still empty
+    assert.deepEqual(cellMarker(history[3], 2), { symbol: 'F', text: 'fault, replaced page 1' });
+    assert.equal(cellMarker(history[3], 0), null);
+    assert.deepEqual(cellMarker(history[4], 1), { symbol: 'H', text: 'hit' });
+    assert.equal(cellMarker(history[4], 2), null);
+});
+
+test('arrow keys stay inside the grid, Home and End go to its edges', () => {
+    const size = { rows: 4, cols: 9 };
+
+    assert.deepEqual(moveGridCell('ArrowRight', { row: 1, col: 3 }, size), { row: 1, col: 4 });
+    assert.deepEqual(moveGridCell('ArrowUp', { row: 0, col: 3 }, size), { row: 0, col: 3 });
+    assert.deepEqual(moveGridCell('ArrowDown', { row: 3, col: 8 }, size), { row: 3, col: 8 });
+    assert.deepEqual(moveGridCell('Home', { row: 2, col: 5 }, size), { row: 2, col: 0 });
+    assert.deepEqual(moveGridCell('End', { row: 2, col: 5 }, size, { ctrlKey: true }), { row: 3, col: 8 });
+    assert.equal(moveGridCell('a', { row: 2, col: 5 }, size), null);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    MAX_SCENARIOS,
+    GENERAL_CHAT,
+    scenarioChatId,
+    fitHistory,
+    createChatStore,
+    chatToMarkdown
+} from '../chat-history.mjs';
+
+// A clock that ticks a minute per call
+function clock() {
+    let minute = 0;
+    return () => new Date(Date.UTC(2026, 9, 19, 14, minute++)).toISOString();
+}
+
+test('scenarios get short, stable chat ids', () => {
+    const key = `frames=3&policy=lifo&string=${'7+0+1+2+'.repeat(5000)}`;
+    assert.equal(scenarioChatId(key), scenarioChatId(key));
+    assert.notEqual(scenarioChatId(key), scenarioChatId(key.replace('lifo', 'fifo')));
+    assert.ok(scenarioChatId(key).length < 20);
+    assert.equal(scenarioChatId(''), GENERAL_CHAT);
+});
+
+test('threads are kept per scenario and survive a save', () => {
+    const store = createChatStore({}, clock());
+    store.add('a', { role: 'user', text: 'Why was 2 evicted at step 6?' });
+    store.add('a', { role: 'bot', text: 'It was on top of the stack.' });
+    store.add('b', { role: 'user', text: 'Hi' });
+
+    store.newThread('a');
+    store.newThread('a'); // still empty: no third thread
+    store.add('a', { role: 'user', text: 'New question' });
+    assert.equal(store.threads('a').length, 2);
+
+    const reloaded = createChatStore(JSON.parse(JSON.stringify(store.toJSON())), clock());
+    assert.deepEqual(reloaded.thread('a').messages.map(message => message.text), ['New question']);
+    reloaded.switchThread('a', 0);
+    assert.equal(reloaded.thread('a').messages.length, 2);
+    assert.equal(reloaded.thread('b').messages[0].text, 'Hi');
+
+    reloaded.clearThread('a');
+    assert.deepEqual(reloaded.threads('a').map(thread => thread.messages.length), [1]);
+    assert.equal(createChatStore('not a store').threads('a')[0].messages.length, 0);
+});
+
+test('the oldest scenarios are dropped past the limit', () => {
+    const store = createChatStore({}, clock());
+    for (let i = 0; i <= MAX_SCENARIOS; i++) store.add(`s${i}`, { role: 'user', text: `question ${i}` });
+
+    const ids = Object.keys(store.toJSON());
+    assert.equal(ids.length, MAX_SCENARIOS);
+    assert.ok(!ids.includes('s0') && ids.includes(`s${MAX_SCENARIOS}`));
+});
+
+test('history fits the budget and exports as Markdown', () => {
+    const messages = [
+        { role: 'bot', text: 'Welcome back!' },
+        { role: 'user', text: 'a'.repeat(40) },
+        { role: 'bot', text: 'b'.repeat(40) },
+        { role: 'user', text: 'What is LIFO?' },
+        { role: 'bot', text: 'Last in, first out.' },
+        { role: 'user', text: 'unanswered' }
+    ];
+    assert.deepEqual(fitHistory(messages, 10), [
+        { role: 'user', content: 'What is LIFO?' },
+        { role: 'assistant', content: 'Last in, first out.' }
+    ]);
+    assert.equal(fitHistory(messages, 100).length, 4);
+
+    const markdown = chatToMarkdown({
+        startedAt: '2026-10-19T14:02:00.000Z',
+        messages: [
+            { role: 'user', text: 'Show me the flowchart' },
+            { role: 'bot', text: 'START ...', source: { title: 'Algorithm Flowchart', link: { href: 'README.md#algorithm-flowchart' } } }
+        ]
+    }, { scenario: 'LIFO, 3 frames' });
+    assert.equal(markdown, [
+        '# LIFO AI Bot conversation', '',
+        'Scenario: LIFO, 3 frames  ',
+        'Started: 2026-10-19 14:02', '',
+        '**You:** Show me the flowchart', '',
+        '**Tutor:** START ...', '',
+        '*Source: [Algorithm Flowchart](README.md#algorithm-flowchart)*', ''
+    ].join('\n'));
+});
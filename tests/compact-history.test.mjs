@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    replacementPolicies,
+    seededRandom,
+    randomReferenceString,
+    buildStateHistory,
+    computeStats,
+    findDivergentSteps
+} from '../simulation-core.mjs';
+import { CHECKPOINT_INTERVAL, simulateInChunks, createCompactHistory } from '../compact-history.mjs';
+
+// Long enough for a few checkpoints, with some writes for the dirty bits
+const random = seededRandom('compact');
+const PAGES = randomReferenceString(CHECKPOINT_INTERVAL * 3 + 40, 9, random);
+const WRITES = PAGES.map(() => random() < 0.3);
+
+function compactRun(policy, chunkSteps = 100) {
+    const history = createCompactHistory(PAGES, 4, policy, WRITES);
+    simulateInChunks(PAGES, 4, policy, WRITES, chunk => history.addChunk(chunk), chunkSteps);
+    return history;
+}
+
+test('compact histories rebuild every step of a full run', () => {
+    for (const policy of Object.keys(replacementPolicies)) {
+        const full = buildStateHistory(PAGES, 4, policy, WRITES).history;
+        const compact = compactRun(policy);
+
+        assert.equal(compact.length, full.length);
+        assert.deepEqual([...compact], full, policy);
+    }
+});
+
+test('steps can be read in any order', () => {
+    const full = buildStateHistory(PAGES, 4, 'lru', WRITES).history;
+    const compact = compactRun('lru');
+
+    for (const i of [700, 3, 699, 701, 256, 255, 0, full.length - 1]) {
+        assert.deepEqual(compact.at(i), full[i], `step ${i}`);
+    }
+    assert.deepEqual(compact.at(-1), full.at(-1));
+    assert.equal(compact.at(full.length), undefined);
+});
+
+test('length follows the chunks that have arrived', () => {
+    const compact = createCompactHistory(PAGES, 4, 'fifo', WRITES);
+    const lengths = [];
+    simulateInChunks(PAGES, 4, 'fifo', WRITES, chunk => {
+        compact.addChunk(chunk);
+        lengths.push(compact.length);
+    }, 512);
+
+    assert.deepEqual(lengths, [512, PAGES.length]);
+});
+
+test('stats and divergence read compact histories like arrays', () => {
+    const fifo = buildStateHistory(PAGES, 4, 'fifo', WRITES).history;
+    const lifo = buildStateHistory(PAGES, 4, 'lifo', WRITES).history;
+
+    assert.deepEqual(computeStats(compactRun('fifo'), 300), computeStats(fifo, 300));
+    assert.deepEqual(findDivergentSteps([compactRun('fifo'), compactRun('lifo')]), findDivergentSteps([fifo, lifo]));
+});
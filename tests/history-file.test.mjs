@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildStateHistory, buildMultiProcessHistory, parseProcessList, roundRobinSchedule, parseAddressTrace
+} from '../simulation-core.mjs';
+import { exportHistoryJson, exportHistoryCsv, parseHistoryFile, verifyHistory } from '../history-file.mjs';
+
+const PAGES = [7, 0, 1, 2, 0, 3, 0, 4];
+const WRITES = [false, true, false, false, false, true, false, false];
+
+function clockSession() {
+    const scenario = { frames: 3, policy: 'clock', referenceString: PAGES, writes: WRITES };
+    return { scenario, currentStep: 4, history: buildStateHistory(PAGES, 3, 'clock', WRITES).history };
+}
+
+test('JSON and CSV exports read back to the same run and step', () => {
+    const session = clockSession();
+
+    for (const text of [exportHistoryJson(session), exportHistoryCsv(session)]) {
+        const loaded = parseHistoryFile(text);
+        assert.deepEqual(loaded.scenario, session.scenario);
+        assert.equal(loaded.currentStep, 4);
+        assert.deepEqual(loaded.history, session.history);
+        assert.deepEqual(verifyHistory(loaded.history, loaded.scenario).differences, []);
+    }
+});
+
+test('multi-process runs survive the CSV round trip', () => {
+    const { processes } = parseProcessList('A: 1 2w 3 1\nB: 1 2 1');
+    const schedule = roundRobinSchedule(processes);
+    const history = buildMultiProcessHistory(processes, schedule, 2, 'lru', 'local').history;
+    const scenario = { frames: 2, policy: 'lru', referenceString: history.map(step => step.page), processes, schedule, scope: 'local' };
+
+    const loaded = parseHistoryFile(exportHistoryCsv({ scenario, currentStep: -1, history }));
+    assert.deepEqual(loaded.history, history);
+    assert.deepEqual(verifyHistory(loaded.history, scenario).differences, []);
+});
+
+test('verifyHistory reports edited and missing steps', () => {
+    const session = clockSession();
+    const csv = exportHistoryCsv(session).split('\n');
+    // Step 3 row: claim page 1 was a hit
+    csv[7] = csv[7].replace(',false,true,', ',true,false,');
+    const loaded = parseHistoryFile(csv.slice(0, -1).join('\n'));
+
+    assert.deepEqual(verifyHistory(loaded.history, loaded.scenario).differences, [
+        { step: 3, fields: ['isHit', 'isFault'] },
+        { step: 8, fields: ['missing step'] }
+    ]);
+});
+
+test('parseHistoryFile rejects files that are not history exports', () => {
+    assert.match(parseHistoryFile('{"steps": []}').error, /not a simulation history/);
+    assert.match(parseHistoryFile('{oops').error, /JSON/);
+    assert.match(parseHistoryFile('step,page\n1,7').error, /scenario/);
+});
+
+test('parseHistoryFile reports tampered scenarios instead of replaying them', () => {
+    const { processes } = parseProcessList('A: 1 2\nB: 3');
+    const base = { frames: 2, policy: 'lru', referenceString: ['A:1', 'B:3', 'A:2'], processes, schedule: ['A', 'B', 'A'], scope: 'local' };
+    const load = (changes) => parseHistoryFile(exportHistoryJson({ scenario: { ...base, ...changes }, currentStep: -1, history: [] }));
+
+    assert.equal(load({}).error, undefined);
+    assert.equal(load({ processes: null, schedule: [], referenceString: [1, 3, 2] }).error, undefined); // a single-process export
+    assert.match(load({ schedule: undefined }).error, /no schedule/);
+    assert.match(load({ schedule: ['A', 'C'] }).error, /unknown process "C"/);
+    assert.match(load({ schedule: ['B', 'B'] }).error, /more often than it has pages/);
+    assert.match(load({ processes: [{ id: 'A' }] }).error, /list of pages/);
+    assert.match(load({ policy: 'constructor' }).error, /Unknown replacement policy "constructor"/);
+    assert.match(load({ frames: 11 }).error, /from 1 to 10/);
+    assert.match(load({ frames: 0 }).error, /from 1 to 10/);
+});
+
+test('parseHistoryFile refuses steps that are missing fields or have the wrong types', () => {
+    const session = clockSession();
+    const load = (change) => parseHistoryFile(exportHistoryJson({
+        ...session,
+        history: session.history.map((step, i) => i === 2 ? change({ ...step }) : step)
+    }));
+
+    assert.match(load(step => { delete step.frames; return step; }).error, /Step 3 has a missing or invalid "frames"/);
+    assert.match(load(step => ({ ...step, frames: [7, 0] })).error, /"frames"/);
+    assert.match(load(step => ({ ...step, isHit: 'yes' })).error, /"isHit"/);
+    assert.match(load(step => ({ ...step, dirty: [0, 1, 0] })).error, /"dirty"/);
+    assert.match(load(step => ({ ...step, newPageIndex: 3 })).error, /"newPageIndex"/);
+    assert.match(load(step => ({ ...step, stackNotes: [{}] })).error, /"stackNotes"/);
+
+    // A CSV that only has some of the columns
+    const csv = exportHistoryCsv(session).split('\n').map(line => line.startsWith('#') ? line : line.split(',').slice(0, 2).join(','));
+    assert.match(parseHistoryFile(csv.join('\n')).error, /Step 1 has a missing or invalid "isWrite"/);
+});
+
+test('multi-process steps need listed processes and their page keys', () => {
+    const { processes } = parseProcessList('A: 1 2w 3 1\nB: 1 2 1');
+    const schedule = roundRobinSchedule(processes);
+    const history = buildMultiProcessHistory(processes, schedule, 2, 'lru', 'local').history;
+    const scenario = { frames: 2, policy: 'lru', referenceString: history.map(step => step.page), processes, schedule, scope: 'local' };
+    const load = (change) => parseHistoryFile(exportHistoryJson({
+        scenario, currentStep: -1, history: history.map((step, i) => i === 1 ? change({ ...step }) : step)
+    }));
+
+    assert.equal(load(step => step).error, undefined);
+    assert.match(load(step => ({ ...step, process: 'C' })).error, /Step 2 has a missing or invalid "process"/);
+    assert.match(load(step => ({ ...step, stacks: [{ process: 'A', stack: ['A:9x'], notes: [] }] })).error, /"stacks"/);
+    // Local runs have frames x processes rows
+    assert.match(load(step => ({ ...step, frames: step.frames.slice(0, 2) })).error, /"frames"/);
+});
+
+test('parseHistoryFile refuses pages, process names and addresses the simulator never writes', () => {
+    const session = clockSession();
+    const load = (changes) => parseHistoryFile(exportHistoryJson({ ...session, scenario: { ...session.scenario, ...changes } }));
+
+    assert.match(load({ referenceString: [7, '<img src=x onerror=alert(1)>', 1] }).error, /whole numbers/);
+    assert.match(load({ referenceString: [7, -1, 1.5] }).error, /whole numbers/);
+    assert.match(load({ writes: ['w'] }).error, /write flags/);
+
+    const { processes } = parseProcessList('A: 1 2\nB: 3');
+    const multi = { frames: 2, policy: 'lru', referenceString: ['A:1', 'B:3', 'A:2'], processes, schedule: ['A', 'B', 'A'], scope: 'local' };
+    const loadMulti = (changes) => parseHistoryFile(exportHistoryJson({ scenario: { ...multi, ...changes }, currentStep: -1, history: [] }));
+    const renamed = [{ ...processes[0], id: '<b>A</b>' }, processes[1]];
+
+    assert.match(loadMulti({ processes: renamed, schedule: ['<b>A</b>', 'B'] }).error, /needs a name/);
+    assert.match(loadMulti({ referenceString: ['A:1', 'C:3'] }).error, /process:page/);
+    assert.match(loadMulti({ scope: 'shared' }).error, /scope/);
+});
+
+test('address runs keep translations that match their addresses and page size', () => {
+    const trace = parseAddressTrace('0x1A3F 6719 0x0042w', 4096);
+    const history = buildStateHistory(trace.pages, 2, 'fifo', trace.writes).history;
+    const scenario = { frames: 2, policy: 'fifo', referenceString: trace.pages, writes: trace.writes, pageSize: 4096, translations: trace.translations };
+    const load = (changes) => parseHistoryFile(exportHistoryJson({ scenario: { ...scenario, ...changes }, currentStep: -1, history }));
+
+    assert.deepEqual(load({}).scenario, scenario);
+    const tampered = (change) => trace.translations.map((entry, i) => i === 1 ? { ...entry, ...change } : entry);
+    assert.match(load({ translations: tampered({ text: '<i>6719</i>' }) }).error, /address translations/);
+    assert.match(load({ translations: tampered({ offset: 0 }) }).error, /address translations/);
+    assert.match(load({ pageSize: 1024 }).error, /address translations/);
+    assert.match(load({ pageSize: '4096' }).error, /address translations/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { seededRandom, randomReferenceString, buildStateHistory } from '../simulation-core.mjs';
+import { assemble, createMachine, cpuLatorInput, formatLifoTrace } from '../mips-interpreter.mjs';
+import { buildMipsProgram } from '../mips-export.mjs';
+
+const PAGES = randomReferenceString(150, 9, seededRandom('export'));
+
+function exportScenario(referenceString, frames) {
+    const { history } = buildStateHistory(referenceString, frames, 'lifo');
+    return { source: buildMipsProgram({ referenceString, frames, history }), history };
+}
+
+test('exported programs print the expected output without any input', () => {
+    for (const frames of [1, 3, 5]) {
+        const { source, history } = exportScenario(PAGES, frames);
+        const machine = createMachine(assemble(source)).run();
+
+        assert.equal(machine.error, null, `${frames} frames`);
+        assert.equal(machine.output, formatLifoTrace(history), `${frames} frames`);
+    }
+});
+
+test('the data section holds the pages and one word per frame', () => {
+    const { source } = exportScenario(PAGES, 4);
+    const program = assemble(source);
+    const machine = createMachine(program);
+    const words = (label, count) => Array.from({ length: count }, (_, i) => machine.readWord(program.labels[label] + 4 * i));
+
+    assert.equal(machine.readWord(program.labels.page_count), PAGES.length);
+    assert.deepEqual(words('pages', PAGES.length), PAGES);
+    assert.deepEqual(words('frames', 4), [-1, -1, -1, -1]);
+    assert.equal(program.labels.frames, program.labels.pages + 4 * PAGES.length);
+    assert.doesNotMatch(source, /msg_len|msg_val|li \$v0, 5/);
+});
+
+test('the expected-output comment matches what cpu-lator.txt prints', () => {
+    const pages = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2];
+    const { source, history } = exportScenario(pages, 3);
+
+    const original = createMachine(assemble(readFileSync(new URL('../cpu-lator.txt', import.meta.url), 'utf8')), cpuLatorInput(pages)).run();
+    const printed = original.output.slice(original.output.indexOf('\nRequest'));
+    assert.equal(printed, formatLifoTrace(history));
+
+    assert.match(source, /^#   Request: 0 \[HIT\]  Stack: \[ 7 0 2\]$/m);
+    assert.match(source, /^#   Total Page Faults: 9$/m);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { seededRandom, randomReferenceString, buildStateHistory } from '../simulation-core.mjs';
+import {
+    DATA_BASE,
+    assemble,
+    createMachine,
+    cpuLatorInput,
+    parseLifoTrace,
+    compareLifoTrace
+} from '../mips-interpreter.mjs';
+
+const CPU_LATOR = readFileSync(new URL('../cpu-lator.txt', import.meta.url), 'utf8');
+
+function runCpuLator(pages) {
+    const machine = createMachine(assemble(CPU_LATOR), cpuLatorInput(pages)).run();
+    assert.equal(machine.error, null);
+    return parseLifoTrace(machine.output);
+}
+
+test('cpu-lator.txt prints the same trace as the LIFO simulator', () => {
+    const random = seededRandom('mips');
+    const strings = [[7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2], [1], randomReferenceString(100, 8, random)];
+
+    for (const pages of strings) {
+        const { history, totalFaults } = buildStateHistory(pages, 3, 'lifo');
+        const trace = runCpuLator(pages);
+
+        assert.equal(trace.steps.length, pages.length);
+        assert.deepEqual(compareLifoTrace(trace.steps, history), []);
+        assert.equal(trace.faults, totalFaults);
+    }
+});
+
+test('comparison names the fields that differ', () => {
+    const pages = [7, 0, 1, 2, 0, 3, 0, 4];
+    const trace = runCpuLator(pages);
+    const fifo = buildStateHistory(pages, 3, 'fifo').history;
+
+    const differences = compareLifoTrace(trace.steps, fifo);
+    assert.deepEqual(differences[0], { step: 4, fields: ['frames'] });
+    assert.ok(differences.some(difference => difference.fields.includes('hit/miss')));
+
+    const lifo = buildStateHistory(pages, 3, 'lifo').history;
+    assert.deepEqual(compareLifoTrace(trace.steps.slice(0, 6), lifo), [
+        { step: 7, fields: ['missing step'] },
+        { step: 8, fields: ['missing step'] }
+    ]);
+});
+
+test('the interpreter runs loops, calls, memory and syscalls', () => {
+    const program = assemble(`
+        .data
+        greeting: .asciiz "sum="
+        .align 2
+        values: .word 3, -4, 10
+        result: .space 4
+        .text
+        main:
+            la $a0, greeting
+            li $v0, 4
+            syscall
+            la $t0, values
+            li $t1, 0          # index
+            li $t2, 0          # sum
+        loop:
+            bge $t1, 3, done
+            sll $t3, $t1, 2
+            add $t3, $t0, $t3
+            lw $t4, 0($t3)
+            jal accumulate
+            addi $t1, $t1, 1
+            j loop
+        accumulate:
+            add $t2, $t2, $t4
+            jr $ra
+        done:
+            sw $t2, result
+            lw $a0, result
+            li $v0, 1
+            syscall
+            li $a0, '!'
+            li $v0, 11
+            syscall
+            li $v0, 5
+            syscall
+            mul $a0, $v0, $v0
+            li $v0, 1
+            syscall
+            li $v0, 10
+            syscall
+    `);
+    assert.equal(program.error, undefined);
+
+    const machine = createMachine(program, [-6]).run();
+    assert.equal(machine.error, null);
+    assert.equal(machine.output, 'sum=9!36');
+    assert.equal(machine.readWord(program.labels.result), 9);
+    assert.equal(program.labels.greeting, DATA_BASE);
+    assert.equal(machine.registers[0], 0);
+});
+
+test('assembly and runtime errors point at the source line', () => {
+    assert.equal(assemble('.text\n  li $t0, 1\n  frob $t0\n').error, 'Line 3: unknown instruction "frob"');
+    assert.match(assemble('.text\n  j nowhere\n').error, /^Line 2: j operand 1 should be a known label/);
+
+    const outOfInput = createMachine(assemble('li $v0, 5\nsyscall\nli $v0, 5\nsyscall'), [4]).run();
+    assert.match(outOfInput.error, /^Line 4 \(syscall\): the program asked for more input/);
+
+    const badAddress = createMachine(assemble('li $t0, 3\nlw $t1, 0($t0)'), []).run();
+    assert.match(badAddress.error, /^Line 2 .*not aligned/);
+
+    const stuck = createMachine(assemble('spin: j spin'), []).run(1000);
+    assert.match(stuck.error, /Stopped after 1000 instructions/);
+});
+
+test('names of Object properties are neither instructions nor labels', () => {
+    assert.equal(assemble('constructor $t0').error, 'Line 1: unknown instruction "constructor"');
+    assert.match(assemble('j toString').error, /^Line 1: j operand 1 should be a known label, not "toString"/);
+    assert.match(assemble('lw $t0, valueOf').error, /^Line 1: lw operand 2 should be an address/);
+
+    // ...but they are fine as label names of their own
+    const program = assemble('toString: li $t0, 1\n  j toString');
+    assert.equal(program.error, undefined);
+    assert.equal(program.instructions[1].operands[0], program.labels.toString);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { replacementPolicies, buildStateHistory } from '../simulation-core.mjs';
+import {
+    DEFAULT_NARRATION_SETTINGS,
+    normalizeNarrationSettings,
+    stepNarration,
+    createNarrator
+} from '../narration.mjs';
+
+// A speech engine that speaks nothing until told to: finish() ends the
+// utterance being spoken, cancel() interrupts it like browsers do
+function fakeSpeech() {
+    const spoken = [];
+    let speaking = null;
+    return {
+        spoken,
+        synth: {
+            speak(utterance) { spoken.push(utterance); speaking = utterance; },
+            cancel() {
+                const interrupted = speaking;
+                speaking = null;
+                if (interrupted) queueMicrotask(() => interrupted.onerror({ error: 'interrupted' }));
+            }
+        },
+        finish() { const done = speaking; speaking = null; done.onend(); }
+    };
+}
+
+// Timers that only fire when the test says so
+function manualTimers() {
+    const timers = new Map();
+    let next = 1;
+    return {
+        setTimer: (fn, ms) => { timers.set(next, { fn, ms }); return next++; },
+        clearTimer: (id) => timers.delete(id),
+        fireAll: () => [...timers.values()].forEach(timer => timer.fn()),
+        delays: () => [...timers.values()].map(timer => timer.ms)
+    };
+}
+
+test('settings keep rate and pitch in range', () => {
+    assert.deepEqual(normalizeNarrationSettings(), DEFAULT_NARRATION_SETTINGS);
+    assert.deepEqual(normalizeNarrationSettings({ voice: 'Daniel', rate: '7', pitch: -1, narratedPlayback: 1 }),
+        { voice: 'Daniel', rate: 2, pitch: 0, narratedPlayback: true });
+    assert.equal(normalizeNarrationSettings({ rate: 'fast', voice: 3 }).rate, 1.1);
+    assert.equal(normalizeNarrationSettings({ voice: 3 }).voice, '');
+});
+
+test('each step says what happened and why', () => {
+    const { history } = buildStateHistory([7, 0, 1, 2, 0], 3, 'lifo', [false, false, true]);
+    const lifo = replacementPolicies.lifo;
+
+    assert.equal(stepNarration(history[0], lifo), 'Page 7 requested. Fault. Loaded into an empty frame.');
+    assert.equal(stepNarration(history[3], lifo),
+        'Page 2 requested. Memory full. Replacing page 1, top of stack. It was modified, so it is written back to disk first.');
+    assert.equal(stepNarration(history[4], lifo), 'Page 0 is already in memory. It is a Hit.');
+});
+
+test('speak resolves when the utterance ends and uses the chosen voice', async () => {
+    const speech = fakeSpeech();
+    const timers = manualTimers();
+    const captions = [];
+    const narrator = createNarrator(speech.synth, text => ({ text }), {
+        onCaption: (text, speaking) => captions.push([text, speaking]),
+        ...timers
+    });
+    const voices = [{ name: 'Alex' }, { name: 'Daniel' }];
+
+    let done = false;
+    const spoken = narrator.speak('Page 7 requested.', { voice: 'Daniel', rate: 0.8, pitch: 1.2 }, voices)
+        .then(() => { done = true; });
+    assert.equal(speech.spoken[0].voice.name, 'Daniel');
+    assert.deepEqual([speech.spoken[0].rate, speech.spoken[0].pitch], [0.8, 1.2]);
+    assert.ok(narrator.isSpeaking());
+
+    await Promise.resolve();
+    assert.equal(done, false);
+    speech.finish();
+    await spoken;
+    assert.equal(narrator.isSpeaking(), false);
+    assert.deepEqual(captions, [['Page 7 requested.', true], ['Page 7 requested.', false]]);
+    assert.deepEqual(timers.delays(), []);
+});
+
+test('a new utterance interrupts the old one, and a silent engine times out', async () => {
+    const speech = fakeSpeech();
+    const timers = manualTimers();
+    const narrator = createNarrator(speech.synth, text => ({ text }), timers);
+
+    const first = narrator.speak('one two three');
+    const second = narrator.speak('four');
+    await first; // interrupted: resolved straight away
+    assert.equal(speech.spoken.length, 2);
+    assert.equal(speech.spoken[1].voice, undefined);
+
+    // The engine never says "end": the timer finishes it
+    assert.equal(timers.delays().length, 1);
+    timers.fireAll();
+    await second;
+    assert.equal(narrator.isSpeaking(), false);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { replacementPolicies, buildStateHistory } from '../simulation-core.mjs';
+import {
+    splitMarkdownSections,
+    markdownPassages,
+    createKnowledgeBase,
+    answerSimulationQuestion
+} from '../offline-tutor.mjs';
+
+const README = readFileSync(new URL('../README.md', import.meta.url), 'utf8');
+const PAGES = [7, 0, 1, 2, 0, 3, 0, 4];
+
+function simulation(currentStep, writes = []) {
+    const { history } = buildStateHistory(PAGES, 3, 'lifo', writes);
+    return { policy: replacementPolicies.lifo, frames: 3, referenceString: PAGES, writes, history, currentStep };
+}
+
+test('Markdown splits at headings, not at comments inside code', () => {
+    const sections = splitMarkdownSections([
+        '## Pros & Cons', 'Simple.',
+        '```', '# not a heading', '```',
+        '### Details', 'More.',
+        '## Pros & Cons', 'Again.'
+    ].join('\n'));
+
+    assert.deepEqual(sections.map(section => section.title), ['Pros & Cons', 'Details', 'Pros & Cons']);
+    assert.deepEqual(sections.map(section => section.slug), ['pros--cons', 'details', 'pros--cons-1']);
+    assert.deepEqual(sections[1].parents, ['Pros & Cons']);
+    assert.equal(sections[1].chapter, 'Pros & Cons');
+    assert.match(sections[0].body, /# not a heading/);
+});
+
+test('README questions find their section, typos and synonyms included', () => {
+    const knowledge = createKnowledgeBase(markdownPassages(README, 'README.md'));
+    const best = (question) => knowledge.search(question, 1)[0]?.passage;
+
+    assert.equal(best('show me the flowchart').title, 'Algorithm Flowchart');
+    assert.equal(best('show me the flowchart').link.href, 'README.md#algorithm-flowchart');
+    assert.equal(best('what is the hit ratio formula?').title, 'Performance Metrics');
+    assert.match(best('which registers does the MIPS code use').title, /Register/);
+    assert.equal(best('walk me through the worked example').title, 'Complete Worked Example');
+    assert.equal(best('what are the pros').title, 'Advantages ✓');
+    assert.equal(best('any disadvantges?').title, 'Disadvantages ✗');
+    assert.equal(best('weather today'), undefined);
+
+    const chapters = markdownPassages(README, 'README.md', { chapters: ['Project 2'] });
+    assert.ok(chapters.length > 0 && chapters.every(passage => /mips/i.test(`${passage.title} ${passage.context} ${passage.text}`)));
+});
+
+test('run questions are answered from the history', () => {
+    const sim = simulation(6, [false, false, false, true]);
+
+    const evicted = answerSimulationQuestion(sim, 'why was 2 evicted at step 6?');
+    assert.match(evicted, /^At step 6 page 3 was not in memory, so it was a \*\*fault\*\*, and all 3 frames were full \(7, 0, 2\)\./);
+    assert.match(evicted, /The stack before this step was 2, 0, 7 \(top → bottom\), so page 2 in frame 3 was the victim/);
+    assert.match(evicted, /Page 2 was dirty, so it was written back to disk first\./);
+
+    assert.match(answerSimulationQuestion(sim, 'Why was 7 evicted at step 6?'), /^Page 7 was not evicted at step 6; page 2 was\./);
+    assert.match(answerSimulationQuestion(sim, 'Why was page 0 a hit at step 5?'), /page 0 was already in frame 2, so it was a \*\*hit\*\*/);
+    assert.match(answerSimulationQuestion(sim, 'what happened at step 3'), /Frame 3 was still empty/);
+    assert.match(answerSimulationQuestion(sim, 'explain this step'), /^At step 7 page 0/);
+    assert.equal(answerSimulationQuestion(sim, 'what is a page fault?'), null);
+});
+
+test('pages without a step, future steps and runs that are not there', () => {
+    assert.match(answerSimulationQuestion(simulation(7), 'why was page 3 evicted?'), /^Page 3 was evicted at step 8\.\nAt step 8/);
+    assert.equal(answerSimulationQuestion(simulation(7), 'when was 7 replaced'), 'Page 7 has not been evicted so far (up to step 8).');
+    assert.match(answerSimulationQuestion(simulation(4), 'why was 2 evicted at step 6?'), /Step 6 hasn't been played yet \(the simulator is at step 5\)/);
+    assert.equal(answerSimulationQuestion(simulation(4), 'step 12?'), 'This run has 8 steps, numbered 1 to 8.');
+    assert.match(answerSimulationQuestion(simulation(-1), 'step 2'), /has not started yet/);
+    assert.match(answerSimulationQuestion({ history: [] }, 'why was 2 evicted at step 6?'), /^No run is loaded yet/);
+});
+
+test('page questions answer the outcome they ask about', () => {
+    const sim = simulation(7);
+
+    assert.match(answerSimulationQuestion(sim, 'was page 0 a hit?'), /^Page 0 was a hit at steps 5 and 7\. The latest one:\nAt step 7 page 0 was already in frame 2/);
+    assert.match(answerSimulationQuestion(sim, 'did page 7 get loaded?'), /^Page 7 was loaded at step 1\.\nAt step 1 page 7 was not in memory/);
+    assert.match(answerSimulationQuestion(sim, 'was page 3 a miss'), /^Page 3 caused a fault at step 6\./);
+    assert.equal(answerSimulationQuestion(simulation(3), 'was page 0 a hit?'), 'Page 0 has not been a hit so far (up to step 4).');
+});
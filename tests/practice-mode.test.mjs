@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildStateHistory, getPolicy } from '../simulation-core.mjs';
+import { gradePrediction, summarizePractice, describePrediction } from '../practice-mode.mjs';
+
+// LIFO, 3 frames: step 4 evicts page 1 from Frame 3, step 5 is a hit
+const { history } = buildStateHistory([7, 0, 1, 2, 0, 3, 0, 4], 3, 'lifo');
+const lifo = getPolicy('lifo');
+
+test('gradePrediction checks the outcome and the victim frame', () => {
+    assert.equal(gradePrediction(history[0], { outcome: 'fault', victimFrame: -1 }, lifo).correct, true);
+    assert.equal(gradePrediction(history[3], { outcome: 'fault', victimFrame: 2 }, lifo).correct, true);
+
+    assert.equal(gradePrediction(history[3], { outcome: 'fault', victimFrame: 0 }, lifo).mistake, 'wrong-victim');
+    assert.equal(gradePrediction(history[0], { outcome: 'fault', victimFrame: 1 }, lifo).mistake, 'wrong-victim');
+    assert.equal(gradePrediction(history[3], { outcome: 'hit' }, lifo).mistake, 'missed-fault');
+    assert.equal(gradePrediction(history[4], { outcome: 'fault', victimFrame: 2 }, lifo).mistake, 'missed-hit');
+});
+
+test('gradePrediction explains what really happened', () => {
+    assert.equal(gradePrediction(history[3], { outcome: 'hit' }, lifo).explanation,
+        'Page 2 was not in memory and all frames were full. LIFO evicts page 1 from Frame 3 (top of stack).');
+    assert.match(gradePrediction(history[4], { outcome: 'hit' }, lifo).explanation, /already in a frame/);
+    assert.equal(describePrediction({ outcome: 'fault', victimFrame: 1 }), 'Fault, evict Frame 2');
+});
+
+test('summarizePractice counts mistakes by type', () => {
+    const answers = [];
+    answers[0] = gradePrediction(history[0], { outcome: 'fault', victimFrame: -1 }, lifo);
+    answers[3] = gradePrediction(history[3], { outcome: 'hit' }, lifo);
+    answers[4] = gradePrediction(history[4], { outcome: 'fault', victimFrame: 0 }, lifo);
+
+    assert.deepEqual(summarizePractice(answers), {
+        answered: 3,
+        correct: 1,
+        score: (1 / 3) * 100,
+        mistakes: { 'missed-hit': 1, 'missed-fault': 1, 'wrong-victim': 0 },
+        wrongSteps: [4, 5]
+    });
+    assert.equal(summarizePractice([]).score, 0);
+});
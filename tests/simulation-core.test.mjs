@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseReferenceString,
+    parseAddress,
+    parseAddressTrace,
+    formatTranslation,
+    buildStateHistory,
+    getPolicy,
+    computeStats,
+    sweepFrameCounts,
+    findBeladyAnomalies,
+    findDivergentSteps,
+    buildReportData,
+    parseProcessList,
+    roundRobinSchedule,
+    parseSchedule,
+    buildMultiProcessHistory,
+    computeProcessStats
+} from '../simulation-core.mjs';
+
+const EXAMPLE = [7, 0, 1, 2, 0, 3, 0, 4];
+// Silberschatz's textbook string
+const TEXTBOOK = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+const BELADY = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+const victims = (history) => history.filter(step => step.replacedPage !== null).map(step => step.replacedPage);
+
+test('parseReferenceString accepts spaces and commas', () => {
+    assert.deepEqual(parseReferenceString('7, 0 1,2').pages, [7, 0, 1, 2]);
+});
+
+test('parseReferenceString reads r/w suffixes as reads and writes', () => {
+    assert.deepEqual(parseReferenceString('3w 5r 3 4W'), { pages: [3, 5, 3, 4], writes: [true, false, false, true] });
+    assert.match(parseReferenceString('3x').error, /"3x"/);
+    assert.deepEqual(parseAddressTrace('0x7A10w 8196r', 4096).writes, [true, false]);
+});
+
+test('parseReferenceString rejects non-numeric values', () => {
+    const parsed = parseReferenceString('7 x 1');
+    assert.equal(parsed.pages, undefined);
+    assert.match(parsed.error, /"x"/);
+});
+
+test('LIFO worked example: 7 0 1 2 0 3 0 4 with 3 frames', () => {
+    const { history, totalHits, totalFaults } = buildStateHistory(EXAMPLE, 3);
+
+    assert.equal(totalHits, 2);
+    assert.equal(totalFaults, 6);
+    assert.deepEqual(victims(history), [1, 2, 3]);
+    assert.deepEqual(history.map(step => step.isHit), [false, false, false, false, true, false, true, false]);
+    assert.deepEqual(history[3].frames, [7, 0, 2]);
+    assert.equal(history[3].replacedIndex, 2);
+    assert.deepEqual(history[7].frames, [7, 0, 4]);
+    assert.deepEqual(history[7].stack, [7, 0, 4]);
+});
+
+test('LIFO matches the README test cases', () => {
+    assert.equal(buildStateHistory([1, 2, 3, 4, 2, 1, 5, 3, 4], 3).totalFaults, 7);
+    assert.equal(buildStateHistory([7, 0, 1, 2, 0, 3, 0, 4, 5, 3], 3).totalFaults, 8);
+    assert.equal(buildStateHistory([0, 1, 2, 0, 1, 2, 0, 1, 2], 3).totalHits, 6);
+});
+
+test('frame ages reset on load and grow every step', () => {
+    const { history } = buildStateHistory([1, 2, 1], 2);
+    assert.deepEqual(history[0].frameAges, [0, 0]);
+    assert.deepEqual(history[1].frameAges, [1, 0]);
+    assert.deepEqual(history[2].frameAges, [2, 1]);
+});
+
+test('FIFO, LRU and OPT match the textbook fault counts', () => {
+    assert.equal(buildStateHistory(TEXTBOOK, 3, 'fifo').totalFaults, 15);
+    assert.equal(buildStateHistory(TEXTBOOK, 3, 'lru').totalFaults, 12);
+    assert.equal(buildStateHistory(TEXTBOOK, 3, 'opt').totalFaults, 9);
+});
+
+test('LRU evicts the least recently used page', () => {
+    const { history } = buildStateHistory([1, 2, 3, 1, 4], 3, 'lru');
+    assert.deepEqual(victims(history), [2]);
+    assert.deepEqual(history[4].stack, [4, 1, 3]);
+});
+
+test('Clock gives referenced pages a second chance', () => {
+    const { history } = buildStateHistory([1, 2, 3, 4, 2, 5], 3, 'clock');
+    assert.deepEqual(victims(history), [1, 3]);
+    // Bottom -> top, with the page under the hand on top
+    assert.deepEqual(history[5].stack, [5, 2, 4]);
+    assert.deepEqual(history[5].stackNotes, ['R=1', 'R=0', 'R=1']);
+});
+
+test('LFU evicts the least used page, oldest first on ties', () => {
+    const { history } = buildStateHistory([1, 2, 1, 3, 4], 3, 'lfu');
+    assert.deepEqual(victims(history), [2]);
+});
+
+test('unknown policies fall back to LIFO', () => {
+    assert.deepEqual(victims(buildStateHistory(EXAMPLE, 3, 'nope').history), [1, 2, 3]);
+    assert.deepEqual(victims(buildStateHistory(EXAMPLE, 3, 'constructor').history), [1, 2, 3]);
+    assert.equal(getPolicy('toString').name, 'LIFO');
+});
+
+test('computeStats counts up to a given step', () => {
+    const { history } = buildStateHistory(EXAMPLE, 3);
+    assert.deepEqual(computeStats(history, 4), { hits: 1, faults: 4, writeBacks: 0, total: 5, hitRatio: 20, faultRatio: 80 });
+    assert.equal(computeStats(history).hitRatio, 25);
+    assert.equal(computeStats([]).hitRatio, 0);
+    assert.equal(computeStats(history, -1).total, 0);
+
+    // The running totals follow a history that grows
+    const growing = history.slice(0, 4);
+    assert.equal(computeStats(growing).hits, 0);
+    growing.push(history[4]);
+    assert.equal(computeStats(growing).hits, 1);
+});
+
+test('FIFO shows Belady\'s anomaly, LIFO does not', () => {
+    const fifo = sweepFrameCounts('fifo', BELADY, 5);
+    assert.deepEqual(fifo.slice(2, 4), [9, 10]);
+    assert.deepEqual(findBeladyAnomalies(fifo), [{ frames: 4, faults: 10, previousFaults: 9 }]);
+    assert.deepEqual(findBeladyAnomalies(sweepFrameCounts('lifo', BELADY, 5)), []);
+});
+
+test('findDivergentSteps flags steps with different victims', () => {
+    const lifo = buildStateHistory(EXAMPLE, 3, 'lifo').history;
+    const fifo = buildStateHistory(EXAMPLE, 3, 'fifo').history;
+    assert.deepEqual([...findDivergentSteps([lifo, fifo])], [3, 5, 6, 7]);
+    assert.equal(findDivergentSteps([lifo]).size, 0);
+});
+
+test('buildReportData produces the PDF step table', () => {
+    const { history } = buildStateHistory(EXAMPLE, 3);
+    const report = buildReportData(history, EXAMPLE, 3, 'lifo');
+
+    assert.equal(report.policy.name, 'LIFO');
+    assert.deepEqual(report.columns, ['Step', 'Request', 'Frames State', 'Stack (top -> bottom)', 'Status']);
+    assert.deepEqual(report.rows[0], [1, 7, '7 | - | -', '7', 'FAULT']);
+    assert.deepEqual(report.rows[3], [4, 2, '7 | 0 | 2', '2 -> 0 -> 7', 'REPLACED 1']);
+    assert.deepEqual(report.rows[4], [5, 0, '7 | 0 | 2', '2 -> 0 -> 7', 'HIT']);
+    assert.equal(report.stats.hitRatio, 25);
+    assert.equal(buildReportData(history, EXAMPLE, 3, 'toString').policy.id, 'lifo');
+});
+
+test('parseAddressTrace splits hex and decimal addresses into page and offset', () => {
+    const { pages, translations } = parseAddressTrace('0x7A10, 0x0123 8196', 4096);
+    assert.deepEqual(pages, [7, 0, 2]);
+    assert.deepEqual(translations[0], { text: '0x7A10', address: 0x7a10, isHex: true, page: 7, offset: 0xa10 });
+    assert.equal(translations[2].offset, 4);
+    assert.equal(formatTranslation(translations[0]), '0x7A10 -> page 7, offset 0xA10');
+    assert.equal(formatTranslation(translations[2]), '8196 -> page 2, offset 4');
+});
+
+test('parseAddressTrace works with decimal page sizes', () => {
+    assert.deepEqual(parseAddressTrace('372 1250 99', 100).pages, [3, 12, 0]);
+});
+
+test('parseAddressTrace rejects bad addresses and page sizes', () => {
+    assert.match(parseAddressTrace('0x10 0xZZ', 4096).error, /"0xZZ"/);
+    assert.match(parseAddressTrace('-5', 4096).error, /"-5"/);
+    assert.match(parseAddressTrace('0x10', 0).error, /page size/);
+    assert.equal(parseAddress('0xFFFFFFFFFFFFFFFFFF'), null);
+});
+
+test('dirty victims are written back before their frame is reused', () => {
+    const pages = [1, 2, 3, 2, 4];
+    const writes = [false, true, false, false, false];
+
+    // LIFO evicts the dirty 2 straight away; the reloaded 2 is clean
+    const lifo = buildStateHistory(pages, 2, 'lifo', writes);
+    assert.equal(lifo.totalWriteBacks, 1);
+    assert.deepEqual(lifo.history.map(step => step.writeBack), [false, false, true, false, false]);
+    assert.deepEqual(lifo.history[1].dirty, [false, true]);
+    assert.deepEqual(lifo.history[3].dirty, [false, false]);
+
+    // FIFO keeps the dirty 2 until step 5
+    const fifo = buildStateHistory(pages, 2, 'fifo', writes);
+    assert.deepEqual(fifo.history.map(step => step.writeBack), [false, false, false, false, true]);
+    assert.equal(computeStats(fifo.history).writeBacks, 1);
+    assert.equal(computeStats(fifo.history, 3).writeBacks, 0);
+
+    const report = buildReportData(fifo.history, pages, 2, 'fifo');
+    assert.deepEqual(report.requests, [1, '2w', 3, 2, 4]);
+    assert.deepEqual(report.rows[3], [4, 2, '3 | 2*', '2 -> 3', 'HIT']);
+    assert.equal(report.rows[4][4], 'REPLACED 2 + WRITE-BACK');
+});
+
+test('parseProcessList names processes and rejects bad lines', () => {
+    const { processes } = parseProcessList('A: 1 2w\n\n3 4');
+    assert.deepEqual(processes, [
+        { id: 'A', pages: [1, 2], writes: [false, true] },
+        { id: 'P2', pages: [3, 4], writes: [false, false] }
+    ]);
+    assert.match(parseProcessList('A: 1\nA: 2').error, /twice/);
+    assert.match(parseProcessList('B: 1 x').error, /Process B: .*"x"/);
+});
+
+test('schedules interleave processes round-robin or as written', () => {
+    const { processes } = parseProcessList('A: 1 2 3\nB: 4 5');
+    assert.deepEqual(roundRobinSchedule(processes), ['A', 'B', 'A', 'B', 'A']);
+    assert.deepEqual(roundRobinSchedule(processes, 2), ['A', 'A', 'B', 'B', 'A']);
+    // Leftovers are appended round-robin
+    assert.deepEqual(parseSchedule('A*2 B', processes).schedule, ['A', 'A', 'B', 'A', 'B']);
+    assert.match(parseSchedule('B*3', processes).error, /more than its 2 references/);
+    assert.match(parseSchedule('C', processes).error, /"C"/);
+});
+
+test('local replacement keeps processes apart, global lets them steal frames', () => {
+    const { processes } = parseProcessList('A: 1 2 3 1\nB: 1 2 1');
+    const schedule = roundRobinSchedule(processes);
+
+    const local = buildMultiProcessHistory(processes, schedule, 2, 'lifo', 'local');
+    assert.equal(local.history.length, 7);
+    assert.deepEqual(local.history[6].frames, ['A:1', 'A:3', 'B:1', 'B:2']);
+    assert.equal(local.history[4].replacedPage, 'A:2');
+    assert.equal(local.history[4].newPageIndex, 1);
+    assert.deepEqual(local.history[6].stacks.map(entry => entry.stack), [['A:1', 'A:3'], ['B:1', 'B:2']]);
+
+    const global = buildMultiProcessHistory(processes, schedule, 2, 'lifo', 'global');
+    assert.equal(global.history[2].replacedPage, 'B:1');
+    assert.equal(global.history[2].process, 'A');
+    assert.deepEqual(computeProcessStats(global.history, ['A', 'B']).map(stats => [stats.faults, stats.framesHeld]), [[3, 1], [3, 1]]);
+});
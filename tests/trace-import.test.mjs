@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMemoryTrace, traceToReferenceString } from '../trace-import.mjs';
+
+// Trimmed output of: valgrind --tool=lackey --trace-mem=yes ./a.out
+const LACKEY = `==4242== Lackey, an example Valgrind tool
+I  04000000,3
+ L 7ff000b08,8
+I  04000003,5
+ S 7ff000b10,8
+ M 0402a000,4
+==4242== Counted 1 call to main()`;
+
+test('parseMemoryTrace reads Valgrind Lackey records', () => {
+    const { references, format, skipped } = parseMemoryTrace(LACKEY);
+    assert.equal(format, 'lackey');
+    assert.equal(skipped, 0);
+    assert.deepEqual(references.map(ref => ref.kind), ['I', 'L', 'I', 'S', 'M']);
+    assert.equal(references[1].address, 0x7ff000b08);
+});
+
+test('parseMemoryTrace reads R/W logs with hex or decimal addresses', () => {
+    const { references, format, skipped } = parseMemoryTrace('# comment\nR 0x1A3F\nw 8196\nR,0x10\nnot a record');
+    assert.equal(format, 'rw');
+    assert.equal(skipped, 1);
+    assert.deepEqual(references, [
+        { kind: 'R', address: 0x1a3f },
+        { kind: 'W', address: 8196 },
+        { kind: 'R', address: 0x10 }
+    ]);
+});
+
+test('parseMemoryTrace rejects files without references', () => {
+    assert.match(parseMemoryTrace('hello\nworld').error, /No memory references/);
+});
+
+test('traceToReferenceString filters, samples and truncates before mapping to pages', () => {
+    const { references } = parseMemoryTrace(LACKEY);
+
+    assert.deepEqual(traceToReferenceString(references, { pageSize: 4096 }).pages,
+        [0x4000, 0x7ff000, 0x4000, 0x7ff000, 0x402a]);
+    assert.deepEqual(traceToReferenceString(references, { pageSize: 4096, keep: 'instructions' }).pages,
+        [0x4000, 0x4000]);
+    // Stores and modifies are writes
+    assert.deepEqual(traceToReferenceString(references, { pageSize: 4096 }).writes,
+        [false, false, false, true, true]);
+
+    const data = traceToReferenceString(references, { pageSize: 4096, keep: 'data', sampleEvery: 2, limit: 1 });
+    assert.equal(data.filteredCount, 3);
+    assert.equal(data.sampledCount, 2);
+    assert.equal(data.truncated, true);
+    assert.deepEqual(data.pages, [0x7ff000]);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { main, EXIT_OK, EXIT_EXPECTATION_FAILED, EXIT_USAGE } from '../trace-runner.mjs';
+
+// Runs the CLI with captured output; `files` stands in for the file system
+function run(argv, files = {}) {
+    const out = [];
+    const err = [];
+    const readFile = (path) => {
+        if (!(path in files)) throw new Error('no such file');
+        return files[path];
+    };
+    const code = main(argv, { out: text => out.push(text), err: text => err.push(text), readFile });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+test('prints the step table as text', () => {
+    const { code, out } = run(['--frames', '3', '7 0 1 2 0 3 0 4']);
+    assert.equal(code, EXIT_OK);
+    assert.match(out, /Step\s+Request\s+Frames State\s+Stack \(top -> bottom\)\s+Status/);
+    assert.match(out, /^4\s+2\s+7 \| 0 \| 2\s+2 -> 0 -> 7\s+REPLACED 1$/m);
+    assert.match(out, /Total Hits: 2 {2}Total Faults: 6 {2}Hit Ratio: 25\.0%/);
+});
+
+test('counts write-backs for "w" references', () => {
+    const { out } = run(['-n', '2', '-p', 'fifo', '1 2w 3 2 4']);
+    assert.match(out, /^Reference String: 1, 2w, 3, 2, 4$/m);
+    assert.match(out, /^5\s+4\s+3 \| 4\s+3 -> 4\s+REPLACED 2 \+ WRITE-BACK$/m);
+    assert.match(out, /Write-backs: 1$/);
+});
+
+test('prints CSV with the policy column header', () => {
+    const { out } = run(['-n', '3', '-p', 'fifo', '--format', 'csv', '7', '0', '1', '2']);
+    const lines = out.split('\n');
+    assert.equal(lines[0], 'Step,Request,Frames State,Queue (oldest -> newest),Status');
+    assert.equal(lines[4], '4,2,2 | 0 | 1,0 -> 1 -> 2,REPLACED 7');
+});
+
+test('prints JSON steps and stats', () => {
+    const { out } = run(['-n', '3', '--format', 'json', '7 0 1 2 0 3 0 4']);
+    const json = JSON.parse(out);
+    assert.equal(json.policy, 'lifo');
+    assert.equal(json.stats.faults, 6);
+    assert.deepEqual(json.steps[4], { step: 5, request: 0, frames: '7 | 0 | 2', stack: '2 -> 0 -> 7', status: 'HIT' });
+});
+
+test('reads the reference string from a file', () => {
+    const { code, out } = run(['-n', '3', '--file', 'trace.txt'], { 'trace.txt': '7, 0, 1, 2\n0, 3, 0, 4\n' });
+    assert.equal(code, EXIT_OK);
+    assert.match(out, /Total Faults: 6/);
+});
+
+test('--expect-faults sets the exit code', () => {
+    assert.equal(run(['-n', '3', '--expect-faults', '6', '7 0 1 2 0 3 0 4']).code, EXIT_OK);
+
+    const failed = run(['-n', '3', '--expect-faults', '5', '7 0 1 2 0 3 0 4']);
+    assert.equal(failed.code, EXIT_EXPECTATION_FAILED);
+    assert.match(failed.err, /Expected 5 faults but the LIFO run had 6/);
+});
+
+test('rejects bad usage with exit code 2', () => {
+    assert.equal(run(['7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '11', '7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '-p', 'random', '7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '-p', 'constructor', '7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '--format', 'xml', '7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '--format', 'toString', '7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '7 a 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '--file', 'missing.txt']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '--bogus']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '--expect-faults', '', '7 0 1']).code, EXIT_USAGE);
+    assert.equal(run(['-n', '3', '--expect-faults', '1.5', '7 0 1']).code, EXIT_USAGE);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { replacementPolicies, buildStateHistory } from '../simulation-core.mjs';
+import {
+    CONTEXT_PAGE_LIMIT,
+    CONTEXT_STEP_LIMIT,
+    describeSimulation,
+    explainStepQuestion,
+    replaceMentions
+} from '../tutor-context.mjs';
+
+const PAGES = [7, 0, 1, 2, 0, 3, 0, 4];
+const lifo = replacementPolicies.lifo;
+
+function simulation(pages, currentStep, writes = []) {
+    const { history } = buildStateHistory(pages, 3, 'lifo', writes);
+    return { policy: lifo, frames: 3, referenceString: pages, writes, history, currentStep };
+}
+
+test('the context describes the run up to the current step', () => {
+    const context = describeSimulation(simulation(PAGES, 4, [false, true]));
+
+    assert.match(context, /Policy: LIFO \(Last In, First Out\), 3 frames/);
+    assert.match(context, /Reference string \(8 requests, "w" = write\): 7 0w 1 2 0 3 0 4/);
+    assert.match(context, /Current step: 5 of 8, page 0, hit/);
+    assert.match(context, /Frames now: Frame 1 = 7, Frame 2 = 0, Frame 3 = 2/);
+    assert.match(context, /Stack \(top → bottom\): 2, 0, 7/);
+    assert.match(context, /So far: 1 hits, 4 faults/);
+    assert.match(context, /step 4: page 2, fault, evicted page 1 from frame 3/);
+    assert.doesNotMatch(context, /step 6/);
+
+    assert.match(describeSimulation(simulation(PAGES, -1)), /loaded but not started \(8 steps\)/);
+    assert.equal(describeSimulation({ history: [] }), 'Simulator state: nothing is loaded yet.');
+});
+
+test('long runs send a capped string and the latest steps', () => {
+    const pages = Array.from({ length: CONTEXT_PAGE_LIMIT + 50 }, (_, i) => i % 6);
+    const context = describeSimulation(simulation(pages, 200));
+
+    assert.match(context, /\.\.\. \(50 more\)/);
+    assert.match(context, new RegExp(`Last ${CONTEXT_STEP_LIMIT} steps:`));
+    assert.match(context, /^step 201: /m);
+    assert.doesNotMatch(context, new RegExp(`^step ${201 - CONTEXT_STEP_LIMIT}: `, 'm'));
+});
+
+test('explaining a step asks about its victim and adds its before/after', () => {
+    const sim = simulation(PAGES, 7);
+
+    assert.equal(explainStepQuestion(sim.history[3], lifo),
+        'Why was page 1 evicted at step 4? Explain why LIFO chose it as the victim for page 2.');
+    assert.equal(explainStepQuestion(sim.history[4], lifo), 'Why was page 0 a hit at step 5?');
+    assert.match(explainStepQuestion(sim.history[0], lifo), /empty frame 1 at step 1/);
+
+    const context = describeSimulation(sim, { focusStep: 3 });
+    assert.match(context, /The question is about step 4 \(request 2\): page 2, fault, evicted page 1 from frame 3/);
+    assert.match(context, /Frames before: Frame 1 = 7, Frame 2 = 0, Frame 3 = 1/);
+    assert.match(context, /Stack before \(top → bottom\): 1, 0, 7/);
+    assert.match(context, /LIFO picks its victim by: top of stack/);
+});
+
+test('replaceMentions finds steps and pages in an answer', () => {
+    const found = [];
+    const text = 'At Step 4 page 1 was on top, so pages 2 and page A:3 (step #6) stay; 4 steps later...';
+    const linked = replaceMentions(text, mention => {
+        found.push([mention.kind, mention.value]);
+        return mention.value === 6 ? null : `[${mention.text}]`;
+    });
+
+    assert.deepEqual(found, [['step', 4], ['page', 1], ['page', 2], ['page', 'A:3'], ['step', 6]]);
+    assert.equal(linked, 'At [Step 4] [page 1] was on top, so [pages 2] and [page A:3] (step #6) stay; 4 steps later...');
+});
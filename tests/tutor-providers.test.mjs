@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeTutorSettings, isTutorProviderReady, askTutorProvider } from '../tutor-providers.mjs';
+
+const PROMPT = { system: 'Be a tutor.', context: 'Simulator state: 3 frames', question: 'Why?' };
+const noSleep = async () => {};
+
+// A fetch that answers with the given responses in order and records the calls
+function fakeFetch(...responses) {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+        calls.push({ url, init, body: JSON.parse(init.body) });
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return {
+            ok: next.status === 200,
+            status: next.status,
+            json: async () => next.json,
+            text: async () => next.text || ''
+        };
+    };
+    return { fetchImpl, calls };
+}
+
+test('Gemini moves down its model list when a model is missing', async () => {
+    const { fetchImpl, calls } = fakeFetch(
+        { status: 404, text: 'not found' },
+        { status: 200, json: { candidates: [{ content: { parts: [{ text: 'Because of LIFO.' }] } }] } }
+    );
+    const settings = normalizeTutorSettings({ provider: 'gemini', geminiKey: ' "abc" ' });
+
+    assert.equal(await askTutorProvider(settings, PROMPT, { fetchImpl, sleep: noSleep }), 'Because of LIFO.');
+    assert.deepEqual(calls.map(call => call.url.match(/models\/(.*):/)[1]), ['gemini-2.5-flash', 'gemini-1.5-pro']);
+    assert.match(calls[0].url, /key=abc$/);
+    assert.equal(calls[0].body.contents[0].parts[0].text, 'Be a tutor.\n\nSimulator state: 3 frames\n\nUser Question: Why?');
+});
+
+test('OpenAI-compatible servers get chat messages at <base URL>/chat/completions', async () => {
+    const { fetchImpl, calls } = fakeFetch({ status: 200, json: { choices: [{ message: { content: 'Local answer' } }] } });
+    const settings = normalizeTutorSettings({ provider: 'openai', baseUrl: 'http://lab:8080/v1/', model: 'llama3.2', apiKey: 'k' });
+
+    assert.equal(await askTutorProvider(settings, PROMPT, { fetchImpl, sleep: noSleep }), 'Local answer');
+    assert.equal(calls[0].url, 'http://lab:8080/v1/chat/completions');
+    assert.equal(calls[0].init.headers.Authorization, 'Bearer k');
+    assert.deepEqual(calls[0].body.messages, [
+        { role: 'system', content: 'Be a tutor.\n\nSimulator state: 3 frames' },
+        { role: 'user', content: 'Why?' }
+    ]);
+    assert.equal(calls[0].body.model, 'llama3.2');
+});
+
+test('each provider retries only what its rules allow', async () => {
+    const gemini = normalizeTutorSettings({ geminiKey: 'abc' });
+    const local = normalizeTutorSettings({ provider: 'openai' });
+    const answer = { status: 200, json: { choices: [{ message: { content: 'ok' } }] } };
+
+    // llama.cpp loading the model: 503, then an answer
+    const loading = fakeFetch({ status: 503 }, answer);
+    assert.equal(await askTutorProvider(local, PROMPT, { fetchImpl: loading.fetchImpl, sleep: noSleep }), 'ok');
+    assert.equal(loading.calls.length, 2);
+
+    // A bad key is not retried and not passed on to the next model
+    const badKey = fakeFetch({ status: 400, text: 'API key not valid' });
+    await assert.rejects(askTutorProvider(gemini, PROMPT, { fetchImpl: badKey.fetchImpl, sleep: noSleep }), /error 400 \(gemini-2.5-flash\): API key not valid/);
+    assert.equal(badKey.calls.length, 1);
+
+    // A server that is down is tried twice, then reported
+    const down = fakeFetch(new TypeError('fetch failed'), new TypeError('fetch failed'));
+    await assert.rejects(askTutorProvider(local, PROMPT, { fetchImpl: down.fetchImpl, sleep: noSleep }), /Could not reach OpenAI-compatible server/);
+    assert.equal(down.calls.length, 2);
+
+    // A slow local model times out once; Gemini tries a timeout again
+    const hang = (url, init) => new Promise((_, reject) => init.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    let localCalls = 0;
+    await assert.rejects(
+        askTutorProvider(local, PROMPT, { fetchImpl: (...args) => { localCalls++; return hang(...args); }, timeoutMs: 10, sleep: noSleep }),
+        /did not answer within 0.01 s/
+    );
+    let geminiCalls = 0;
+    await assert.rejects(askTutorProvider(gemini, PROMPT, { fetchImpl: (...args) => { geminiCalls++; return hang(...args); }, timeoutMs: 10, sleep: noSleep }));
+    assert.deepEqual([localCalls, geminiCalls], [1, 2]);
+});
+
+test('settings fall back to defaults and "none" is never asked', async () => {
+    const settings = normalizeTutorSettings({ provider: 'nonsense' });
+    assert.equal(settings.provider, 'gemini');
+    assert.equal(settings.baseUrl, 'http://localhost:11434/v1');
+    assert.equal(isTutorProviderReady(settings), false);
+    assert.equal(normalizeTutorSettings({ provider: 'constructor' }).provider, 'gemini');
+
+    const none = normalizeTutorSettings({ provider: 'none', geminiKey: 'abc' });
+    assert.equal(isTutorProviderReady(none), false);
+    await assert.rejects(askTutorProvider(none, PROMPT), /None \(offline answers only\) is not set up/);
+});
+
+test('earlier messages go in as turns, as many as the provider allows', async () => {
+    const history = [
+        { role: 'user', text: 'What is LIFO?' },
+        { role: 'bot', text: 'The newest page goes first.' },
+        { role: 'user', text: 'x'.repeat(4000) },
+        { role: 'bot', text: 'A long answer.' },
+        { role: 'user', text: 'Why is it bad?' },
+        { role: 'bot', text: 'It keeps old pages forever.' }
+    ];
+    const prompt = { ...PROMPT, question: 'why?', history };
+
+    const gemini = fakeFetch({ status: 200, json: { candidates: [{ content: { parts: [{ text: 'ok' }] } }] } });
+    await askTutorProvider(normalizeTutorSettings({ geminiKey: 'abc' }), prompt, { fetchImpl: gemini.fetchImpl, sleep: noSleep });
+    const contents = gemini.calls[0].body.contents;
+    assert.deepEqual(contents.map(turn => turn.role), ['user', 'model', 'user', 'model', 'user', 'model', 'user']);
+    assert.equal(contents[0].parts[0].text, 'What is LIFO?');
+    assert.match(contents[6].parts[0].text, /User Question: why\?$/);
+
+    // The long pair doesn't fit a local model's budget, so it and everything before it stay out
+    const local = fakeFetch({ status: 200, json: { choices: [{ message: { content: 'ok' } }] } });
+    await askTutorProvider(normalizeTutorSettings({ provider: 'openai' }), prompt, { fetchImpl: local.fetchImpl, sleep: noSleep });
+    assert.deepEqual(local.calls[0].body.messages.slice(1).map(message => message.content), [
+        'Why is it bad?',
+        'It keeps old pages forever.',
+        'why?'
+    ]);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { seededRandom, randomReferenceString, buildStateHistory } from '../simulation-core.mjs';
+import { buildWorksheetVariants, worksheetGrid } from '../worksheet.mjs';
+
+const OPTIONS = { seed: 'lab3', count: 4, length: 12, maxPage: 8, frames: 3, policy: 'fifo' };
+
+test('seededRandom repeats for the same seed', () => {
+    const first = randomReferenceString(20, 10, seededRandom('lab3'));
+    assert.deepEqual(randomReferenceString(20, 10, seededRandom('lab3')), first);
+    assert.notDeepEqual(randomReferenceString(20, 10, seededRandom('lab4')), first);
+    assert.ok(first.every(page => page >= 0 && page < 10));
+});
+
+test('worksheet variants differ but rebuild identically from the seed', () => {
+    const variants = buildWorksheetVariants(OPTIONS);
+    assert.deepEqual(variants.map(variant => variant.seed), ['lab3#1', 'lab3#2', 'lab3#3', 'lab3#4']);
+    assert.equal(new Set(variants.map(variant => variant.referenceString.join(' '))).size, 4);
+    assert.deepEqual(buildWorksheetVariants(OPTIONS), variants);
+
+    // Answers match a normal run of the same string
+    const { referenceString, stats } = variants[2];
+    assert.equal(stats.faults, buildStateHistory(referenceString, 3, 'fifo').totalFaults);
+});
+
+test('worksheetGrid leaves the student grid blank and fills the answer key', () => {
+    const pages = [7, 0, 7, 1];
+    const { history } = buildStateHistory(pages, 2, 'lifo');
+
+    const blank = worksheetGrid(pages, 2);
+    assert.deepEqual(blank.head, [['Request', '7', '0', '7', '1']]);
+    assert.deepEqual(blank.body, [['Frame 1', '', '', '', ''], ['Frame 2', '', '', '', ''], ['Hit/Fault', '', '', '', '']]);
+
+    assert.deepEqual(worksheetGrid(pages, 2, history).body, [
+        ['Frame 1', '7', '7', '7', '7'],
+        ['Frame 2', '', '0', '0', '1'],
+        ['Hit/Fault', 'F', 'F', 'H', 'F']
+    ]);
+});
@@ -0,0 +1,83 @@
+/**
+ * Memory Trace Import
+ * DOM-free parsers that turn real program traces into reference strings:
+ * Valgrind Lackey output (valgrind --tool=lackey --trace-mem=yes) and simple
+ * "R/W address" logs.
+ */
+import { parseAddress } from './simulation-core.mjs';
+
+// Lackey: "I  0400d7d4,8" or " L 7ff000b08,8" (hex without 0x, then the access size)
+const LACKEY_LINE = /^\s*([ILSM])\s+([0-9a-f]+)\s*,\s*\d+\s*$/i;
+// R/W log: "R 0x7ffd1234", "w 4096", "R,0x10"
+const RW_LINE = /^\s*([RW])[\s,]+(0x[0-9a-f]+|\d+)\s*$/i;
+
+// Instruction fetches versus data accesses, per record kind
+const INSTRUCTION_KINDS = ['I'];
+const DATA_KINDS = ['L', 'S', 'M', 'R', 'W'];
+// Stores and modifies dirty the page
+const WRITE_KINDS = ['S', 'M', 'W'];
+
+// Reads every recognised line; blank lines, "#" comments and Valgrind's own
+// "==pid==" messages are skipped. Returns { references, format, skipped } or
+// { error } when nothing in the file looks like a trace.
+export function parseMemoryTrace(text) {
+    const references = [];
+    let lackeyLines = 0;
+    let rwLines = 0;
+    let skipped = 0;
+
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('==')) continue;
+
+        let match = LACKEY_LINE.exec(line);
+        if (match) {
+            lackeyLines++;
+            references.push({ kind: match[1].toUpperCase(), address: parseInt(match[2], 16) });
+            continue;
+        }
+
+        match = RW_LINE.exec(line);
+        if (match) {
+            rwLines++;
+            references.push({ kind: match[1].toUpperCase(), address: parseAddress(match[2]) });
+            continue;
+        }
+
+        skipped++;
+    }
+
+    if (references.length === 0) {
+        return { error: 'No memory references found. Expected Valgrind Lackey output or "R/W address" lines.' };
+    }
+
+    if (references.some(ref => !Number.isSafeInteger(ref.address))) {
+        return { error: 'The trace contains an address too large to handle exactly.' };
+    }
+
+    return { references, format: lackeyLines >= rwLines ? 'lackey' : 'rw', skipped };
+}
+
+// Filters, samples and truncates the references, then maps each one to its page.
+// options: { pageSize, keep: 'all' | 'instructions' | 'data', sampleEvery, limit }
+export function traceToReferenceString(references, options) {
+    const { pageSize, keep = 'all', sampleEvery = 1, limit = Infinity } = options;
+
+    let kept = references;
+    if (keep === 'instructions') kept = kept.filter(ref => INSTRUCTION_KINDS.includes(ref.kind));
+    if (keep === 'data') kept = kept.filter(ref => DATA_KINDS.includes(ref.kind));
+
+    const filteredCount = kept.length;
+    if (sampleEvery > 1) kept = kept.filter((_, i) => i % sampleEvery === 0);
+    const sampledCount = kept.length;
+    kept = kept.slice(0, limit);
+
+    return {
+        pages: kept.map(ref => Math.floor(ref.address / pageSize)),
+        writes: kept.map(ref => WRITE_KINDS.includes(ref.kind)),
+        references: kept,
+        filteredCount,
+        sampledCount,
+        truncated: sampledCount > kept.length
+    };
+}
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Trace Runner
+ * Command-line front end to simulation-core.mjs for grading hand-worked traces.
+ * Prints the same step table as the PDF report (Step / Request / Frames /
+ * Stack / Status) as text, CSV or JSON.
+ *
+ *   node trace-runner.mjs --frames 3 "7 0 1 2 0 3 0 4"
+ *   node trace-runner.mjs -n 4 -p fifo --file trace.txt --format csv
+ *   node trace-runner.mjs -n 3 --expect-faults 6 "7 0 1 2 0 3 0 4"
+ *
+ * Exit codes: 0 = ok, 1 = --expect-faults did not match, 2 = bad usage or input.
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+import {
+    replacementPolicies,
+    parseReferenceString,
+    buildStateHistory,
+    buildReportData
+} from './simulation-core.mjs';
+
+export const EXIT_OK = 0;
+export const EXIT_EXPECTATION_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node trace-runner.mjs --frames N [options] [reference string]
+
+Options:
+  -n, --frames N          Number of frames (1-10, required)
+  -p, --policy NAME       ${Object.keys(replacementPolicies).join(', ')} (default: lifo)
+  -f, --file PATH         Read the reference string from a file ("-" for stdin)
+      --format FORMAT     text, csv or json (default: text)
+      --expect-faults N   Exit with code 1 unless the run has exactly N faults
+  -h, --help              Show this help`;
+
+// ==================== OUTPUT FORMATS ====================
+function formatText(report) {
+    const table = [report.columns, ...report.rows].map(row => row.map(String));
+    const widths = report.columns.map((_, col) => Math.max(...table.map(row => row[col].length)));
+    const line = row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+    return [
+        `Policy: ${report.policy.name} (${report.policy.fullName})`,
+        `Reference String: ${report.requests.join(', ')}`,
+        `Total Frames: ${report.frames}`,
+        '',
+        line(table[0]),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...table.slice(1).map(line),
+        '',
+        `Total Hits: ${report.stats.hits}  Total Faults: ${report.stats.faults}  Hit Ratio: ${report.stats.hitRatio.toFixed(1)}%  Write-backs: ${report.stats.writeBacks}`
+    ].join('\n');
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(report) {
+    return [report.columns, ...report.rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+function formatJson(report) {
+    return JSON.stringify({
+        policy: report.policy.id,
+        frames: report.frames,
+        referenceString: report.referenceString,
+        stats: report.stats,
+        steps: report.rows.map(([step, request, frames, stack, status]) => ({ step, request, frames, stack, status }))
+    }, null, 2);
+}
+
+export const formatters = { text: formatText, csv: formatCsv, json: formatJson };
+
+// ==================== MAIN ====================
+// Runs the CLI and returns its exit code; output goes through the `io` writers so tests can capture it
+export function main(argv, io = { out: console.log, err: console.error, readFile: readFileSync }) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                frames: { type: 'string', short: 'n' },
+                policy: { type: 'string', short: 'p', default: 'lifo' },
+                file: { type: 'string', short: 'f' },
+                format: { type: 'string', default: 'text' },
+                'expect-faults': { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        io.err(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        io.out(USAGE);
+        return EXIT_OK;
+    }
+
+    const frames = Number(values.frames);
+    if (!Number.isInteger(frames) || frames < 1 || frames > 10) {
+        io.err(`Please give a valid number of frames (1-10) with --frames.\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    // hasOwn, so names like "constructor" aren't taken for policies or formats
+    if (!Object.hasOwn(replacementPolicies, values.policy)) {
+        io.err(`Unknown policy "${values.policy}". Choose one of: ${Object.keys(replacementPolicies).join(', ')}.`);
+        return EXIT_USAGE;
+    }
+
+    const format = Object.hasOwn(formatters, values.format) && formatters[values.format];
+    if (!format) {
+        io.err(`Unknown format "${values.format}". Choose one of: ${Object.keys(formatters).join(', ')}.`);
+        return EXIT_USAGE;
+    }
+
+    let expectedFaults = null;
+    if (values['expect-faults'] !== undefined) {
+        // Checked as text: Number('') and Number(' ') are 0
+        if (!/^\d+$/.test(values['expect-faults'])) {
+            io.err('--expect-faults needs a whole number.');
+            return EXIT_USAGE;
+        }
+        expectedFaults = Number(values['expect-faults']);
+    }
+
+    let source;
+    if (values.file !== undefined) {
+        try {
+            // File descriptor 0 is stdin
+            source = io.readFile(values.file === '-' ? 0 : values.file, 'utf8');
+        } catch (error) {
+            io.err(`Could not read ${values.file}: ${error.message}`);
+            return EXIT_USAGE;
+        }
+    } else {
+        source = positionals.join(' ');
+    }
+
+    const parsed = parseReferenceString(source.trim());
+    if (parsed.error) {
+        io.err(parsed.error);
+        return EXIT_USAGE;
+    }
+    if (parsed.pages.length === 0) {
+        io.err(`Please give a reference string or --file.\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { history } = buildStateHistory(parsed.pages, frames, values.policy, parsed.writes);
+    const report = buildReportData(history, parsed.pages, frames, values.policy);
+    io.out(format(report));
+
+    if (expectedFaults !== null && report.stats.faults !== expectedFaults) {
+        io.err(`Expected ${expectedFaults} faults but the ${report.policy.name} run had ${report.stats.faults}.`);
+        return EXIT_EXPECTATION_FAILED;
+    }
+
+    return EXIT_OK;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
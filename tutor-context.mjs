@@ -0,0 +1,118 @@
+/**
+ * Tutor Context
+ * Turns what the simulator is showing into text for the AI tutor's prompt,
+ * phrases the "Explain this step" questions, and finds the steps and pages
+ * an answer mentions so script.js can link them to the frames table.
+ * DOM-free.
+ */
+import { computeStats, formatStackEntries, formatRequest } from './simulation-core.mjs';
+
+// Long traces would swamp the prompt; these many are sent, the rest counted
+export const CONTEXT_PAGE_LIMIT = 300;
+export const CONTEXT_STEP_LIMIT = 40;
+
+// What happened at one step, e.g. "page 4, fault, evicted page 1 from frame 3"
+export function describeStep(stepData) {
+    const process = stepData.process ? ` (process ${stepData.process})` : '';
+    const access = stepData.isWrite ? ' write' : '';
+    let text = `page ${stepData.page}${access}${process}, `;
+
+    if (stepData.isHit) return `${text}hit`;
+    if (stepData.replacedPage === null) return `${text}fault, loaded into empty frame ${stepData.newPageIndex + 1}`;
+
+    text += `fault, evicted page ${stepData.replacedPage} from frame ${stepData.newPageIndex + 1}`;
+    return stepData.writeBack ? `${text} (dirty, written back first)` : text;
+}
+
+// frames: [7, 0, null] -> "Frame 1 = 7, Frame 2 = 0, Frame 3 = empty"
+function describeFrames(frames) {
+    return frames.map((page, f) => `Frame ${f + 1} = ${page === null ? 'empty' : page}`).join(', ');
+}
+
+// The prompt block describing the simulation: policy, string, current step,
+// frames, bookkeeping and the steps so far. `sim` is { policy (an entry of
+// replacementPolicies), frames, referenceString, writes, history, currentStep }.
+// focusStep adds the before/after of one step the student asked about.
+export function describeSimulation(sim, { focusStep = null } = {}) {
+    if (!sim.history || sim.history.length === 0) {
+        return 'Simulator state: nothing is loaded yet.';
+    }
+
+    const { policy, referenceString, history, currentStep } = sim;
+    const requests = referenceString.slice(0, CONTEXT_PAGE_LIMIT)
+        .map((page, i) => (sim.writes && sim.writes[i] ? `${page}w` : page))
+        .join(' ');
+    const moreRequests = referenceString.length > CONTEXT_PAGE_LIMIT
+        ? ` ... (${referenceString.length - CONTEXT_PAGE_LIMIT} more)`
+        : '';
+
+    const lines = [
+        'Simulator state (the student is looking at this):',
+        `Policy: ${policy.name} (${policy.fullName}), ${sim.frames} frames`,
+        `Reference string (${referenceString.length} requests, "w" = write): ${requests}${moreRequests}`
+    ];
+
+    if (currentStep < 0) {
+        lines.push(`The run is loaded but not started (${history.length} steps).`);
+        return lines.join('\n');
+    }
+
+    const current = history.at(currentStep);
+    const stats = computeStats(history, currentStep);
+    const stepLines = [];
+    const firstListed = Math.max(0, currentStep - CONTEXT_STEP_LIMIT + 1);
+    for (let i = firstListed; i <= currentStep; i++) {
+        stepLines.push(`step ${i + 1}: ${describeStep(history.at(i))}`);
+    }
+
+    lines.push(
+        `Current step: ${currentStep + 1} of ${history.length}, ${describeStep(current)}`,
+        `Frames now: ${describeFrames(current.frames)}`,
+        `${policy.listLabel} (${policy.orderLabel}): ${current.stack.length > 0 ? formatStackEntries(current, ', ') : 'empty'}`,
+        `So far: ${stats.hits} hits, ${stats.faults} faults`,
+        firstListed > 0 ? `Last ${stepLines.length} steps:` : 'Steps so far:',
+        ...stepLines
+    );
+
+    if (focusStep !== null && focusStep >= 0 && focusStep < history.length) {
+        const stepData = history.at(focusStep);
+        const before = focusStep > 0 ? history.at(focusStep - 1) : null;
+        lines.push(
+            '',
+            `The question is about step ${focusStep + 1} (request ${formatRequest(stepData)}): ${describeStep(stepData)}`,
+            `Frames before: ${before ? describeFrames(before.frames) : 'all empty'}`,
+            `${policy.listLabel} before (${policy.orderLabel}): ${before && before.stack.length > 0 ? formatStackEntries(before, ', ') : 'empty'}`,
+            `Frames after: ${describeFrames(stepData.frames)}`,
+            `${policy.name} picks its victim by: ${policy.victimReason}`
+        );
+    }
+
+    return lines.join('\n');
+}
+
+// The question an "Explain this step" button asks
+export function explainStepQuestion(stepData, policy) {
+    const step = stepData.step;
+    if (stepData.isHit) {
+        return `Why was page ${stepData.page} a hit at step ${step}?`;
+    }
+    if (stepData.replacedPage === null) {
+        return `Why was page ${stepData.page} loaded into empty frame ${stepData.newPageIndex + 1} at step ${step} without evicting anything?`;
+    }
+    return `Why was page ${stepData.replacedPage} evicted at step ${step}? Explain why ${policy.name} chose it as the victim for page ${stepData.page}.`;
+}
+
+// "step 5", "Steps 3", "page 7" or "page A:2" in an answer. Step numbers are
+// 1-based like the table; pages are whatever the reference string holds.
+const MENTION_PATTERN = /\b(steps?|pages?)\s+#?([A-Za-z][\w-]*:\d+|\d+)\b/gi;
+
+// Replaces every mention of a step or page in `text` with
+// render({ kind: 'step' | 'page', value, text }). render may return null to
+// leave a mention alone (e.g. a step the run doesn't have).
+export function replaceMentions(text, render) {
+    return text.replace(MENTION_PATTERN, (match, word, value) => {
+        const kind = word.toLowerCase().startsWith('step') ? 'step' : 'page';
+        const rendered = render({ kind, value: /^\d+$/.test(value) ? Number(value) : value, text: match });
+        return rendered === null || rendered === undefined ? match : rendered;
+    });
+}
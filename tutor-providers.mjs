@@ -0,0 +1,180 @@
+/**
+ * Tutor Providers
+ * The AI tutor can talk to Google Gemini, to an OpenAI-compatible server
+ * (Ollama, llama.cpp, LM Studio, ...) or to nothing at all. Each provider has
+ * an adapter that builds its requests and reads its answers, with its own
+ * timeout and retry rules; askTutorProvider() runs them. DOM-free.
+ */
+import { fitHistory } from './chat-history.mjs';
+
+// A prompt is { system, context, question, history }: the tutor's
+// instructions, the simulator state (tutor-context.mjs), what the student
+// asked and the thread's earlier messages (chat-history.mjs). Each provider
+// sends as much of the history as fits in its historyTokens.
+export const TUTOR_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        timeoutMs: 20000,
+        // Busy or failing servers are retried; anything else stops
+        retry: { attempts: 2, delayMs: 1500, statuses: [429, 500, 503], onTimeout: true },
+        historyTokens: 4000,
+        // Tried in order; a model the key cannot see (404) moves on to the next
+        models: ['gemini-2.5-flash', 'gemini-1.5-pro', 'gemini-1.0-pro', 'gemini-pro'],
+        isReady: (settings) => Boolean(settings.geminiKey),
+        requests(settings, prompt) {
+            return this.models.map(model => ({
+                model,
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${settings.geminiKey}`,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        contents: [
+                            ...fitHistory(prompt.history || [], this.historyTokens).map(turn => ({
+                                role: turn.role === 'assistant' ? 'model' : 'user',
+                                parts: [{ text: turn.content }]
+                            })),
+                            {
+                                role: 'user',
+                                parts: [{ text: `${prompt.system}\n\n${prompt.context}\n\nUser Question: ${prompt.question}` }]
+                            }
+                        ]
+                    })
+                }
+            }));
+        },
+        answer: (data) => data.candidates?.[0]?.content?.parts?.[0]?.text
+    },
+
+    openai: {
+        label: 'OpenAI-compatible server',
+        // Local models on lab machines can take a while; a timeout is not retried
+        timeoutMs: 60000,
+        // llama.cpp answers 503 while it is still loading the model
+        retry: { attempts: 2, delayMs: 2000, statuses: [503], onTimeout: false },
+        // Local models often run with a 2-4k token context window
+        historyTokens: 1000,
+        isReady: (settings) => Boolean(settings.baseUrl),
+        requests(settings, prompt) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+            return [{
+                model: settings.model || 'default',
+                url: `${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+                init: {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: settings.model || 'default',
+                        messages: [
+                            { role: 'system', content: `${prompt.system}\n\n${prompt.context}` },
+                            ...fitHistory(prompt.history || [], this.historyTokens),
+                            { role: 'user', content: prompt.question }
+                        ],
+                        stream: false
+                    })
+                }
+            }];
+        },
+        answer: (data) => data.choices?.[0]?.message?.content
+    },
+
+    none: {
+        label: 'None (offline answers only)',
+        isReady: () => false
+    }
+};
+
+export const DEFAULT_TUTOR_SETTINGS = {
+    provider: 'gemini',
+    geminiKey: '',
+    baseUrl: 'http://localhost:11434/v1',
+    model: '',
+    apiKey: ''
+};
+
+// Fills in missing fields and drops unknown providers; pasted keys lose
+// surrounding quotes and spaces
+export function normalizeTutorSettings(raw = {}) {
+    const settings = { ...DEFAULT_TUTOR_SETTINGS, ...raw };
+    if (!Object.hasOwn(TUTOR_PROVIDERS, settings.provider)) settings.provider = DEFAULT_TUTOR_SETTINGS.provider;
+
+    ['geminiKey', 'apiKey', 'baseUrl', 'model'].forEach(field => {
+        settings[field] = String(settings[field] || '').trim().replace(/^"|"$/g, '');
+    });
+    return settings;
+}
+
+// True when the chosen provider has what it needs to be asked
+export function isTutorProviderReady(settings) {
+    return TUTOR_PROVIDERS[settings.provider].isReady(settings);
+}
+
+// Asks the chosen provider and resolves to the answer text. Rejects when the
+// provider is not set up or every request failed, so the caller can fall
+// back to offline answers. options: { fetchImpl, timeoutMs, sleep } for tests.
+export async function askTutorProvider(settings, prompt, options = {}) {
+    const provider = TUTOR_PROVIDERS[settings.provider];
+    if (!provider || !provider.isReady(settings)) {
+        throw new Error(`${provider ? provider.label : 'The AI provider'} is not set up.`);
+    }
+
+    let lastError = null;
+    for (const request of provider.requests(settings, prompt)) {
+        try {
+            const data = await sendWithRetry(provider, request, options);
+            return provider.answer(data) || "I couldn't generate a response. Please try asking differently.";
+        } catch (error) {
+            lastError = error;
+            if (!error.tryNextModel) break;
+        }
+    }
+    throw lastError;
+}
+
+// One request, retried by the provider's rules. The timeout covers reading
+// the answer too, since servers that don't stream send it all at the end.
+async function sendWithRetry(provider, request, options) {
+    const {
+        fetchImpl = globalThis.fetch,
+        timeoutMs = provider.timeoutMs,
+        sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+    } = options;
+    const { attempts, delayMs, statuses, onTimeout } = provider.retry;
+
+    for (let attempt = 1; ; attempt++) {
+        const canRetry = attempt < attempts;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        let response;
+        let body;
+        try {
+            response = await fetchImpl(request.url, { ...request.init, signal: controller.signal });
+            body = response.ok ? await response.json() : (await response.text()).slice(0, 200);
+        } catch (error) {
+            const timedOut = controller.signal.aborted;
+            if (canRetry && (!timedOut || onTimeout)) {
+                await sleep(delayMs * attempt);
+                continue;
+            }
+            throw new Error(timedOut
+                ? `${provider.label} did not answer within ${timeoutMs / 1000} s (${request.model}).`
+                : `Could not reach ${provider.label} (${error.message}).`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response.ok) return body;
+
+        if (canRetry && statuses.includes(response.status)) {
+            await sleep(delayMs * attempt);
+            continue;
+        }
+
+        const error = new Error(`${provider.label} error ${response.status} (${request.model}): ${body}`);
+        error.tryNextModel = response.status === 404;
+        throw error;
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Worksheet Generator
+ * Builds paper exercises: seeded random reference strings, an empty frames
+ * grid for the student and the same grid filled in from the state history
+ * for the answer key. DOM-free; script.js draws the PDF.
+ */
+import { randomReferenceString, seededRandom, buildStateHistory, computeStats } from './simulation-core.mjs';
+
+// options: { seed, count, length, maxPage, frames, policy }.
+// Variant n uses the seed "<seed>#<n>", so any single variant can be rebuilt alone.
+// Returns [{ number, seed, referenceString, history, stats }]
+export function buildWorksheetVariants(options) {
+    const { seed, count, length, maxPage, frames, policy } = options;
+
+    return Array.from({ length: count }, (_, i) => {
+        const variantSeed = `${seed}#${i + 1}`;
+        const referenceString = randomReferenceString(length, maxPage, seededRandom(variantSeed));
+        const { history } = buildStateHistory(referenceString, frames, policy);
+
+        return { number: i + 1, seed: variantSeed, referenceString, history, stats: computeStats(history) };
+    });
+}
+
+// The frames grid as table rows: one column per request, one row per frame and
+// a last Hit/Fault row. Without a history every cell is left blank.
+// Returns { head, body } ready for jsPDF autoTable.
+export function worksheetGrid(referenceString, frames, history = null) {
+    const cell = (value) => value === null ? '' : String(value);
+
+    const body = [];
+    for (let f = 0; f < frames; f++) {
+        body.push([`Frame ${f + 1}`, ...referenceString.map((_, i) => history ? cell(history[i].frames[f]) : '')]);
+    }
+    body.push(['Hit/Fault', ...referenceString.map((_, i) => history ? (history[i].isHit ? 'H' : 'F') : '')]);
+
+    return { head: [['Request', ...referenceString.map(String)]], body };
+}